@@ -0,0 +1,168 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { detectImageType } = require('./images');
+
+// Downloads images from URLs that users hand us, without letting them reach into our network.
+// A fetcher has:
+//   fetch(url) -> Promise<{ buffer, type }>, where type is 'jpeg', 'png', 'gif' or 'webp'
+// `isBlockedAddress` decides which resolved addresses are refused; it defaults to the ranges below.
+// Hosts are checked after DNS resolution and the connection is made to the checked address, so
+// a name can't resolve to a public address for the check and a private one for the request.
+// Every redirect is checked the same way. Refusals are errors with code 'REMOTE_IMAGE_REJECTED'
+// and a message that can be shown to the user; network failures keep their own codes.
+
+const DEFAULT_MAX_REDIRECTS = 3;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), shared, multicast and reserved ranges
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const rejected = (message) => Object.assign(new Error(message), { code: 'REMOTE_IMAGE_REJECTED' });
+
+// dns.lookup, refusing names with any blocked address. Node may ask for one address or for all.
+const createSafeLookup = (isBlocked) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlocked(address))) {
+      return callback(rejected('Image URL points to a private or reserved address'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const createImageFetcher = ({
+  maxBytes,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  timeout = DEFAULT_TIMEOUT_MS,
+  isBlockedAddress: isBlocked = isBlockedAddress
+}) => {
+  const safeLookup = createSafeLookup(isBlocked);
+
+  // `deadline` is shared by every redirect hop, so redirects can't stretch the download past `timeout`
+  const request = (url, redirectsLeft, deadline) => new Promise((resolve, reject) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (err) {
+      return reject(rejected('Image URL is not valid'));
+    }
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+      return reject(rejected('Image URL must use http or https'));
+    }
+    if (parsedUrl.username || parsedUrl.password) {
+      return reject(rejected('Image URL must not contain credentials'));
+    }
+    // Node connects to IP literals without a lookup, so those are checked here
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlocked(host)) {
+      return reject(rejected('Image URL points to a private or reserved address'));
+    }
+
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+    const req = client.get(parsedUrl, {
+      lookup: safeLookup,
+      headers: { 'User-Agent': 'EcoFinds image fetcher', 'Accept': 'image/*' }
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode)) {
+        response.resume();
+        if (!headers.location) {
+          return reject(rejected('Image URL redirected without a location'));
+        }
+        if (redirectsLeft === 0) {
+          return reject(rejected(`Image URL redirected more than ${maxRedirects} times`));
+        }
+        return request(new URL(headers.location, parsedUrl).href, redirectsLeft - 1, deadline).then(resolve, reject);
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(rejected(`Image URL returned status ${statusCode}`));
+      }
+      if (!String(headers['content-type'] || '').toLowerCase().startsWith('image/')) {
+        response.resume();
+        return reject(rejected('Image URL did not return an image'));
+      }
+      const tooLarge = rejected(`Image is larger than ${maxBytes / (1024 * 1024)}MB`);
+      if (parseInt(headers['content-length']) > maxBytes) {
+        response.resume();
+        return reject(tooLarge);
+      }
+
+      // Content-Length can be missing or wrong, so the limit is enforced on the bytes that arrive
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          // Rejected here rather than through destroy(err): the body may already be complete,
+          // and then the error would reach no listener
+          reject(tooLarge);
+          response.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        if (received > maxBytes) {
+          return;
+        }
+        if (!response.complete) {
+          return reject(rejected('Image download was interrupted'));
+        }
+        const buffer = Buffer.concat(chunks);
+        const type = detectImageType(buffer);
+        if (!type) {
+          return reject(rejected('Image URL did not return a JPEG, PNG, GIF or WebP image'));
+        }
+        resolve({ buffer, type });
+      });
+      response.on('error', reject);
+    });
+
+    // A deadline for the whole download, so a server can't hold it open by trickling bytes
+    const timer = setTimeout(() => req.destroy(rejected('Image download timed out')), Math.max(deadline - Date.now(), 0));
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+  });
+
+  return {
+    fetch: (url) => request(url, maxRedirects, Date.now() + timeout)
+  };
+};
+
+module.exports = { createImageFetcher, isBlockedAddress };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline geocoding from a bundled postal code dataset, a CSV with the columns
+// postal_code,city,region,latitude,longitude. Coordinates are the centre of the
+// postal code area, so every location and distance derived from them is approximate.
+
+const KM_PER_DEGREE = 111.32;
+
+const normalizePostalCode = (postalCode) => String(postalCode || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+const loadPostalCodes = (dataPath) => {
+  const [header, ...rows] = fs.readFileSync(dataPath, 'utf8').split(/\r?\n/).filter(Boolean);
+  const columns = header.split(',');
+  const codes = new Map();
+
+  rows.forEach(row => {
+    const entry = Object.fromEntries(row.split(',').map((value, index) => [columns[index], value.trim()]));
+    codes.set(normalizePostalCode(entry.postal_code), {
+      postal_code: normalizePostalCode(entry.postal_code),
+      city: entry.city,
+      region: entry.region,
+      latitude: parseFloat(entry.latitude),
+      longitude: parseFloat(entry.longitude)
+    });
+  });
+
+  return codes;
+};
+
+const createGeocoder = ({ dataPath = path.join(__dirname, 'data', 'postal-codes.csv') } = {}) => {
+  let codes = null;
+
+  return {
+    // Returns { postal_code, city, region, latitude, longitude }, or null for an unknown code
+    lookup: (postalCode) => {
+      if (!codes) {
+        codes = loadPostalCodes(dataPath);
+      }
+      return codes.get(normalizePostalCode(postalCode)) || null;
+    }
+  };
+};
+
+module.exports = { createGeocoder, normalizePostalCode, KM_PER_DEGREE };
@@ -0,0 +1,71 @@
+const sharp = require('sharp');
+
+// Turns uploaded and downloaded images into files kept in `storage` (see storage.js). The format is
+// read from the file's signature, never from its name or claimed mimetype, and every image is
+// re-encoded, which drops its EXIF data (GPS coordinates included). A processor has:
+//   process(buffer) -> Promise<{ url, variants }>
+// `variants` maps thumb, medium and full to { width, height, jpeg, webp } references, and `url` is
+// the full JPEG. References are `${refPrefix}/<storage key>`, whichever driver stores the files.
+// Buffers that aren't a readable JPEG, PNG, GIF or WebP image are rejected with an error whose
+// code is 'INVALID_IMAGE'.
+
+// Longest side of each variant in pixels; smaller images are never enlarged
+const IMAGE_VARIANTS = { thumb: 200, medium: 600, full: 1600 };
+
+// Larger images are refused before decoding, so a small file can't expand into gigabytes of pixels
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Returns 'jpeg', 'png', 'gif' or 'webp', or null for anything else
+const detectImageType = (buffer) => {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (startsWith(buffer, Buffer.from('GIF87a')) || startsWith(buffer, Buffer.from('GIF89a'))) return 'gif';
+  if (startsWith(buffer, Buffer.from('RIFF')) && startsWith(buffer, Buffer.from('WEBP'), 8)) return 'webp';
+  return null;
+};
+
+const invalidImage = (message) => Object.assign(new Error(message), { code: 'INVALID_IMAGE' });
+
+const createImageProcessor = ({ storage, refPrefix = '/uploads' }) => {
+  const process = async (buffer) => {
+    if (!detectImageType(buffer)) {
+      throw invalidImage('Only JPEG, PNG, GIF and WebP images are allowed');
+    }
+
+    const name = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const stored = [];
+    try {
+      const variants = {};
+      for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+        // rotate() applies the EXIF orientation before the metadata is dropped
+        const resized = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+        const jpeg = `${name}-${variant}.jpg`;
+        const webp = `${name}-${variant}.webp`;
+
+        const { data, info } = await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+          .toBuffer({ resolveWithObject: true });
+        stored.push(jpeg);
+        await storage.put(jpeg, data, 'image/jpeg');
+        stored.push(webp);
+        await storage.put(webp, await resized.clone().webp({ quality: 80 }).toBuffer(), 'image/webp');
+
+        variants[variant] = { width: info.width, height: info.height, jpeg: `${refPrefix}/${jpeg}`, webp: `${refPrefix}/${webp}` };
+      }
+      return { url: variants.full.jpeg, variants };
+    } catch (err) {
+      stored.forEach(key => storage.remove(key).catch(() => {}));
+      // Storage and file system errors keep their code; sharp's decoding errors have none
+      throw err.code ? err : invalidImage('The image could not be read');
+    }
+  };
+
+  return { process };
+};
+
+module.exports = { createImageProcessor, detectImageType };
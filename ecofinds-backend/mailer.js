@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mailer with pluggable transports. A transport is any object with a
+// `send(message)` method returning a promise; `message` is { from, to, subject, text }.
+
+// Writes each message as an .eml file so mail can be inspected without an SMTP server
+const createOutboxTransport = ({ outboxPath = './outbox' } = {}) => {
+  if (!fs.existsSync(outboxPath)) {
+    fs.mkdirSync(outboxPath, { recursive: true });
+  }
+
+  return {
+    send: (message) => {
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+
+      return fs.promises.writeFile(path.join(outboxPath, filename), contents).then(() => ({ id: filename }));
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return Promise.resolve({ id: null });
+  }
+});
+
+const transports = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+// Lets a deployment plug in its own transport (e.g. SMTP) before creating the mailer
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Subjects can carry user text (listing titles, saved search names); a line break in a header
+// value would let it add headers of its own
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const createMailer = ({ transport = 'outbox', from = 'EcoFinds <no-reply@ecofinds.local>', ...options } = {}) => {
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  const instance = factory(options);
+
+  return {
+    send: ({ to, subject, text }) => instance.send({ from, to: headerValue(to), subject: headerValue(subject), text })
+  };
+};
+
+module.exports = { createMailer, registerTransport };
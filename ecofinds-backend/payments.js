@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Payment providers with a common interface. A provider is an object with:
+//   createIntent({ amount, currency, metadata })  -> Promise<{ id, status }>
+//   confirmIntent(intentId, { paymentMethod })    -> Promise<{ id, status, failureReason? }>
+//   refund(intentId, { amount })                  -> Promise<{ id, status }>
+//   parseWebhook(rawBody, headers)                -> event, or throws when the signature is invalid
+// Intent statuses are 'requires_confirmation', 'processing', 'succeeded' and 'failed'.
+// Webhook events are { id, type, created, data: { intent_id, amount, failure_reason } } with
+// type 'payment.succeeded', 'payment.failed' or 'refund.succeeded'.
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Checks a "t=<unix time>,v1=<hex hmac>" signature header against the raw request body
+const verifySignature = (secret, rawBody, header) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, timestamp, rawBody));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Offline gateway for development. The payment method decides the outcome:
+// 'test_decline' is declined, 'test_delayed' stays processing for `confirmationDelay` ms
+// and is then confirmed by webhook, anything else succeeds straight away.
+// Every outcome is also reported to `webhookUrl`, like a real gateway would.
+const createMockProvider = ({ webhookUrl, webhookSecret, confirmationDelay = 3000 } = {}) => {
+  const intents = new Map();
+
+  const sendWebhook = (type, intent, extra = {}) => {
+    if (!webhookUrl) return;
+
+    const body = JSON.stringify({
+      id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { intent_id: intent.id, amount: intent.amount, ...extra }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const client = webhookUrl.startsWith('https') ? https : http;
+
+    const request = client.request(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(webhookSecret, timestamp, body)}`
+      }
+    }, (response) => response.resume());
+    request.on('error', (err) => console.error(`Mock payment webhook ${type} failed:`, err.message));
+    request.end(body);
+  };
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Unknown payment intent: ${intentId}`);
+    }
+    return intent;
+  };
+
+  return {
+    createIntent: async ({ amount, currency = 'usd', metadata = {} }) => {
+      const intent = {
+        id: `pi_mock_${crypto.randomBytes(12).toString('hex')}`,
+        amount,
+        currency,
+        metadata,
+        refunded: 0,
+        status: 'requires_confirmation'
+      };
+      intents.set(intent.id, intent);
+      return { id: intent.id, status: intent.status };
+    },
+
+    confirmIntent: async (intentId, { paymentMethod } = {}) => {
+      const intent = getIntent(intentId);
+      if (intent.status !== 'requires_confirmation') {
+        return { id: intent.id, status: intent.status, failureReason: intent.failureReason };
+      }
+
+      if (paymentMethod === 'test_decline') {
+        intent.status = 'failed';
+        intent.failureReason = 'Your card was declined';
+        sendWebhook('payment.failed', intent, { failure_reason: intent.failureReason });
+      } else if (paymentMethod === 'test_delayed') {
+        intent.status = 'processing';
+        setTimeout(() => {
+          intent.status = 'succeeded';
+          sendWebhook('payment.succeeded', intent);
+        }, confirmationDelay);
+      } else {
+        intent.status = 'succeeded';
+        sendWebhook('payment.succeeded', intent);
+      }
+
+      return { id: intent.id, status: intent.status, failureReason: intent.failureReason };
+    },
+
+    refund: async (intentId, { amount } = {}) => {
+      const intent = getIntent(intentId);
+      const refundable = Math.round((intent.amount - intent.refunded) * 100) / 100;
+      const refundAmount = amount === undefined ? refundable : amount;
+
+      if (intent.status !== 'succeeded' || refundAmount <= 0 || refundAmount > refundable) {
+        throw new Error('Nothing to refund for this payment');
+      }
+
+      intent.refunded = Math.round((intent.refunded + refundAmount) * 100) / 100;
+      sendWebhook('refund.succeeded', intent, { refund_amount: refundAmount });
+      return { id: `re_mock_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+    },
+
+    parseWebhook: (rawBody, headers) => {
+      if (!verifySignature(webhookSecret, rawBody, headers[SIGNATURE_HEADER])) {
+        throw new Error('Invalid webhook signature');
+      }
+      return JSON.parse(rawBody);
+    }
+  };
+};
+
+const providers = {
+  mock: createMockProvider
+};
+
+// Lets a deployment plug in a real gateway before creating the payment provider
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const createPaymentProvider = ({ provider = 'mock', ...options } = {}) => {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${provider}`);
+  }
+  return { name: provider, ...factory(options) };
+};
+
+module.exports = { createPaymentProvider, registerProvider, verifySignature };
@@ -0,0 +1,88 @@
+// Server-Sent Events hub. Each signed-in browser tab holds one open
+// response; events are pushed to a single user or to everyone connected.
+// Streams remember the session they were opened with, so logging out closes them.
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const createEventHub = () => {
+  const clients = new Map(); // userId -> Set of open responses
+  const sessions = new Map(); // sessionId -> Set of open responses
+
+  const write = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers responses, so push each event out right away
+    if (res.flush) res.flush();
+  };
+
+  const subscribe = (userId, req, res, sessionId) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    write(res, 'connected', { userId });
+
+    if (!clients.has(userId)) {
+      clients.set(userId, new Set());
+    }
+    clients.get(userId).add(res);
+    if (sessionId !== undefined) {
+      if (!sessions.has(sessionId)) {
+        sessions.set(sessionId, new Set());
+      }
+      sessions.get(sessionId).add(res);
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      if (res.flush) res.flush();
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const connections = clients.get(userId);
+      if (connections) {
+        connections.delete(res);
+        if (connections.size === 0) clients.delete(userId);
+      }
+      const sessionConnections = sessions.get(sessionId);
+      if (sessionConnections) {
+        sessionConnections.delete(res);
+        if (sessionConnections.size === 0) sessions.delete(sessionId);
+      }
+    });
+  };
+
+  const publish = (userId, event, data) => {
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.forEach(res => write(res, event, data));
+    }
+  };
+
+  const broadcast = (event, data) => {
+    clients.forEach(connections => connections.forEach(res => write(res, event, data)));
+  };
+
+  // Closes every stream a user has open, e.g. after their sessions are revoked
+  const disconnect = (userId) => {
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.forEach(res => res.end());
+      clients.delete(userId);
+    }
+  };
+
+  // Closes the streams opened with one session, e.g. after it logs out; 'close' tidies up the maps
+  const disconnectSession = (sessionId) => {
+    const connections = sessions.get(sessionId);
+    if (connections) {
+      connections.forEach(res => res.end());
+    }
+  };
+
+  return { subscribe, publish, broadcast, disconnect, disconnectSession };
+};
+
+module.exports = { createEventHub };
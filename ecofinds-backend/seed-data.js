@@ -3,6 +3,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const path = require('path');
+const { createGeocoder } = require('./geo');
 
 const db = new sqlite3.Database('./ecofinds.db', (err) => {
   if (err) {
@@ -26,7 +27,8 @@ async function seedDatabase() {
         password: 'password123',
         full_name: 'Alice Green',
         phone: '+1-555-0101',
-        address: '123 Eco Street, Green City, GC 12345',
+        address: '123 Eco Street, San Francisco, CA 94103',
+        postal_code: '94103',
         profile_image_url: 'https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150&h=150&fit=crop&crop=face'
       },
       {
@@ -35,7 +37,8 @@ async function seedDatabase() {
         password: 'password123',
         full_name: 'Bob Sustainable',
         phone: '+1-555-0102',
-        address: '456 Recycle Road, Eco Town, ET 67890',
+        address: '456 Recycle Road, Oakland, CA 94607',
+        postal_code: '94607',
         profile_image_url: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face'
       },
       {
@@ -44,21 +47,26 @@ async function seedDatabase() {
         password: 'password123',
         full_name: 'Charlie Earth',
         phone: '+1-555-0103',
-        address: '789 Green Avenue, Nature City, NC 54321',
+        address: '789 Green Avenue, Berkeley, CA 94704',
+        postal_code: '94704',
         profile_image_url: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150&h=150&fit=crop&crop=face'
       }
     ];
 
     console.log('👥 Creating sample users...');
     const userIds = [];
+    const geocoder = createGeocoder();
     
     for (const user of users) {
       const hashedPassword = await bcrypt.hash(user.password, 10);
+      const place = geocoder.lookup(user.postal_code);
       
       await new Promise((resolve, reject) => {
         db.run(
-          'INSERT OR IGNORE INTO users (username, email, password_hash, full_name, phone, address, profile_image_url) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [user.username, user.email, hashedPassword, user.full_name, user.phone, user.address, user.profile_image_url],
+          `INSERT OR IGNORE INTO users (username, email, password_hash, full_name, phone, address, city, postal_code, latitude, longitude, profile_image_url, email_verified)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+          [user.username, user.email, hashedPassword, user.full_name, user.phone, user.address,
+           place.city, place.postal_code, place.latitude, place.longitude, user.profile_image_url],
           function(err) {
             if (err) {
               console.error('Error creating user:', err);
@@ -186,9 +194,16 @@ async function seedDatabase() {
             if (err) {
               console.error('Error creating product:', err);
               reject(err);
+            } else if (this.changes === 0) {
+              resolve();
             } else {
               console.log(`✅ Created product: ${product.title} (ID: ${this.lastID})`);
-              resolve();
+              // The listing's only image is its cover
+              db.run(
+                'INSERT INTO product_images (product_id, url, sort_order) VALUES (?, ?, 0)',
+                [this.lastID, product.image_url],
+                (err) => (err ? reject(err) : resolve())
+              );
             }
           }
         );
@@ -4,25 +4,84 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
-const https = require('https');
-const http = require('http');
 const { URL } = require('url');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMailer } = require('./mailer');
+const { createEventHub } = require('./realtime');
+const { createPaymentProvider } = require('./payments');
+const { createGeocoder, KM_PER_DEGREE } = require('./geo');
+const { createImageProcessor } = require('./images');
+const { createImageFetcher } = require('./fetcher');
+const { createStorage, storageOptionsFromEnv } = require('./storage');
+const { createImageSweeper } = require('./sweeper');
 
 const app = express();
+const events = createEventHub();
 
 // Environment variables with fallbacks
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'ecofinds_secret_key_2025_change_in_production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+const MAX_PRODUCT_IMAGES = parseInt(process.env.MAX_PRODUCT_IMAGES) || 8;
 const UPLOAD_PATH = process.env.UPLOAD_PATH || './uploads';
 const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:3000';
+const APP_URL = process.env.APP_URL || CORS_ORIGIN;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Buyers can edit their review for this many days after posting it
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 14;
+// How long an offer waits for a response, and how long an accepted offer can be checked out
+const OFFER_TTL_HOURS = parseInt(process.env.OFFER_TTL_HOURS) || 48;
+// How long a buyer who starts checkout has the items in their cart to themselves
+const CART_HOLD_MINUTES = parseInt(process.env.CART_HOLD_MINUTES) || 15;
+const HOLD_SWEEP_INTERVAL_MS = 60 * 1000;
+// Daily digests of saved search matches are checked, and old searches pruned, this often
+const DIGEST_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const IMAGE_SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Scheduled drafts go live within this long of their publish_at
+const PUBLISH_SWEEP_INTERVAL_MS = 60 * 1000;
+// Refunds the payment provider refused are tried again this often
+const REFUND_RETRY_INTERVAL_MS = 15 * 60 * 1000;
+// Upper bound for the radius of a distance search
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Verified accounts with one of these emails are made admin while there is none (see promoteBootstrapAdmin)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+const ROLES = ['buyer', 'seller', 'moderator', 'admin'];
+// Roles allowed to create listings; buyers can only purchase
+const LISTING_ROLES = ['seller', 'moderator', 'admin'];
+const STAFF_ROLES = ['moderator', 'admin'];
+
+const paymentProvider = createPaymentProvider({
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'ecofinds_webhook_secret_change_in_production',
+  webhookUrl: process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${PORT}/api/payments/webhook`,
+  confirmationDelay: parseInt(process.env.MOCK_PAYMENT_DELAY_MS) || 3000
+});
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'outbox',
+  from: process.env.MAIL_FROM,
+  outboxPath: process.env.MAIL_OUTBOX_PATH || './outbox'
+});
+
+const geocoder = createGeocoder({
+  dataPath: process.env.POSTAL_CODES_PATH || undefined
+});
+
+// Uploaded images go to UPLOAD_PATH by default, or to an S3-compatible bucket with STORAGE_DRIVER=s3
+const storage = createStorage(storageOptionsFromEnv(process.env));
+
+const imageProcessor = createImageProcessor({ storage });
+const imageFetcher = createImageFetcher({ maxBytes: MAX_FILE_SIZE });
 
 // Security middleware
 app.use(helmet());
@@ -47,42 +106,23 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/payments/webhook') req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
+// Static files - images in local storage, and the sample images whichever driver is used
 app.use('/uploads', express.static(UPLOAD_PATH));
 
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync(UPLOAD_PATH)) {
-  fs.mkdirSync(UPLOAD_PATH, { recursive: true });
-}
-
-// Multer configuration for image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_PATH);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
+// Multer configuration for image uploads. Files stay in memory until imageProcessor has
+// checked and re-encoded them, so an unprocessed upload is never stored.
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: MAX_FILE_SIZE },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed!'));
-    }
-  }
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
 });
 
 // Initialize SQLite Database
@@ -100,63 +140,7 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
 });
 
-// Function to download image from URL
-function downloadImage(url, filename) {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsedUrl = new URL(url);
-      const protocol = parsedUrl.protocol === 'https:' ? https : http;
-      
-      const file = fs.createWriteStream(path.join(UPLOAD_PATH, filename));
-      
-      const request = protocol.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      }, (response) => {
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          file.close();
-          fs.unlink(path.join(UPLOAD_PATH, filename), () => {});
-          return downloadImage(response.headers.location, filename).then(resolve).catch(reject);
-        }
-        
-        if (response.statusCode !== 200) {
-          file.close();
-          fs.unlink(path.join(UPLOAD_PATH, filename), () => {});
-          reject(new Error(`Failed to download image: ${response.statusCode}`));
-          return;
-        }
-        
-        response.pipe(file);
-        
-        file.on('finish', () => {
-          file.close();
-          resolve(filename);
-        });
-        
-        file.on('error', (err) => {
-          fs.unlink(path.join(UPLOAD_PATH, filename), () => {});
-          reject(err);
-        });
-      });
-      
-      request.on('error', (err) => {
-        file.close();
-        fs.unlink(path.join(UPLOAD_PATH, filename), () => {});
-        reject(err);
-      });
-      
-      request.setTimeout(10000, () => {
-        request.destroy();
-        file.close();
-        fs.unlink(path.join(UPLOAD_PATH, filename), () => {});
-        reject(new Error('Download timeout'));
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
+const imageSweeper = createImageSweeper({ db, storage });
 
 // Function to start the server after database is ready
 function startServer() {
@@ -164,6 +148,42 @@ function startServer() {
   app.listen(PORT, () => {
     console.log(`EcoFinds server running on port ${PORT}`);
   });
+
+  // Put items whose checkout hold ran out back on sale
+  setInterval(() => {
+    releaseExpiredHolds().catch(err => console.error('Failed to release expired holds:', err));
+  }, HOLD_SWEEP_INTERVAL_MS);
+
+  setInterval(() => {
+    retryFailedRefunds().catch(err => console.error('Failed to retry refunds:', err));
+  }, REFUND_RETRY_INTERVAL_MS);
+
+  setInterval(() => {
+    publishScheduledDrafts().catch(err => console.error('Failed to publish scheduled drafts:', err));
+  }, PUBLISH_SWEEP_INTERVAL_MS);
+
+  setInterval(() => {
+    sendSavedSearchDigests().catch(err => console.error('Failed to send saved search digests:', err));
+    pruneSearchLog().catch(err => console.error('Failed to prune the search log:', err));
+  }, DIGEST_SWEEP_INTERVAL_MS);
+
+  // Remove stored images that no listing or profile refers to any more
+  setInterval(() => {
+    imageSweeper.sweep()
+      .then(removed => removed.length > 0 && console.log(`Removed ${removed.length} orphaned images`))
+      .catch(err => console.error('Failed to sweep orphaned images:', err));
+  }, IMAGE_SWEEP_INTERVAL_MS);
+}
+
+// Adds a column to an existing table; `onAdded` only runs when the column was actually created
+function addColumnIfMissing(table, column, definition, onAdded) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error adding column ${table}.${column}:`, err);
+    } else if (!err && onAdded) {
+      onAdded();
+    }
+  });
 }
 
 // Create tables
@@ -178,15 +198,57 @@ function initializeTables(callback) {
     full_name TEXT,
     phone TEXT,
     address TEXT,
+    city TEXT,
+    postal_code TEXT,
+    latitude REAL,
+    longitude REAL,
     profile_image_url TEXT,
+    email_verified INTEGER DEFAULT 0,
+    role TEXT DEFAULT 'seller',
+    suspended_at DATETIME,
+    suspension_reason TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
 
-    // Categories table
+    // Columns added after the initial release; accounts that existed before
+    // email verification was introduced are treated as verified
+    addColumnIfMissing('users', 'email_verified', 'INTEGER DEFAULT 0', () => {
+      db.run('UPDATE users SET email_verified = 1');
+    });
+    addColumnIfMissing('users', 'role', "TEXT DEFAULT 'seller'");
+    addColumnIfMissing('users', 'suspended_at', 'DATETIME');
+    addColumnIfMissing('users', 'suspension_reason', 'TEXT');
+    addColumnIfMissing('users', 'city', 'TEXT');
+    addColumnIfMissing('users', 'postal_code', 'TEXT');
+    addColumnIfMissing('users', 'latitude', 'REAL');
+    addColumnIfMissing('users', 'longitude', 'REAL');
+
+    // Categories table - parent_id nests a category under another one
     db.run(`CREATE TABLE IF NOT EXISTS categories (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT UNIQUE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      parent_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parent_id) REFERENCES categories (id)
+    )`);
+    addColumnIfMissing('categories', 'parent_id', 'INTEGER');
+
+    // Attributes listings in a category can describe; subcategories inherit them
+    db.run(`CREATE TABLE IF NOT EXISTS category_attributes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'text',
+      options TEXT,
+      unit TEXT,
+      required INTEGER DEFAULT 0,
+      min_value REAL,
+      max_value REAL,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (category_id, key),
+      FOREIGN KEY (category_id) REFERENCES categories (id)
     )`);
 
   // Products table
@@ -200,11 +262,57 @@ function initializeTables(callback) {
     image_url TEXT,
     condition TEXT DEFAULT 'good',
     status TEXT DEFAULT 'available',
+    moderation_reason TEXT,
+    reserved_by INTEGER,
+    reserved_until DATETIME,
+    city TEXT,
+    postal_code TEXT,
+    latitude REAL,
+    longitude REAL,
+    pickup_available INTEGER DEFAULT 1,
+    shipping_available INTEGER DEFAULT 0,
+    attributes TEXT,
+    image_variants TEXT,
+    deleted_at DATETIME,
+    publish_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (category_id) REFERENCES categories (id),
     FOREIGN KEY (user_id) REFERENCES users (id)
   )`);
+    addColumnIfMissing('products', 'moderation_reason', 'TEXT');
+    addColumnIfMissing('products', 'reserved_by', 'INTEGER');
+    addColumnIfMissing('products', 'reserved_until', 'DATETIME');
+    addColumnIfMissing('products', 'city', 'TEXT');
+    addColumnIfMissing('products', 'postal_code', 'TEXT');
+    addColumnIfMissing('products', 'latitude', 'REAL');
+    addColumnIfMissing('products', 'longitude', 'REAL');
+    addColumnIfMissing('products', 'pickup_available', 'INTEGER DEFAULT 1');
+    addColumnIfMissing('products', 'shipping_available', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('products', 'attributes', 'TEXT');
+    addColumnIfMissing('products', 'image_variants', 'TEXT');
+    // Deleted listings keep their row, so orders, views and conversations about them still resolve
+    addColumnIfMissing('products', 'deleted_at', 'DATETIME');
+    addColumnIfMissing('products', 'publish_at', 'DATETIME');
+
+    // Product images table - the first image in sort order is the cover, mirrored in products.image_url
+    // and products.image_variants. Variants are JSON; images stored before processing have none.
+    db.run(`CREATE TABLE IF NOT EXISTS product_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      variants TEXT,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products (id)
+    )`);
+    addColumnIfMissing('product_images', 'variants', 'TEXT');
+
+    // Listings from before product_images keep their single image as the cover
+    db.run(`INSERT INTO product_images (product_id, url, sort_order)
+            SELECT id, image_url, 0 FROM products
+            WHERE image_url IS NOT NULL AND image_url != ''
+              AND id NOT IN (SELECT product_id FROM product_images)`);
 
     // Cart table
     db.run(`CREATE TABLE IF NOT EXISTS cart (
@@ -225,10 +333,110 @@ function initializeTables(callback) {
       product_id INTEGER NOT NULL,
       seller_id INTEGER NOT NULL,
       price DECIMAL(10,2) NOT NULL,
+      status TEXT DEFAULT 'paid',
+      payment_id INTEGER,
+      tracking_number TEXT,
+      carrier TEXT,
+      item_title TEXT,
+      item_image_url TEXT,
       purchase_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
       FOREIGN KEY (buyer_id) REFERENCES users (id),
       FOREIGN KEY (product_id) REFERENCES products (id),
-      FOREIGN KEY (seller_id) REFERENCES users (id)
+      FOREIGN KEY (seller_id) REFERENCES users (id),
+      FOREIGN KEY (payment_id) REFERENCES payments (id)
+    )`);
+
+    // Purchases made before orders had a lifecycle are treated as completed
+    addColumnIfMissing('purchases', 'status', "TEXT DEFAULT 'paid'", () => {
+      db.run("UPDATE purchases SET status = 'completed'");
+      db.run(`INSERT INTO order_events (purchase_id, from_status, to_status, created_at)
+              SELECT id, NULL, 'completed', purchase_date FROM purchases`);
+    });
+    addColumnIfMissing('purchases', 'tracking_number', 'TEXT');
+    addColumnIfMissing('purchases', 'carrier', 'TEXT');
+    addColumnIfMissing('purchases', 'updated_at', 'DATETIME');
+    addColumnIfMissing('purchases', 'payment_id', 'INTEGER');
+    // The item as it was bought, so later edits or a deletion don't change the buyer's history
+    addColumnIfMissing('purchases', 'item_title', 'TEXT', () => {
+      db.run('UPDATE purchases SET item_title = (SELECT title FROM products WHERE products.id = purchases.product_id)');
+    });
+    addColumnIfMissing('purchases', 'item_image_url', 'TEXT', () => {
+      db.run('UPDATE purchases SET item_image_url = (SELECT image_url FROM products WHERE products.id = purchases.product_id)');
+    });
+
+    // Payments table - one row per charge; a payment can cover several orders
+    db.run(`CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      provider TEXT NOT NULL,
+      intent_id TEXT UNIQUE,
+      amount DECIMAL(10,2) NOT NULL,
+      currency TEXT DEFAULT 'usd',
+      payment_method TEXT,
+      status TEXT DEFAULT 'created',
+      failure_reason TEXT,
+      refunded_amount DECIMAL(10,2) DEFAULT 0,
+      refund_due DECIMAL(10,2) DEFAULT 0,
+      refund_error TEXT,
+      idempotency_key TEXT,
+      request_fingerprint TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, idempotency_key)
+    )`);
+
+    // Order events table - audit trail of every status change of a purchase
+    db.run(`CREATE TABLE IF NOT EXISTS order_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purchase_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      actor_id INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (purchase_id) REFERENCES purchases (id),
+      FOREIGN KEY (actor_id) REFERENCES users (id)
+    )`);
+
+    // Search log - feeds the popular searches shown as suggestions
+    db.run(`CREATE TABLE IF NOT EXISTS search_queries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      query TEXT NOT NULL,
+      result_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Saved searches - a HomePage filter set whose owner is alerted about new matching listings.
+    // fts_query is the search text already converted for the full-text index.
+    db.run(`CREATE TABLE IF NOT EXISTS saved_searches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      search TEXT,
+      fts_query TEXT,
+      category_id INTEGER,
+      min_price DECIMAL(10,2),
+      max_price DECIMAL(10,2),
+      sort TEXT DEFAULT 'newest',
+      alert_mode TEXT DEFAULT 'instant',
+      last_digest_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (category_id) REFERENCES categories (id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS saved_search_matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      saved_search_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      emailed_at DATETIME,
+      seen_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (saved_search_id) REFERENCES saved_searches (id),
+      FOREIGN KEY (product_id) REFERENCES products (id),
+      UNIQUE(saved_search_id, product_id)
     )`);
 
     // Favorites/Wishlist table
@@ -242,6 +450,97 @@ function initializeTables(callback) {
       UNIQUE(user_id, product_id)
     )`);
 
+    // Sessions table - one row per signed-in device, holding the hash of its current refresh token
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT UNIQUE NOT NULL,
+      previous_token_hash TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    // One-time tokens for password resets and email verification (only the hash is stored)
+    db.run(`CREATE TABLE IF NOT EXISTS user_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    // Conversations table - one thread per product and interested buyer
+    db.run(`CREATE TABLE IF NOT EXISTS conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      buyer_id INTEGER NOT NULL,
+      seller_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products (id),
+      FOREIGN KEY (buyer_id) REFERENCES users (id),
+      FOREIGN KEY (seller_id) REFERENCES users (id),
+      UNIQUE(product_id, buyer_id)
+    )`);
+
+    // Messages table
+    db.run(`CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      read_at DATETIME,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id),
+      FOREIGN KEY (sender_id) REFERENCES users (id)
+    )`);
+
+    // Reviews table - one per purchase, written by the buyer about the seller
+    db.run(`CREATE TABLE IF NOT EXISTS reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purchase_id INTEGER UNIQUE NOT NULL,
+      product_id INTEGER NOT NULL,
+      buyer_id INTEGER NOT NULL,
+      seller_id INTEGER NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      seller_reply TEXT,
+      seller_replied_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (purchase_id) REFERENCES purchases (id),
+      FOREIGN KEY (product_id) REFERENCES products (id),
+      FOREIGN KEY (buyer_id) REFERENCES users (id),
+      FOREIGN KEY (seller_id) REFERENCES users (id)
+    )`);
+
+    // Offers table - price negotiation between a buyer and the seller of a listing
+    db.run(`CREATE TABLE IF NOT EXISTS offers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      buyer_id INTEGER NOT NULL,
+      seller_id INTEGER NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      counter_amount DECIMAL(10,2),
+      agreed_price DECIMAL(10,2),
+      message TEXT,
+      status TEXT DEFAULT 'pending',
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products (id),
+      FOREIGN KEY (buyer_id) REFERENCES users (id),
+      FOREIGN KEY (seller_id) REFERENCES users (id)
+    )`);
+
     // Product views table for analytics
     db.run(`CREATE TABLE IF NOT EXISTS product_views (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -255,9 +554,11 @@ function initializeTables(callback) {
 
     // Create indexes for better performance
     db.run('CREATE INDEX IF NOT EXISTS idx_products_category ON products(category_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_products_user ON products(user_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_products_status ON products(status)');
     db.run('CREATE INDEX IF NOT EXISTS idx_products_created ON products(created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, sort_order)');
     db.run('CREATE INDEX IF NOT EXISTS idx_cart_user ON cart(user_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_purchases_buyer ON purchases(buyer_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_purchases_seller ON purchases(seller_id)');
@@ -266,8 +567,23 @@ function initializeTables(callback) {
     db.run('CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_favorites_product ON favorites(product_id)');
     db.run('CREATE INDEX IF NOT EXISTS idx_product_views_product ON product_views(product_id)');
-
-    // Insert default categories
+    db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, type)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_conversations_buyer ON conversations(buyer_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_conversations_seller ON conversations(seller_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_reviews_seller ON reviews(seller_id, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_offers_product ON offers(product_id, buyer_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_offers_seller ON offers(seller_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_order_events_purchase ON order_events(purchase_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_purchases_payment ON purchases(payment_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_search_queries_query ON search_queries(query, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_search_queries_created_at ON search_queries(created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id)');
+
+    // Insert default categories on first run only - afterwards admins manage them through /api/admin/categories
     const defaultCategories = [
       "Electronics & Gadgets",
       "Home & Furniture", 
@@ -282,9 +598,99 @@ function initializeTables(callback) {
       "Free Stuff",
       "Miscellaneous"
     ];
-    defaultCategories.forEach(category => {
-      db.run('INSERT OR IGNORE INTO categories (name) VALUES (?)', [category]);
-    });
+    const defaultSubcategories = {
+      'Electronics & Gadgets': ['Phones', 'Computers & Tablets', 'Audio & Video', 'Cameras'],
+      'Home & Furniture': ['Furniture', 'Kitchen & Dining', 'Decor'],
+      'Fashion & Accessories': ['Clothing', 'Shoes', 'Bags & Jewelry'],
+      'Vehicles': ['Cars', 'Motorcycles', 'Bicycles']
+    };
+    const storageOptions = ['16 GB', '32 GB', '64 GB', '128 GB', '256 GB', '512 GB', '1 TB', '2 TB'];
+    const defaultAttributes = {
+      'Electronics & Gadgets': [{ key: 'brand', label: 'Brand', type: 'text' }],
+      'Phones': [
+        { key: 'model', label: 'Model', type: 'text' },
+        { key: 'storage', label: 'Storage', type: 'select', options: storageOptions }
+      ],
+      'Computers & Tablets': [{ key: 'storage', label: 'Storage', type: 'select', options: storageOptions }],
+      'Home & Furniture': [{ key: 'material', label: 'Material', type: 'select', options: ['Wood', 'Metal', 'Glass', 'Plastic', 'Fabric', 'Leather', 'Other'] }],
+      'Fashion & Accessories': [{ key: 'brand', label: 'Brand', type: 'text' }],
+      'Clothing': [{ key: 'size', label: 'Size', type: 'select', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] }],
+      'Shoes': [{ key: 'size', label: 'Size (EU)', type: 'number', min_value: 15, max_value: 52 }],
+      'Vehicles': [
+        { key: 'make', label: 'Make', type: 'text' },
+        { key: 'model_year', label: 'Model Year', type: 'number', min_value: 1900, max_value: new Date().getFullYear() + 1 }
+      ],
+      'Cars': [{ key: 'mileage', label: 'Mileage', type: 'number', unit: 'km', min_value: 0 }],
+      'Motorcycles': [{ key: 'mileage', label: 'Mileage', type: 'number', unit: 'km', min_value: 0 }],
+      'Bicycles': [{ key: 'frame_size', label: 'Frame Size', type: 'select', options: ['XS', 'S', 'M', 'L', 'XL'] }],
+      'Appliances': [{ key: 'brand', label: 'Brand', type: 'text' }],
+      'Sports & Fitness': [{ key: 'brand', label: 'Brand', type: 'text' }]
+    };
+    db.run(
+      `INSERT INTO categories (name)
+       SELECT column1 FROM (VALUES ${defaultCategories.map(() => '(?)').join(', ')})
+       WHERE NOT EXISTS (SELECT 1 FROM categories)`,
+      defaultCategories
+    );
+
+    // Default subcategories and attributes are added once, while no category has attributes yet.
+    // Each is a single statement, so the check can't change halfway through.
+    const subcategories = Object.entries(defaultSubcategories)
+      .flatMap(([parent, children]) => children.map(child => [child, parent]));
+    db.run(
+      `INSERT OR IGNORE INTO categories (name, parent_id)
+       SELECT v.column1, p.id FROM (VALUES ${subcategories.map(() => '(?, ?)').join(', ')}) v
+       JOIN categories p ON p.name = v.column2
+       WHERE NOT EXISTS (SELECT 1 FROM category_attributes)`,
+      subcategories.flat()
+    );
+    const attributes = Object.entries(defaultAttributes).flatMap(([category, definitions]) =>
+      definitions.map((definition, index) => [
+        category, definition.key, definition.label, definition.type, definition.options ? JSON.stringify(definition.options) : null,
+        definition.unit || null, definition.min_value === undefined ? null : definition.min_value,
+        definition.max_value === undefined ? null : definition.max_value, index
+      ])
+    );
+    db.run(
+      `INSERT INTO category_attributes (category_id, key, label, type, options, unit, min_value, max_value, sort_order)
+       SELECT c.id, v.column2, v.column3, v.column4, v.column5, v.column6, v.column7, v.column8, v.column9
+       FROM (VALUES ${attributes.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}) v
+       JOIN categories c ON c.name = v.column1
+       WHERE NOT EXISTS (SELECT 1 FROM category_attributes)`,
+      attributes.flat()
+    );
+
+    // Full-text index over listings, keyed by product id and kept in sync by triggers.
+    // The porter tokenizer matches word stems, so "chairs" also finds "chair".
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+      title, description, category_name,
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    )`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts (rowid, title, description, category_name)
+      VALUES (new.id, new.title, COALESCE(new.description, ''), COALESCE((SELECT name FROM categories WHERE id = new.category_id), ''));
+    END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF title, description, category_id ON products BEGIN
+      DELETE FROM products_fts WHERE rowid = old.id;
+      INSERT INTO products_fts (rowid, title, description, category_name)
+      VALUES (new.id, new.title, COALESCE(new.description, ''), COALESCE((SELECT name FROM categories WHERE id = new.category_id), ''));
+    END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+      DELETE FROM products_fts WHERE rowid = old.id;
+    END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_category_rename AFTER UPDATE OF name ON categories BEGIN
+      UPDATE products_fts SET category_name = new.name WHERE rowid IN (SELECT id FROM products WHERE category_id = new.id);
+    END`);
+    // Every term in the index with the number of listings it appears in, for correcting typos
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS products_fts_vocab USING fts5vocab(products_fts, 'row')`);
+    // Index listings created before the search index existed
+    db.run(`INSERT INTO products_fts (rowid, title, description, category_name)
+      SELECT p.id, p.title, COALESCE(p.description, ''), COALESCE(c.name, '')
+      FROM products p LEFT JOIN categories c ON p.category_id = c.id
+      WHERE p.id NOT IN (SELECT rowid FROM products_fts)`);
+
+    // Bootstraps the first admin from accounts that existed before ADMIN_EMAILS was set
+    promoteBootstrapAdmin(null);
 
     // Call callback when all operations are complete
     db.run('SELECT 1', (err) => {
@@ -299,7 +705,98 @@ function initializeTables(callback) {
   });
 }
 
+// Promise wrappers for flows with many sequential steps, such as checkout and payments
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// The transaction open on `db`, if any, and the statements issued meanwhile by code outside
+// it. Those are held back until it has finished: on the shared connection they would otherwise
+// become part of it, and be lost if it rolls back.
+const transactionContext = new AsyncLocalStorage();
+let openTransaction = null;
+let deferredStatements = [];
+
+['run', 'get', 'all'].forEach(method => {
+  const execute = db[method];
+  db[method] = function(...args) {
+    if (openTransaction && transactionContext.getStore() !== openTransaction) {
+      deferredStatements.push(() => execute.apply(db, args));
+      return db;
+    }
+    return execute.apply(db, args);
+  };
+});
+
+// Runs `work` inside BEGIN IMMEDIATE ... COMMIT and rolls back if it throws. Only statements made
+// from `work` (or anything it awaits) run inside; everything else waits for the commit or
+// rollback. Every request shares one connection, so transactions are queued one after another.
+let transactionQueue = Promise.resolve();
+const dbTransaction = (work) => {
+  const run = transactionQueue.then(() => {
+    const transaction = {};
+    openTransaction = transaction;
+    return transactionContext.run(transaction, async () => {
+      try {
+        // Serialized, so statements already sent to the connection finish before it begins
+        await new Promise((resolve, reject) => {
+          db.serialize(() => db.run('BEGIN IMMEDIATE', (err) => err ? reject(err) : resolve()));
+        });
+        try {
+          const result = await work();
+          await dbRun('COMMIT');
+          return result;
+        } catch (error) {
+          await dbRun('ROLLBACK').catch(rollbackError => console.error('Rollback failed:', rollbackError));
+          throw error;
+        }
+      } finally {
+        openTransaction = null;
+        const statements = deferredStatements;
+        deferredStatements = [];
+        db.serialize(() => statements.forEach(statement => statement()));
+      }
+    });
+  });
+  transactionQueue = run.catch(() => {});
+  return run;
+};
+
+// Makes a verified ADMIN_EMAILS account admin (only `userId`'s, or any when it is null), but only
+// while there is no admin at all: a verified address proves ownership, and an admin who was
+// demoted stays demoted across restarts and re-verification
+const promoteBootstrapAdmin = (userId) => {
+  if (ADMIN_EMAILS.length === 0) return;
+  db.run(
+    `UPDATE users SET role = 'admin' WHERE email IN (${ADMIN_EMAILS.map(() => '?').join(', ')})
+     AND email_verified = 1 AND (? IS NULL OR id = ?)
+     AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`,
+    [...ADMIN_EMAILS, userId, userId],
+    (err) => err && console.error('Failed to promote the bootstrap admin:', err)
+  );
+};
+
 // Authentication middleware
+// Access tokens are short-lived, but we still check the session they were issued for
+// so that logout and "log out all devices" take effect immediately. Role and account
+// state are read fresh from the users table rather than trusted from the token.
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -312,473 +809,3658 @@ const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
-    req.user = user;
-    next();
+    attachSessionUser(req, res, next, user);
   });
 };
 
-// Input validation functions
-const validateEmail = (email) => {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(email);
+// Sets req.user for { userId, username, sessionId } once the session is known to be open
+const attachSessionUser = (req, res, next, user) => {
+  db.get(
+    `SELECT u.role, u.email_verified, u.suspended_at
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [user.sessionId, user.userId],
+    (err, account) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!account) {
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+      if (account.suspended_at) {
+        return res.status(403).json({ error: 'Account suspended' });
+      }
+      req.user = { ...user, role: account.role, emailVerified: !!account.email_verified };
+      next();
+    }
+  );
 };
 
-const validatePassword = (password) => {
-  return password && password.length >= 6;
+// For public routes that show a signed-in user more: authenticates when a token is sent, like
+// authenticateToken, and otherwise carries on without req.user
+const authenticateOptional = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
 };
 
-const validateProductData = (title, price) => {
-  return title && title.trim().length > 0 && price && !isNaN(price) && parseFloat(price) > 0;
+// Role check - use after authenticateToken, e.g. authorize('moderator', 'admin')
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
 };
 
-// AUTH ROUTES
+// Session helpers
 
-// Register
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { username, email, password, full_name } = req.body;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
 
-    if (!validateEmail(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ userId: user.id, username: user.username, sessionId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+};
 
-    if (!validatePassword(password)) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+// Opens a new session for the user and hands back an access/refresh token pair
+const createSession = (user, req, callback) => {
+  const refreshToken = generateRefreshToken();
+
+  db.run(
+    "INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at) VALUES (?, ?, ?, ?, datetime('now', ?))",
+    [user.id, hashToken(refreshToken), req.headers['user-agent'] || '', req.ip, `+${REFRESH_TOKEN_TTL_DAYS} days`],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, { token: signAccessToken(user, this.lastID), refreshToken });
     }
+  );
+};
 
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+// One-time token helpers
 
+// Issues a fresh token of the given type, invalidating any earlier unused ones
+const createUserToken = (userId, type, ttlModifier, callback) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  db.serialize(() => {
     db.run(
-      'INSERT INTO users (username, email, password_hash, full_name) VALUES (?, ?, ?, ?)',
-      [username.trim(), email.toLowerCase().trim(), hashedPassword, full_name || ''],
-      function(err) {
-        if (err) {
-          if (err.message.includes('UNIQUE constraint failed')) {
-            return res.status(400).json({ error: 'Username or email already exists' });
-          }
-          return res.status(500).json({ error: 'Registration failed' });
-        }
+      'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND type = ? AND used_at IS NULL',
+      [userId, type]
+    );
+    db.run(
+      "INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, datetime('now', ?))",
+      [userId, type, hashToken(token), ttlModifier],
+      (err) => callback(err, token)
+    );
+  });
+};
 
-        const token = jwt.sign({ userId: this.lastID, username }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-        res.status(201).json({
-          message: 'User registered successfully',
-          token,
-          user: { id: this.lastID, username, email: email.toLowerCase().trim(), full_name: full_name || '' }
-        });
+// Marks a valid token as used and passes back its user id; an invalid, used or expired token yields null
+const consumeUserToken = (token, type, callback) => {
+  const tokenHash = hashToken(token);
+
+  db.get(
+    'SELECT * FROM user_tokens WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+    [tokenHash, type],
+    (err, row) => {
+      if (err || !row) {
+        return callback(err, null);
       }
-    );
-  } catch (error) {
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+      db.run(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [row.id],
+        function(err) {
+          callback(err, this.changes === 1 ? row.user_id : null);
+        }
+      );
+    }
+  );
+};
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+const sendVerificationEmail = (user, callback) => {
+  createUserToken(user.id, 'email_verification', `+${EMAIL_VERIFICATION_TTL_HOURS} hours`, (err, token) => {
+    if (err) {
+      return callback(err);
+    }
+    mailer.send({
+      to: user.email,
+      subject: 'Verify your EcoFinds email address',
+      text: `Hi ${user.username},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n` +
+        `${APP_URL}/?verify_token=${token}\n\n` +
+        `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    }).then(() => callback(null), callback);
+  });
+};
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+const revokeAllSessions = (userId, callback) => {
+  db.run(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId],
+    function(err) {
+      events.disconnect(userId);
+      callback.call(this, err);
     }
+  );
+};
 
-    db.get('SELECT * FROM users WHERE email = ?', [email.toLowerCase().trim()], async (err, user) => {
+// Real-time helpers
+
+// Pushes an event to everyone who has the product in their cart or favorites
+const notifyInterestedUsers = (productId, event, data) => {
+  db.all(
+    'SELECT user_id FROM cart WHERE product_id = ? UNION SELECT user_id FROM favorites WHERE product_id = ?',
+    [productId, productId],
+    (err, rows) => {
       if (err) {
-        return res.status(500).json({ error: 'Login failed' });
+        return console.error('Failed to look up interested users:', err);
       }
+      rows.forEach(row => events.publish(row.user_id, event, data));
+    }
+  );
+};
 
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
+// Lets every open page drop or refresh a listing as soon as it changes
+const broadcastProductChange = (event, productId, changes = {}) => {
+  events.broadcast(event, { product_id: parseInt(productId), ...changes });
+};
 
-      const validPassword = await bcrypt.compare(password, user.password_hash);
-      if (!validPassword) {
+// Edits to a draft only reach its seller - nobody else may see it before it is published
+const announceProductUpdate = (product, changes) => {
+  if (product.status === 'draft') {
+    events.publish(product.user_id, 'product.updated', { product_id: product.id, ...changes });
+  } else {
+    broadcastProductChange('product.updated', product.id, changes);
+  }
+};
+
+// Search helpers
+
+// Turns a search box entry into an FTS5 query. "Quoted text" is matched as a phrase and a
+// trailing * makes a word a prefix; every other character is dropped, so user input can
+// never be a syntax error. Terms are ANDed. Returns null when nothing searchable is left.
+const toFtsQuery = (search) => {
+  const terms = [];
+  const phrasePattern = /"([^"]*)"/g;
+  const words = (text) => text.match(/[\p{L}\p{N}]+\*?/gu) || [];
+
+  let match;
+  while ((match = phrasePattern.exec(search)) !== null) {
+    const phrase = words(match[1]).map(word => word.replace('*', '')).join(' ');
+    if (phrase) terms.push(`"${phrase}"`);
+  }
+  words(search.replace(phrasePattern, ' ')).forEach(word => {
+    terms.push(word.endsWith('*') ? `"${word.slice(0, -1)}"*` : `"${word}"`);
+  });
+
+  return terms.length > 0 ? terms.join(' ') : null;
+};
+
+// Edit distance where swapping two neighbouring letters counts as one edit, the most common typo
+const editDistance = (a, b) => {
+  const rows = [...Array(a.length + 1)].map((_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// How many edits a word of this length may be away from the term it is corrected to
+const maxTypoDistance = (word) => (word.length <= 4 ? 1 : word.length <= 8 ? 2 : 3);
+
+// The closest indexed term to a word that matches no listing, or null. Words are only
+// corrected to terms with the same first letter, which keeps the candidates few.
+const correctWord = async (word) => {
+  const maxDistance = maxTypoDistance(word);
+  const candidates = await dbAll(
+    'SELECT term, doc FROM products_fts_vocab WHERE substr(term, 1, 1) = ? AND length(term) BETWEEN ? AND ?',
+    [word[0], word.length - maxDistance, word.length + maxDistance]
+  );
+  const best = candidates
+    .map(candidate => ({ ...candidate, distance: editDistance(word, candidate.term) }))
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || b.doc - a.doc)[0];
+  if (!best) return null;
+
+  // Terms are stems ("bicycl"), so show the word as a listing spells it ("bicycle")
+  const listing = await dbGet(
+    'SELECT title, description FROM products_fts WHERE products_fts MATCH ? LIMIT 1',
+    [`"${best.term}"`]
+  );
+  const spelled = listing && (`${listing.title} ${listing.description}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .find(candidate => candidate.startsWith(best.term));
+  return spelled || best.term;
+};
+
+// A corrected search for one that found nothing, or null when no word looks misspelled
+const suggestSearch = async (search) => {
+  const words = String(search).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  let changed = false;
+  const corrected = [];
+  for (const word of words) {
+    const known = await dbGet('SELECT 1 FROM products_fts WHERE products_fts MATCH ? LIMIT 1', [`"${word}"`]);
+    const correction = known ? null : await correctWord(word);
+    if (correction) changed = true;
+    corrected.push(correction || word);
+  }
+  return changed ? corrected.join(' ') : null;
+};
+
+const MAX_LOGGED_QUERY_LENGTH = 100;
+// Searches older than this no longer count towards popular suggestions, and are deleted
+const POPULAR_SEARCH_WINDOW_DAYS = 30;
+
+// Lower-cased with collapsed whitespace, so "Red  Chair" and "red chair" count as one search
+const normalizeSearch = (search) => String(search).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_LOGGED_QUERY_LENGTH);
+
+const logSearch = (search, resultCount) => {
+  const query = normalizeSearch(search);
+  if (!query) return;
+  db.run('INSERT INTO search_queries (query, result_count) VALUES (?, ?)', [query, resultCount], (err) => {
+    if (err) console.error('Failed to log search:', err);
+  });
+};
+
+// The search log only feeds popular suggestions, so nothing older than their window is kept
+const pruneSearchLog = () => dbRun(
+  "DELETE FROM search_queries WHERE created_at < datetime('now', ?)",
+  [`-${POPULAR_SEARCH_WINDOW_DAYS} days`]
+);
+
+// Saved search helpers
+
+const SAVED_SEARCH_ALERT_MODES = ['instant', 'daily', 'off'];
+const SAVED_SEARCH_SORTS = ['relevance', 'newest', 'oldest', 'price_low', 'price_high'];
+const MAX_SAVED_SEARCHES = 20;
+
+const formatMatchList = (matches) => matches.map(match => `- ${match.title} ($${match.price})`).join('\n');
+
+// Records which saved searches the new products match, then alerts the owners in-app and,
+// for instant alerts, by email. Daily digests pick up their matches in sendSavedSearchDigests.
+const notifySavedSearches = async (productIds) => {
+  if (productIds.length === 0) return;
+
+  const matches = await dbAll(
+    `SELECT s.id as saved_search_id, s.user_id, s.name, s.alert_mode, u.email, u.username, u.email_verified,
+            p.id as product_id, p.title, p.price
+     FROM saved_searches s
+     JOIN users u ON u.id = s.user_id
+     JOIN products p ON p.id IN (${productIds.map(() => '?').join(', ')})
+     WHERE p.status = 'available' AND p.user_id != s.user_id
+       AND (s.category_id IS NULL OR p.category_id IN ${categorySubtreeSql('s.category_id')})
+       AND (s.min_price IS NULL OR p.price >= s.min_price)
+       AND (s.max_price IS NULL OR p.price <= s.max_price)
+       AND (s.fts_query IS NULL OR EXISTS (
+         SELECT 1 FROM products_fts WHERE products_fts MATCH s.fts_query AND products_fts.rowid = p.id
+       ))
+     ORDER BY s.id, p.id`,
+    productIds
+  );
+
+  const bySearch = new Map();
+  for (const match of matches) {
+    const recorded = await dbRun(
+      'INSERT OR IGNORE INTO saved_search_matches (saved_search_id, product_id) VALUES (?, ?)',
+      [match.saved_search_id, match.product_id]
+    );
+    if (recorded.changes === 0) continue;
+    match.match_id = recorded.lastID;
+    bySearch.set(match.saved_search_id, [...(bySearch.get(match.saved_search_id) || []), match]);
+  }
+
+  for (const searchMatches of bySearch.values()) {
+    const { saved_search_id, user_id, name, alert_mode, email, username, email_verified } = searchMatches[0];
+    if (alert_mode === 'off') continue;
+
+    events.publish(user_id, 'saved_search.match', {
+      saved_search_id,
+      name,
+      count: searchMatches.length,
+      product_id: searchMatches[0].product_id,
+      title: searchMatches[0].title
+    });
+
+    if (alert_mode !== 'instant' || !email_verified) continue;
+    // One recipient's failed mail mustn't keep the others from getting theirs
+    try {
+      await mailer.send({
+        to: email,
+        subject: `New listings for your saved search "${name}"`,
+        text: `Hi ${username},\n\n` +
+          `New listings match your saved search "${name}":\n\n` +
+          `${formatMatchList(searchMatches)}\n\n` +
+          `See them on EcoFinds: ${APP_URL}`
+      });
+      await dbRun(
+        `UPDATE saved_search_matches SET emailed_at = CURRENT_TIMESTAMP WHERE id IN (${searchMatches.map(() => '?').join(', ')})`,
+        searchMatches.map(match => match.match_id)
+      );
+    } catch (err) {
+      console.error(`Failed to email saved search ${saved_search_id} alert to user ${user_id}:`, err);
+    }
+  }
+};
+
+// Emails each user one digest of the matches their daily saved searches collected,
+// at most once a day per saved search
+const sendSavedSearchDigests = async () => {
+  const pending = await dbAll(
+    `SELECT m.id as match_id, s.id as saved_search_id, s.name, s.user_id, u.email, u.username, p.title, p.price
+     FROM saved_search_matches m
+     JOIN saved_searches s ON s.id = m.saved_search_id
+     JOIN users u ON u.id = s.user_id
+     JOIN products p ON p.id = m.product_id
+     WHERE s.alert_mode = 'daily' AND m.emailed_at IS NULL AND u.email_verified = 1
+       AND p.status = 'available' AND s.last_digest_at <= datetime('now', '-1 day')
+     ORDER BY s.user_id, s.id, m.id`
+  );
+
+  const byUser = new Map();
+  pending.forEach(match => byUser.set(match.user_id, [...(byUser.get(match.user_id) || []), match]));
+
+  for (const userMatches of byUser.values()) {
+    const searchIds = [...new Set(userMatches.map(match => match.saved_search_id))];
+    const sections = searchIds.map(searchId => {
+      const searchMatches = userMatches.filter(match => match.saved_search_id === searchId);
+      return `${searchMatches[0].name}:\n${formatMatchList(searchMatches)}`;
+    });
+
+    // A digest that fails to send stays pending and is retried on the next sweep
+    try {
+      await mailer.send({
+        to: userMatches[0].email,
+        subject: `Your daily EcoFinds digest: ${userMatches.length} new listing${userMatches.length === 1 ? '' : 's'}`,
+        text: `Hi ${userMatches[0].username},\n\n` +
+          `Here is what was listed for your saved searches in the last day:\n\n` +
+          `${sections.join('\n\n')}\n\n` +
+          `See them on EcoFinds: ${APP_URL}`
+      });
+      await dbRun(
+        `UPDATE saved_search_matches SET emailed_at = CURRENT_TIMESTAMP WHERE id IN (${userMatches.map(() => '?').join(', ')})`,
+        userMatches.map(match => match.match_id)
+      );
+      await dbRun(
+        `UPDATE saved_searches SET last_digest_at = CURRENT_TIMESTAMP WHERE id IN (${searchIds.map(() => '?').join(', ')})`,
+        searchIds
+      );
+    } catch (err) {
+      console.error(`Failed to email saved search digest to user ${userMatches[0].user_id}:`, err);
+    }
+  }
+};
+
+// Names and search terms end up in mail subjects, where a line break would start a new header
+const CONTROL_CHARACTERS = /[\x00-\x1f\x7f]/;
+
+// Checks a saved search's filters; returns an error message, or null when they are valid
+const validateSavedSearch = ({ search, category, min_price, max_price, sort, alert_mode, name }) => {
+  if (!(search && String(search).trim()) && !category && !min_price && !max_price) {
+    return 'Add a search term, category or price range before saving';
+  }
+  if (search && String(search).length > MAX_LOGGED_QUERY_LENGTH) {
+    return `Search must be at most ${MAX_LOGGED_QUERY_LENGTH} characters`;
+  }
+  if (name && String(name).trim().length > 100) {
+    return 'Name must be at most 100 characters';
+  }
+  if ([search, name].some(value => value && CONTROL_CHARACTERS.test(String(value)))) {
+    return 'Search and name cannot contain line breaks or other control characters';
+  }
+  if ([min_price, max_price].some(price => price && !(parseFloat(price) >= 0))) {
+    return 'Prices must be positive numbers';
+  }
+  if (min_price && max_price && parseFloat(min_price) > parseFloat(max_price)) {
+    return 'Minimum price cannot be above the maximum price';
+  }
+  if (sort && !SAVED_SEARCH_SORTS.includes(sort)) {
+    return `Sort must be one of: ${SAVED_SEARCH_SORTS.join(', ')}`;
+  }
+  if (alert_mode && !SAVED_SEARCH_ALERT_MODES.includes(alert_mode)) {
+    return `Alert mode must be one of: ${SAVED_SEARCH_ALERT_MODES.join(', ')}`;
+  }
+  return null;
+};
+
+// Category helpers
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'select', 'boolean'];
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_ATTRIBUTE_TEXT_LENGTH = 100;
+
+// Ids of a category and everything nested under it. `root` is the SQL for the category id,
+// a placeholder by default or a column for correlated subqueries.
+const categorySubtreeSql = (root = '?') =>
+  `(WITH RECURSIVE subtree(id) AS (SELECT ${root} UNION ALL SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id) SELECT id FROM subtree)`;
+
+const formatAttribute = (attribute) => ({
+  key: attribute.key,
+  label: attribute.label,
+  type: attribute.type,
+  options: attribute.options ? JSON.parse(attribute.options) : null,
+  unit: attribute.unit,
+  required: !!attribute.required,
+  min_value: attribute.min_value,
+  max_value: attribute.max_value,
+  category_id: attribute.category_id
+});
+
+// All categories in tree order - each parent followed by its children, alphabetically - with their
+// depth and the attributes that apply to them: inherited ones first, and a category's own
+// definition of a key replaces the inherited one
+const loadCategories = async () => {
+  const [categories, attributes] = await Promise.all([
+    dbAll('SELECT * FROM categories ORDER BY name'),
+    dbAll('SELECT * FROM category_attributes ORDER BY sort_order, id')
+  ]);
+  const ids = new Set(categories.map(category => category.id));
+  const result = [];
+
+  const visit = (parentId, depth, inherited) => {
+    categories
+      .filter(category => (ids.has(category.parent_id) ? category.parent_id : null) === parentId)
+      .forEach(category => {
+        const own = attributes.filter(attribute => attribute.category_id === category.id).map(formatAttribute);
+        const ownKeys = new Set(own.map(attribute => attribute.key));
+        const effective = [...inherited.filter(attribute => !ownKeys.has(attribute.key)), ...own];
+        result.push({ ...category, depth, attributes: effective });
+        visit(category.id, depth + 1, effective);
+      });
+  };
+  visit(null, 0, []);
+
+  return result;
+};
+
+// Checks attribute values against a category's attributes. `input` is an object, or JSON text
+// from multipart forms. Returns { attributes } as JSON text (null when empty) or { error }.
+const validateProductAttributes = (schema, input) => {
+  let values = input === undefined || input === null || input === '' ? {} : input;
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (err) {
+      return { error: 'Attributes must be a JSON object' };
+    }
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return { error: 'Attributes must be a JSON object' };
+  }
+
+  const unknown = Object.keys(values).find(key => !schema.some(attribute => attribute.key === key));
+  if (unknown) {
+    return { error: `Unknown attribute for this category: ${unknown}` };
+  }
+
+  const result = {};
+  for (const attribute of schema) {
+    const value = values[attribute.key];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (attribute.required) {
+        return { error: `${attribute.label} is required` };
+      }
+      continue;
+    }
+
+    if (attribute.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: `${attribute.label} must be a number` };
+      }
+      if ((attribute.min_value !== null && number < attribute.min_value) || (attribute.max_value !== null && number > attribute.max_value)) {
+        return { error: `${attribute.label} must be between ${attribute.min_value === null ? '-∞' : attribute.min_value} and ${attribute.max_value === null ? '∞' : attribute.max_value}` };
+      }
+      result[attribute.key] = number;
+    } else if (attribute.type === 'boolean') {
+      if (![true, false, 'true', 'false'].includes(value)) {
+        return { error: `${attribute.label} must be true or false` };
+      }
+      result[attribute.key] = value === true || value === 'true';
+    } else if (attribute.type === 'select') {
+      if (!attribute.options.includes(String(value))) {
+        return { error: `${attribute.label} must be one of: ${attribute.options.join(', ')}` };
+      }
+      result[attribute.key] = String(value);
+    } else {
+      const text = String(value).trim();
+      if (text.length > MAX_ATTRIBUTE_TEXT_LENGTH) {
+        return { error: `${attribute.label} must be at most ${MAX_ATTRIBUTE_TEXT_LENGTH} characters` };
+      }
+      result[attribute.key] = text;
+    }
+  }
+
+  return { attributes: Object.keys(result).length > 0 ? JSON.stringify(result) : null };
+};
+
+// Validates a listing's category and attribute values together
+const parseListingAttributes = async (categoryId, input) => {
+  if (!categoryId) {
+    return validateProductAttributes([], input);
+  }
+  const category = (await loadCategories()).find(candidate => candidate.id === parseInt(categoryId));
+  if (!category) {
+    return { error: 'Category not found' };
+  }
+  return validateProductAttributes(category.attributes, input);
+};
+
+// SQL for `attr` query filters: attr[key]=a,b matches any of the values (case-insensitively),
+// attr[key][min] and attr[key][max] bound numeric attributes
+const attributeFilterSql = (filters) => {
+  const clauses = [];
+  const params = [];
+  if (!filters || typeof filters !== 'object') {
+    return { sql: '', params };
+  }
+
+  Object.entries(filters).forEach(([key, filter]) => {
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) return;
+    const path = `$.${key}`;
+
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      const min = parseFloat(filter.min);
+      const max = parseFloat(filter.max);
+      if (!Number.isNaN(min)) {
+        clauses.push('CAST(json_extract(p.attributes, ?) AS REAL) >= ?');
+        params.push(path, min);
+      }
+      if (!Number.isNaN(max)) {
+        clauses.push('CAST(json_extract(p.attributes, ?) AS REAL) <= ?');
+        params.push(path, max);
+      }
+      return;
+    }
+
+    // json_extract gives booleans back as 1 and 0
+    const values = [].concat(filter).flatMap(value => String(value).split(','))
+      .map(value => value.trim()).filter(Boolean)
+      .map(value => (value === 'true' ? '1' : value === 'false' ? '0' : value));
+    if (values.length > 0) {
+      clauses.push(`CAST(json_extract(p.attributes, ?) AS TEXT) COLLATE NOCASE IN (${values.map(() => '?').join(', ')})`);
+      params.push(path, ...values);
+    }
+  });
+
+  return { sql: clauses.map(clause => ` AND ${clause}`).join(''), params };
+};
+
+// Attribute definitions from the admin API. `existing` is set when updating, where key and type are fixed.
+const validateAttributeDefinition = (body, existing = null) => {
+  const label = String(body.label || '').trim();
+  if (!label) {
+    return { error: 'Attribute label is required' };
+  }
+
+  const key = existing ? existing.key : String(body.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+    return { error: 'Attribute key must start with a letter and use only lowercase letters, digits and underscores' };
+  }
+
+  const type = existing ? existing.type : body.type || 'text';
+  if (!ATTRIBUTE_TYPES.includes(type)) {
+    return { error: `Attribute type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+  }
+
+  let options = null;
+  if (type === 'select') {
+    const list = Array.isArray(body.options) ? body.options : String(body.options || '').split(',');
+    options = [...new Set(list.map(option => String(option).trim()).filter(Boolean))];
+    if (options.length === 0) {
+      return { error: 'Select attributes need at least one option' };
+    }
+  }
+
+  const min = body.min_value === undefined || body.min_value === null || body.min_value === '' ? null : Number(body.min_value);
+  const max = body.max_value === undefined || body.max_value === null || body.max_value === '' ? null : Number(body.max_value);
+  if ([min, max].some(bound => bound !== null && !Number.isFinite(bound)) || (min !== null && max !== null && min > max)) {
+    return { error: 'Minimum and maximum must be numbers, with the minimum not above the maximum' };
+  }
+
+  return {
+    key,
+    label,
+    type,
+    options: options ? JSON.stringify(options) : null,
+    unit: String(body.unit || '').trim() || null,
+    required: parseFlag(body.required, false) ? 1 : 0,
+    min_value: type === 'number' ? min : null,
+    max_value: type === 'number' ? max : null
+  };
+};
+
+// Location helpers
+
+// Listings without a location of their own are where their seller is
+const PRODUCT_LATITUDE_SQL = 'COALESCE(p.latitude, u.latitude)';
+const PRODUCT_LONGITUDE_SQL = 'COALESCE(p.longitude, u.longitude)';
+
+// Resolves a postal code, or "lat,lng", to { latitude, longitude }; null when unknown
+const resolveNear = (near) => {
+  const match = String(near).trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) {
+    return geocoder.lookup(near);
+  }
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+};
+
+// Squared distance in km² between a listing and `origin`. It uses the equirectangular
+// approximation so it needs no SQLite math functions, and orders and filters like the real distance.
+const squaredDistanceSql = (origin) => {
+  const longitudeScale = KM_PER_DEGREE * Math.cos(origin.latitude * Math.PI / 180);
+  return {
+    sql: `((${PRODUCT_LATITUDE_SQL} - ?) * ${KM_PER_DEGREE}) * ((${PRODUCT_LATITUDE_SQL} - ?) * ${KM_PER_DEGREE}) + ` +
+      `((${PRODUCT_LONGITUDE_SQL} - ?) * ?) * ((${PRODUCT_LONGITUDE_SQL} - ?) * ?)`,
+    params: [origin.latitude, origin.latitude, origin.longitude, longitudeScale, origin.longitude, longitudeScale]
+  };
+};
+
+// Replaces the internal distance_sq column with a distance rounded to 0.1 km
+const withDistance = (product) => {
+  const { distance_sq, ...rest } = product;
+  return distance_sq === undefined
+    ? rest
+    : { ...rest, distance_km: distance_sq === null ? null : Math.round(Math.sqrt(distance_sq) * 10) / 10 };
+};
+
+// Geocodes a postal code into the location columns shared by users and products.
+// An empty postal code clears the coordinates; an unknown one returns null.
+const resolveLocationFields = (postalCode, city) => {
+  const cityName = String(city || '').trim() || null;
+  if (!String(postalCode || '').trim()) {
+    return { postal_code: null, city: cityName, latitude: null, longitude: null };
+  }
+
+  const place = geocoder.lookup(postalCode);
+  if (!place) {
+    return null;
+  }
+  return { postal_code: place.postal_code, city: cityName || place.city, latitude: place.latitude, longitude: place.longitude };
+};
+
+// Form fields arrive as strings, JSON bodies as booleans
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  return value === true || value === 'true' || value === '1' || value === 1;
+};
+
+// Reads a listing's optional postal code and its pickup/shipping options; fields left out
+// keep the values of `current`. Returns { error } when they can't be used.
+const parseListingLocation = (body, current = {}) => {
+  const pickup = parseFlag(body.pickup_available, current.pickup_available === undefined ? true : !!current.pickup_available);
+  const shipping = parseFlag(body.shipping_available, !!current.shipping_available);
+  if (!pickup && !shipping) {
+    return { error: 'Offer local pickup, shipping or both' };
+  }
+
+  const { postal_code = null, city = null, latitude = null, longitude = null } = current;
+  const location = body.postal_code === undefined
+    ? { postal_code, city, latitude, longitude }
+    : resolveLocationFields(body.postal_code);
+  if (!location) {
+    return { error: 'Unknown postal code' };
+  }
+
+  return { ...location, pickup_available: pickup ? 1 : 0, shipping_available: shipping ? 1 : 0 };
+};
+
+// Shapes a product row for the listing endpoints: parsed attributes and image variants and a rounded distance
+const formatProduct = (product) => withDistance({
+  ...product,
+  attributes: product.attributes ? JSON.parse(product.attributes) : {},
+  image_url: imageUrl(product.image_url),
+  image_variants: variantUrls(parseImageVariants(product.image_variants))
+});
+
+// Product filter helpers
+
+const PRODUCT_CONDITIONS = ['excellent', 'very_good', 'good', 'fair', 'poor'];
+
+// Price bands counted by the listing facets; both ends are inclusive, like min_price and max_price
+const PRICE_FACET_RANGES = [
+  { min: 0, max: 9.99 },
+  { min: 10, max: 24.99 },
+  { min: 25, max: 49.99 },
+  { min: 50, max: 99.99 },
+  { min: 100, max: 249.99 },
+  { min: 250, max: 499.99 },
+  { min: 500, max: null }
+];
+
+// Turns a GET /api/products query into the FROM and WHERE clauses shared by the listing,
+// its count and its facets. Filters named in `exclude` ('category', 'condition', 'price')
+// are left out, so a facet can count its other options. Returns { error } for unusable parameters.
+const buildProductFilters = (query, exclude = []) => {
+  const { category, search, user_id, min_price, max_price, status = 'available', condition, near, radius_km, attr } = query;
+
+  // Comma-separated list of listing statuses; only items that can still be bought are public
+  const statuses = String(status).split(',').filter(value => LISTED_PRODUCT_STATUSES.includes(value));
+  if (statuses.length === 0) {
+    return { error: `Status must be one of: ${LISTED_PRODUCT_STATUSES.join(', ')}` };
+  }
+  const conditions = condition ? String(condition).split(',').map(value => value.trim()).filter(Boolean) : [];
+  if (conditions.some(value => !PRODUCT_CONDITIONS.includes(value))) {
+    return { error: `Condition must be one of: ${PRODUCT_CONDITIONS.join(', ')}` };
+  }
+
+  // `near` adds each listing's distance; `radius_km` then keeps only the listings within it
+  const origin = near ? resolveNear(near) : null;
+  if (near && !origin) {
+    return { error: 'Unknown location: use a known postal code or "latitude,longitude"' };
+  }
+  const radius = radius_km ? parseFloat(radius_km) : null;
+  if (radius !== null && (!origin || !(radius > 0) || radius > MAX_SEARCH_RADIUS_KM)) {
+    return { error: `radius_km needs near and must be between 0 and ${MAX_SEARCH_RADIUS_KM}` };
+  }
+  const distance = origin ? squaredDistanceSql(origin) : null;
+  const ftsQuery = search ? toFtsQuery(String(search)) : null;
+
+  const clauses = [`p.status IN (${statuses.map(() => '?').join(', ')})`];
+  const params = [...statuses];
+
+  // A category includes the listings in its subcategories
+  if (category && category !== 'all' && !exclude.includes('category')) {
+    clauses.push(`p.category_id IN ${categorySubtreeSql()}`);
+    params.push(parseInt(category));
+  }
+
+  if (ftsQuery) {
+    clauses.push('products_fts MATCH ?');
+    params.push(ftsQuery);
+  }
+
+  if (user_id) {
+    clauses.push('p.user_id = ?');
+    params.push(parseInt(user_id));
+  }
+
+  if (conditions.length > 0 && !exclude.includes('condition')) {
+    clauses.push(`p.condition IN (${conditions.map(() => '?').join(', ')})`);
+    params.push(...conditions);
+  }
+
+  if (min_price && !exclude.includes('price')) {
+    clauses.push('p.price >= ?');
+    params.push(parseFloat(min_price));
+  }
+
+  if (max_price && !exclude.includes('price')) {
+    clauses.push('p.price <= ?');
+    params.push(parseFloat(max_price));
+  }
+
+  if (radius) {
+    clauses.push(`${distance.sql} <= ?`);
+    params.push(...distance.params, radius * radius);
+  }
+
+  const attributeFilters = attributeFilterSql(attr);
+  params.push(...attributeFilters.params);
+
+  return {
+    from: `products p
+    ${ftsQuery ? 'JOIN products_fts ON products_fts.rowid = p.id' : ''}
+    LEFT JOIN users u ON p.user_id = u.id`,
+    where: clauses.join(' AND ') + attributeFilters.sql,
+    params,
+    ftsQuery,
+    distance
+  };
+};
+
+// Product image helpers
+
+const parseImageVariants = (variants) => (variants ? JSON.parse(variants) : null);
+
+// Stored images are referenced as /uploads/<storage key> in the database; anything else is hosted
+// elsewhere (like the seeded images) and is linked and kept as it is
+const STORAGE_REF_PREFIX = '/uploads/';
+const storageKey = (ref) => (ref && ref.startsWith(STORAGE_REF_PREFIX) ? ref.slice(STORAGE_REF_PREFIX.length) : null);
+
+// The URL clients load a stored image from. Drivers may sign it with an expiry, so it is
+// worked out for every response and never stored
+const imageUrl = (ref) => (storageKey(ref) ? storage.url(storageKey(ref)) : ref);
+
+const variantUrls = (variants) => variants && Object.fromEntries(Object.entries(variants).map(([size, variant]) => (
+  [size, { ...variant, jpeg: imageUrl(variant.jpeg), webp: imageUrl(variant.webp) }]
+)));
+
+// Image columns selected by the cart, order, offer, favorite, conversation and profile queries
+const IMAGE_URL_FIELDS = ['image_url', 'product_image_url', 'avatar_url', 'profile_image_url'];
+
+const withImageUrls = (row) => {
+  const resolved = { ...row };
+  IMAGE_URL_FIELDS.forEach(field => {
+    if (resolved[field]) resolved[field] = imageUrl(resolved[field]);
+  });
+  return resolved;
+};
+
+// Deletes the stored files of an image once no row refers to them, so call it after the rows that
+// used the image are gone. Images hosted elsewhere are left alone, and failures are only logged:
+// anything left behind is picked up by the image sweeper.
+const removeImageFiles = async ({ url, variants }) => {
+  const refs = [url, ...Object.values(variants || {}).flatMap(variant => [variant.jpeg, variant.webp])];
+  for (const key of new Set(refs.map(storageKey).filter(Boolean))) {
+    try {
+      if (!(await imageSweeper.isReferenced(key))) {
+        await storage.remove(key);
+      }
+    } catch (err) {
+      console.error(`Failed to remove stored image ${key}:`, err.message);
+    }
+  }
+};
+
+// Checks and re-encodes uploaded files one at a time, so only one is decoded at once.
+// If any file is rejected, the ones already processed are removed again.
+const processUploadedImages = async (files) => {
+  const images = [];
+  try {
+    for (const file of files || []) {
+      images.push(await imageProcessor.process(file.buffer));
+    }
+  } catch (err) {
+    images.forEach(removeImageFiles);
+    throw err;
+  }
+  return images;
+};
+
+// Downloads an image from a user-supplied URL and stores its processed variants
+const downloadAndProcessImage = async (url) => {
+  const { buffer } = await imageFetcher.fetch(url);
+  return imageProcessor.process(buffer);
+};
+
+// Refused downloads and unreadable images are explained to the user; network failures get `fallback`
+const downloadErrorMessage = (err, fallback) => {
+  return err.code === 'REMOTE_IMAGE_REJECTED' || err.code === 'INVALID_IMAGE' ? err.message : fallback;
+};
+
+// Files that aren't images are the client's mistake; anything else is ours
+const sendImageError = (res, err, fallback) => {
+  if (err.code === 'INVALID_IMAGE') {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error('Image processing failed:', err);
+  return res.status(500).json({ error: fallback });
+};
+
+const loadProductImages = async (productId) => {
+  const images = await dbAll(
+    'SELECT id, url, variants, sort_order FROM product_images WHERE product_id = ? ORDER BY sort_order, id',
+    [productId]
+  );
+  return images.map(image => ({ ...image, url: imageUrl(image.url), variants: variantUrls(parseImageVariants(image.variants)) }));
+};
+
+// Copies the first image into products.image_url and image_variants, so listings, carts and orders
+// show the cover without a join. Returns the new cover with client URLs.
+const syncCoverImage = async (productId) => {
+  await dbRun(
+    `UPDATE products SET (image_url, image_variants) = (
+       SELECT url, variants FROM product_images WHERE product_id = ? ORDER BY sort_order, id LIMIT 1
+     ) WHERE id = ?`,
+    [productId, productId]
+  );
+  const cover = await dbGet('SELECT image_url, image_variants FROM products WHERE id = ?', [productId]);
+  return { image_url: imageUrl(cover.image_url), image_variants: variantUrls(parseImageVariants(cover.image_variants)) };
+};
+
+// Adds images ({ url, variants }) after the ones a product already has and returns the cover;
+// null when there was nothing to add
+const addProductImages = async (productId, images) => {
+  if (images.length === 0) return null;
+  const { next_order } = await dbGet(
+    'SELECT COALESCE(MAX(sort_order) + 1, 0) as next_order FROM product_images WHERE product_id = ?',
+    [productId]
+  );
+  for (const [index, image] of images.entries()) {
+    await dbRun(
+      'INSERT INTO product_images (product_id, url, variants, sort_order) VALUES (?, ?, ?, ?)',
+      [productId, image.url, image.variants ? JSON.stringify(image.variants) : null, next_order + index]
+    );
+  }
+  return syncCoverImage(productId);
+};
+
+// Draft helpers
+
+// A draft can be saved before it has a price; until it gets one it is stored with price 0,
+// which a published listing never has
+const UNPRICED_DRAFT_PRICE = 0;
+
+// Parses a draft's `publish_at`: undefined when it wasn't sent, null when it was cleared, otherwise
+// a future time in the format of CURRENT_TIMESTAMP, so SQLite can compare the two
+const parsePublishAt = (value) => {
+  if (value === undefined) return { publishAt: undefined };
+  if (value === null || value === '') return { publishAt: null };
+  const time = new Date(value);
+  if (isNaN(time.getTime())) {
+    return { error: 'publish_at must be a date and time' };
+  }
+  if (time.getTime() <= Date.now()) {
+    return { error: 'publish_at must be in the future' };
+  }
+  return { publishAt: time.toISOString().replace('T', ' ').slice(0, 19) };
+};
+
+// Checks the title and price of a new or edited listing. A draft only needs a title, unless it is
+// scheduled: it will go live by itself, so it needs a price too. `currentPublishAt` is kept when
+// the body leaves publish_at out. Returns { price, publishAt } or { error }.
+const parseListingFields = (body, isDraft, currentPublishAt = null) => {
+  if (!isDraft) {
+    if (!validateProductData(body.title, body.price)) {
+      return { error: 'Title and valid price are required' };
+    }
+    return { price: parseFloat(body.price), publishAt: null };
+  }
+
+  const hasPrice = body.price !== undefined && body.price !== null && body.price !== '';
+  if (!body.title || !body.title.trim() || (hasPrice && !validateProductData(body.title, body.price))) {
+    return { error: 'Drafts need a title, and a valid price if they have one' };
+  }
+  const parsed = parsePublishAt(body.publish_at);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  const publishAt = parsed.publishAt === undefined ? currentPublishAt : parsed.publishAt;
+  if (publishAt && !hasPrice) {
+    return { error: 'A draft needs a price before it can be scheduled' };
+  }
+  return { price: hasPrice ? parseFloat(body.price) : UNPRICED_DRAFT_PRICE, publishAt };
+};
+
+// New listings are drafts when `draft` is set or they are scheduled with publish_at
+const isDraftRequest = (body) => parseFlag(body.draft, false) || !!body.publish_at;
+
+// Puts a draft on the market as a new listing; false when it isn't a publishable draft (any more)
+const publishDraft = async (productId) => {
+  const result = await dbRun(
+    `UPDATE products SET status = 'available', publish_at = NULL, created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'draft' AND price > 0 AND deleted_at IS NULL`,
+    [productId]
+  );
+  if (result.changes === 0) return false;
+  broadcastProductChange('product.updated', productId, { status: 'available', publish_at: null });
+  return true;
+};
+
+// Publishes the drafts whose publish_at has come and alerts saved searches about them.
+// Drafts of suspended or unverified sellers stay drafts, since those sellers may not list.
+const publishScheduledDrafts = async () => {
+  const due = await dbAll(
+    `SELECT p.id FROM products p JOIN users u ON p.user_id = u.id
+     WHERE p.status = 'draft' AND p.publish_at <= CURRENT_TIMESTAMP AND p.deleted_at IS NULL
+     AND u.suspended_at IS NULL AND u.email_verified = 1`
+  );
+  const published = [];
+  for (const { id } of due) {
+    if (await publishDraft(id)) published.push(id);
+  }
+  await notifySavedSearches(published);
+};
+
+// Cart hold helpers
+
+// Every status a listing can have. Drafts aren't published yet, and archived listings were taken
+// off the market by their seller; like sold and unlisted ones, only the seller sees them in their listings.
+const PRODUCT_STATUSES = ['draft', 'available', 'reserved', 'sold', 'archived', 'unlisted'];
+
+// Statuses a listing can be browsed in through GET /api/products
+const LISTED_PRODUCT_STATUSES = ['available', 'reserved'];
+
+// Products the buyer bound to the parameter may take: on sale, held by that buyer,
+// or held by someone else whose hold has run out but not been swept yet
+const BUYABLE_SQL = "(status = 'available' OR (status = 'reserved' AND (reserved_by = ? OR reserved_until <= CURRENT_TIMESTAMP)))";
+
+// Products the buyer bound to both parameters may check out: buyable, not their own, and not
+// waiting on a payment of this buyer's
+const CLAIMABLE_SQL = `${BUYABLE_SQL} AND user_id != ?
+  AND NOT EXISTS (SELECT 1 FROM purchases WHERE product_id = products.id AND status = 'pending_payment')`;
+
+const releaseExpiredHolds = async () => {
+  const expired = await dbAll("SELECT id FROM products WHERE status = 'reserved' AND reserved_until <= CURRENT_TIMESTAMP");
+  for (const product of expired) {
+    const released = await dbRun(
+      `UPDATE products SET status = 'available', reserved_by = NULL, reserved_until = NULL
+       WHERE id = ? AND status = 'reserved' AND reserved_until <= CURRENT_TIMESTAMP`,
+      [product.id]
+    );
+    if (released.changes > 0) {
+      broadcastProductChange('product.updated', product.id, { status: 'available' });
+    }
+  }
+};
+
+// Offer helpers
+
+// Offers still in negotiation, or accepted but not yet checked out
+const OPEN_OFFER_STATUSES = ['pending', 'countered', 'accepted'];
+const OPEN_OFFER_SQL = `status IN (${OPEN_OFFER_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// Offers are expired lazily, right before they are read or acted on
+const expireOffers = (callback) => {
+  db.run(
+    `UPDATE offers SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE ${OPEN_OFFER_SQL} AND expires_at <= CURRENT_TIMESTAMP`,
+    callback
+  );
+};
+
+// The buyer's accepted, unexpired offer on a product, if any - checkout charges its agreed price
+const findAcceptedOffer = (buyerId, productId) => {
+  return dbGet(
+    "SELECT * FROM offers WHERE buyer_id = ? AND product_id = ? AND status = 'accepted' AND expires_at > CURRENT_TIMESTAMP",
+    [buyerId, productId]
+  );
+};
+
+// Once a product sells, the buyer's accepted offer (if any) is completed and every other open offer is cancelled
+const settleOffers = (productId, buyerId) => {
+  db.run(
+    "UPDATE offers SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND buyer_id = ? AND status = 'accepted'",
+    [productId, buyerId],
+    () => db.run(
+      `UPDATE offers SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND ${OPEN_OFFER_SQL}`,
+      [productId]
+    )
+  );
+};
+
+// Order helpers
+
+// Who may move an order from one status to the next. 'paid' is only reached through
+// checkout, never through the status endpoint.
+const ORDER_TRANSITIONS = {
+  pending_payment: { cancelled: ['buyer', 'seller'] },
+  paid: { shipped: ['seller'], cancelled: ['buyer', 'seller'] },
+  shipped: { delivered: ['buyer', 'seller'], disputed: ['buyer'] },
+  delivered: { completed: ['buyer'], disputed: ['buyer'] },
+  disputed: { refunded: ['seller', 'staff'], completed: ['staff'] },
+  completed: {},
+  cancelled: {},
+  refunded: {}
+};
+
+// Buyers can review a purchase once it has arrived
+const REVIEWABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+// Orders that count as a sale on the seller's profile: paid for and not cancelled, disputed or refunded
+const SOLD_ORDER_STATUSES = ['paid', 'shipped', 'delivered', 'completed'];
+const SOLD_ORDER_SQL = `status IN (${SOLD_ORDER_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+const allowedOrderTransitions = (order, user) => {
+  const parties = [];
+  if (order.buyer_id === user.userId) parties.push('buyer');
+  if (order.seller_id === user.userId) parties.push('seller');
+  if (STAFF_ROLES.includes(user.role)) parties.push('staff');
+
+  const next = ORDER_TRANSITIONS[order.status] || {};
+  return Object.keys(next).filter(status => next[status].some(party => parties.includes(party)));
+};
+
+const recordOrderEvent = (purchaseId, fromStatus, toStatus, actorId, note) => {
+  return dbRun(
+    'INSERT INTO order_events (purchase_id, from_status, to_status, actor_id, note) VALUES (?, ?, ?, ?, ?)',
+    [purchaseId, fromStatus, toStatus, actorId || null, note || null]
+  );
+};
+
+// Moves an order on from the status it was loaded with and tells the other parties.
+// Resolves to false when the order changed in the meantime.
+const transitionOrder = async (order, status, actorId, note, shipping = {}) => {
+  const result = await dbRun(
+    `UPDATE purchases SET status = ?, tracking_number = COALESCE(?, tracking_number), carrier = COALESCE(?, carrier),
+     updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+    [status, shipping.tracking_number || null, shipping.carrier || null, order.id, order.status]
+  );
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await recordOrderEvent(order.id, order.status, status, actorId, note);
+  [order.buyer_id, order.seller_id]
+    .filter(userId => userId !== actorId)
+    .forEach(userId => events.publish(userId, 'order.updated', { id: order.id, status, title: order.title }));
+  return true;
+};
+
+// Attaches each order's status history and the transitions the current user may make
+const withOrderDetails = (orders, user, callback) => {
+  if (orders.length === 0) {
+    return callback(null, orders);
+  }
+
+  db.all(
+    `SELECT e.*, u.username as actor_name FROM order_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.purchase_id IN (${orders.map(() => '?').join(', ')})
+     ORDER BY e.id`,
+    orders.map(order => order.id),
+    (err, orderEvents) => {
+      if (err) {
+        return callback(err);
+      }
+      orders.forEach(order => {
+        order.events = orderEvents.filter(event => event.purchase_id === order.id);
+        order.allowed_transitions = allowedOrderTransitions(order, user);
+      });
+      callback(null, orders);
+    }
+  );
+};
+
+// Payment helpers
+
+// Refunds `amount` of a payment and resolves to whether the provider accepted it. A refused
+// refund is added to the payment's refund_due along with the error, for retryFailedRefunds.
+const refundPayment = async (payment, amount) => {
+  try {
+    await paymentProvider.refund(payment.intent_id, { amount });
+  } catch (error) {
+    console.error(`Refund of ${amount} for payment ${payment.id} failed:`, error.message);
+    await dbRun(
+      'UPDATE payments SET refund_due = refund_due + ?, refund_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [amount, error.message, payment.id]
+    );
+    return false;
+  }
+
+  await dbRun(
+    `UPDATE payments SET refunded_amount = refunded_amount + ?,
+     status = CASE WHEN refunded_amount + ? >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [amount, amount, payment.id]
+  );
+  return true;
+};
+
+// Tries every refund the provider refused earlier once more
+const retryFailedRefunds = async () => {
+  const payments = await dbAll('SELECT * FROM payments WHERE refund_due > 0');
+  for (const payment of payments) {
+    // Taken off first, so a refund that fails again is added back rather than counted twice
+    await dbRun(
+      'UPDATE payments SET refund_due = refund_due - ?, refund_error = NULL WHERE id = ?',
+      [payment.refund_due, payment.id]
+    );
+    await refundPayment(payment, payment.refund_due);
+  }
+};
+
+// Records the outcome of a payment. The confirm call and the provider's webhook can both
+// report the same outcome, so only the first report moves the payment to a final state.
+// On success each order's product is marked sold, unless it sold to someone else while
+// the payment was processing - then that order is cancelled and its amount refunded.
+const applyPaymentResult = async (paymentId, status, failureReason) => {
+  if (status === 'processing') {
+    await dbRun(
+      "UPDATE payments SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('created', 'requires_confirmation')",
+      [paymentId]
+    );
+    return;
+  }
+  if (status !== 'succeeded' && status !== 'failed') {
+    return;
+  }
+
+  const claim = await dbRun(
+    `UPDATE payments SET status = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN ('created', 'requires_confirmation', 'processing')`,
+    [status, failureReason || null, paymentId]
+  );
+  if (claim.changes === 0) {
+    return;
+  }
+
+  const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+  const orders = await dbAll(
+    'SELECT p.*, COALESCE(p.item_title, pr.title) as title FROM purchases p JOIN products pr ON p.product_id = pr.id WHERE p.payment_id = ?',
+    [paymentId]
+  );
+
+  if (status === 'failed') {
+    for (const order of orders.filter(order => order.status === 'pending_payment')) {
+      await transitionOrder(order, 'cancelled', null, `Payment failed: ${failureReason || 'declined'}`);
+    }
+    return;
+  }
+
+  let refundAmount = 0;
+  const paidOrders = await dbTransaction(async () => {
+    const paid = [];
+    for (const order of orders) {
+      // Cancelled by the buyer or seller while the payment was still processing
+      if (order.status !== 'pending_payment') {
+        refundAmount += order.price;
+        continue;
+      }
+
+      const sold = await dbRun(
+        `UPDATE products SET status = 'sold', reserved_by = NULL, reserved_until = NULL WHERE id = ? AND ${BUYABLE_SQL}`,
+        [order.product_id, order.buyer_id]
+      );
+      if (sold.changes === 0) {
+        await transitionOrder(order, 'cancelled', null, 'The item sold to another buyer before your payment completed');
+        refundAmount += order.price;
+        continue;
+      }
+
+      await transitionOrder(order, 'paid', null, 'Payment confirmed');
+      await dbRun('DELETE FROM cart WHERE user_id = ? AND product_id = ?', [order.buyer_id, order.product_id]);
+      paid.push(order);
+    }
+    return paid;
+  });
+
+  paidOrders.forEach(order => {
+    settleOffers(order.product_id, order.buyer_id);
+    broadcastProductChange('product.sold', order.product_id, { status: 'sold' });
+  });
+
+  if (refundAmount > 0) {
+    await refundPayment(payment, Math.round(refundAmount * 100) / 100);
+  }
+};
+
+// Creates the provider intent for a stored payment and confirms it straight away
+const processPayment = async (paymentId, paymentMethod) => {
+  try {
+    const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    const intent = await paymentProvider.createIntent({
+      amount: payment.amount,
+      currency: payment.currency,
+      metadata: { payment_id: payment.id }
+    });
+    await dbRun(
+      'UPDATE payments SET intent_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [intent.id, intent.status, payment.id]
+    );
+
+    const result = await paymentProvider.confirmIntent(intent.id, { paymentMethod });
+    await applyPaymentResult(payment.id, result.status, result.failureReason);
+  } catch (error) {
+    console.error(`Payment ${paymentId} failed:`, error);
+    await applyPaymentResult(paymentId, 'failed', 'The payment could not be processed');
+  }
+};
+
+// Answers a checkout request from the stored state of its payment, so that a replayed
+// request (same Idempotency-Key) gets the same answer as the original one
+const respondWithPayment = async (res, paymentId) => {
+  const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+  const orders = await dbAll('SELECT id, product_id, price, status FROM purchases WHERE payment_id = ? ORDER BY id', [paymentId]);
+  const paid = orders.filter(order => order.status !== 'cancelled' && order.status !== 'pending_payment');
+  const summary = {
+    payment_id: payment.id,
+    payment_status: payment.status,
+    payment_method: payment.payment_method,
+    purchase_id: orders.length > 0 ? orders[0].id : null,
+    purchase_ids: orders.map(order => order.id),
+    purchased: paid.length,
+    total_amount: payment.amount,
+    refund_due: payment.refund_due
+  };
+  const refunded = payment.refund_due > 0 ? 'will be refunded once the payment provider accepts the refund' : 'have been refunded';
+
+  if (payment.status === 'failed') {
+    return res.status(402).json({ error: `Payment failed: ${payment.failure_reason || 'declined'}`, ...summary });
+  }
+  if (!['succeeded', 'refunded', 'partially_refunded'].includes(payment.status)) {
+    return res.status(202).json({ message: 'Your payment is being processed. We will let you know once it is confirmed.', ...summary });
+  }
+  if (paid.length === 0) {
+    const sold = orders.length > 1 ? 'These items sold' : 'This item sold';
+    return res.status(409).json({ error: `${sold} to another buyer before your payment completed. You ${refunded}.`, ...summary });
+  }
+  if (paid.length < orders.length) {
+    return res.json({ message: `Purchase successful! ${paid.length} of ${orders.length} items were booked; the rest sold to another buyer first and ${refunded}.`, ...summary });
+  }
+  res.json({ message: orders.length > 1 ? 'Purchase successful! Your items have been booked.' : 'Purchase successful! Your item has been booked.', ...summary });
+};
+
+// Only users who confirmed their email address may list products
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address before listing products' });
+  }
+  next();
+};
+
+// Input validation functions
+const validateEmail = (email) => {
+  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return re.test(email);
+};
+
+const validatePassword = (password) => {
+  return password && password.length >= 6;
+};
+
+const validateProductData = (title, price) => {
+  return title && title.trim().length > 0 && price && !isNaN(price) && parseFloat(price) > 0;
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_REVIEW_LENGTH = 1000;
+
+const validateMessageBody = (body) => {
+  return typeof body === 'string' && body.trim().length > 0 && body.length <= MAX_MESSAGE_LENGTH;
+};
+
+const validateRating = (rating) => {
+  return Number.isInteger(Number(rating)) && Number(rating) >= 1 && Number(rating) <= 5;
+};
+
+const validateReviewText = (text) => {
+  return text === undefined || text === null || (typeof text === 'string' && text.length <= MAX_REVIEW_LENGTH);
+};
+
+// Joined into product queries to expose each seller's average rating and review count
+const SELLER_RATING_JOIN = `
+    LEFT JOIN (
+      SELECT seller_id, ROUND(AVG(rating), 1) as seller_rating, COUNT(*) as seller_review_count
+      FROM reviews GROUP BY seller_id
+    ) sr ON sr.seller_id = p.user_id
+`;
+
+// AUTH ROUTES
+
+// Register
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, email, password, full_name } = req.body;
+
+    // Validation
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'Username, email, and password are required' });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    // ADMIN_EMAILS accounts start out like any other and are promoted once their email is verified
+    const role = 'seller';
+
+    db.run(
+      'INSERT INTO users (username, email, password_hash, full_name, role) VALUES (?, ?, ?, ?, ?)',
+      [username.trim(), email.toLowerCase().trim(), hashedPassword, full_name || '', role],
+      function(err) {
+        if (err) {
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ error: 'Username or email already exists' });
+          }
+          return res.status(500).json({ error: 'Registration failed' });
+        }
+
+        const newUser = { id: this.lastID, username: username.trim(), email: email.toLowerCase().trim() };
+
+        sendVerificationEmail(newUser, (err) => {
+          if (err) {
+            console.error('Failed to send verification email:', err);
+          }
+        });
+
+        createSession(newUser, req, (err, tokens) => {
+          if (err) {
+            return res.status(500).json({ error: 'Registration failed' });
+          }
+          res.status(201).json({
+            message: 'User registered successfully',
+            token: tokens.token,
+            refresh_token: tokens.refreshToken,
+            user: { id: newUser.id, username: newUser.username, email: newUser.email, full_name: full_name || '', email_verified: false, role }
+          });
+        });
+      }
+    );
+  } catch (error) {
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// Login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    db.get('SELECT * FROM users WHERE email = ?', [email.toLowerCase().trim()], async (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: 'Login failed' });
+      }
+
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const validPassword = await bcrypt.compare(password, user.password_hash);
+      if (!validPassword) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-      
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          full_name: user.full_name,
-          phone: user.phone,
-          address: user.address
+      if (user.suspended_at) {
+        return res.status(403).json({ error: 'Account suspended' + (user.suspension_reason ? `: ${user.suspension_reason}` : '') });
+      }
+
+      createSession(user, req, (err, tokens) => {
+        if (err) {
+          return res.status(500).json({ error: 'Login failed' });
+        }
+        res.json({
+          message: 'Login successful',
+          token: tokens.token,
+          refresh_token: tokens.refreshToken,
+          user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            full_name: user.full_name,
+            phone: user.phone,
+            address: user.address,
+            city: user.city,
+            postal_code: user.postal_code,
+            email_verified: !!user.email_verified,
+            role: user.role
+          }
+        });
+      });
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Refresh - exchanges a refresh token for a new access token and rotates the refresh token
+app.post('/api/auth/refresh', (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  const tokenHash = hashToken(refresh_token);
+
+  db.get(
+    `SELECT s.*, u.username, u.suspended_at, (s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) as is_active
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = ?`,
+    [tokenHash],
+    (err, session) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to refresh session' });
+      }
+
+      if (!session) {
+        // A rotated-out token being replayed means it leaked; kill the session it belonged to
+        db.all('SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL', [tokenHash], (err, leaked) => {
+          (leaked || []).forEach(({ id }) => {
+            db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+            events.disconnectSession(id);
+          });
+          res.status(401).json({ error: 'Invalid refresh token' });
+        });
+        return;
+      }
+
+      if (!session.is_active) {
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+
+      if (session.suspended_at) {
+        return res.status(403).json({ error: 'Account suspended' });
+      }
+
+      const newRefreshToken = generateRefreshToken();
+
+      db.run(
+        `UPDATE sessions SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [hashToken(newRefreshToken), tokenHash, session.id, tokenHash],
+        function(err) {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to refresh session' });
+          }
+          if (this.changes === 0) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+          }
+          res.json({
+            token: signAccessToken({ id: session.user_id, username: session.username }, session.id),
+            refresh_token: newRefreshToken
+          });
+        }
+      );
+    }
+  );
+});
+
+// Logout - revokes the session belonging to the given refresh token and closes its event streams
+app.post('/api/auth/logout', (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  db.get(
+    'SELECT id FROM sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refresh_token)],
+    (err, session) => {
+      if (err) {
+        return res.status(500).json({ error: 'Logout failed' });
+      }
+      if (!session) {
+        return res.json({ message: 'Logged out successfully' });
+      }
+      db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id], (err) => {
+        if (err) {
+          return res.status(500).json({ error: 'Logout failed' });
+        }
+        events.disconnectSession(session.id);
+        res.json({ message: 'Logged out successfully' });
+      });
+    }
+  );
+});
+
+// Logout from all devices
+app.post('/api/auth/logout-all', authenticateToken, (req, res) => {
+  revokeAllSessions(req.user.userId, function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Logout failed' });
+    }
+    res.json({ message: 'Logged out from all devices', revoked: this.changes });
+  });
+});
+
+// Forgot password - always answers the same way so it can't be used to probe for accounts
+app.post('/api/auth/forgot-password', (req, res) => {
+  const { email } = req.body;
+
+  if (!email || !validateEmail(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+
+  const message = 'If an account exists for that email, a password reset link has been sent';
+
+  db.get('SELECT id, username, email FROM users WHERE email = ?', [email.toLowerCase().trim()], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to process request' });
+    }
+    if (!user) {
+      return res.json({ message });
+    }
+
+    createUserToken(user.id, 'password_reset', `+${PASSWORD_RESET_TTL_MINUTES} minutes`, (err, token) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to process request' });
+      }
+
+      mailer.send({
+        to: user.email,
+        subject: 'Reset your EcoFinds password',
+        text: `Hi ${user.username},\n\n` +
+          `Someone asked to reset the password for your EcoFinds account. ` +
+          `If that was you, open the link below to choose a new one:\n\n` +
+          `${APP_URL}/?reset_token=${token}\n\n` +
+          `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`
+      }).then(
+        () => res.json({ message }),
+        (err) => {
+          console.error('Failed to send password reset email:', err);
+          res.status(500).json({ error: 'Failed to send reset email' });
+        }
+      );
+    });
+  });
+});
+
+// Reset password - consumes the reset token and signs the user out everywhere
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    consumeUserToken(token, 'password_reset', (err, userId) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to reset password' });
+      }
+      if (!userId) {
+        return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+      }
+
+      // Receiving the reset email proves ownership of the address too
+      db.run('UPDATE users SET password_hash = ?, email_verified = 1 WHERE id = ?', [hashedPassword, userId], (err) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to reset password' });
+        }
+        promoteBootstrapAdmin(userId);
+        revokeAllSessions(userId, () => {
+          res.json({ message: 'Password has been reset. Please log in with your new password.' });
+        });
+      });
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Verify email
+app.post('/api/auth/verify-email', (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  consumeUserToken(token, 'email_verification', (err, userId) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to verify email' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    db.run('UPDATE users SET email_verified = 1 WHERE id = ?', [userId], (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to verify email' });
+      }
+      promoteBootstrapAdmin(userId);
+      res.json({ message: 'Email verified successfully' });
+    });
+  });
+});
+
+// Resend verification email
+app.post('/api/auth/resend-verification', authenticateToken, (req, res) => {
+  db.get('SELECT id, username, email, email_verified FROM users WHERE id = ?', [req.user.userId], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to send verification email' });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    sendVerificationEmail(user, (err) => {
+      if (err) {
+        console.error('Failed to send verification email:', err);
+        return res.status(500).json({ error: 'Failed to send verification email' });
+      }
+      res.json({ message: 'Verification email sent' });
+    });
+  });
+});
+
+// USER ROUTES
+
+// Get user profile
+app.get('/api/user/profile', authenticateToken, (req, res) => {
+  db.get('SELECT id, username, email, full_name, phone, address, city, postal_code, email_verified, role FROM users WHERE id = ?', [req.user.userId], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...user, email_verified: !!user.email_verified });
+  });
+});
+
+// The signed-in user's own listings in any status but deleted, newest first - `status` is a
+// comma-separated list, like on GET /api/products
+app.get('/api/user/products', authenticateToken, async (req, res) => {
+  const statuses = req.query.status
+    ? String(req.query.status).split(',').filter(value => PRODUCT_STATUSES.includes(value))
+    : PRODUCT_STATUSES;
+  if (statuses.length === 0) {
+    return res.status(400).json({ error: `Status must be one of: ${PRODUCT_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const products = await dbAll(
+      `SELECT p.*, c.name as category_name FROM products p
+       LEFT JOIN categories c ON p.category_id = c.id
+       WHERE p.user_id = ? AND p.deleted_at IS NULL AND p.status IN (${statuses.map(() => '?').join(', ')})
+       ORDER BY p.updated_at DESC, p.id DESC`,
+      [req.user.userId, ...statuses]
+    );
+    res.json({ products: products.map(formatProduct) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch your listings' });
+  }
+});
+
+// Update user profile - the postal code is geocoded so listings can be found by distance.
+// A profile picture that is replaced or cleared is removed from storage.
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  const { full_name, phone, address, city, postal_code, profile_image_url } = req.body;
+
+  const location = resolveLocationFields(postal_code, city);
+  if (!location) {
+    return res.status(400).json({ error: 'Unknown postal code' });
+  }
+
+  try {
+    const previous = await dbGet('SELECT profile_image_url FROM users WHERE id = ?', [req.user.userId]);
+    await dbRun(
+      `UPDATE users SET full_name = ?, phone = ?, address = ?, city = ?, postal_code = ?, latitude = ?, longitude = ?,
+                        profile_image_url = ?
+       WHERE id = ?`,
+      [full_name || '', phone || '', address || '', location.city, location.postal_code, location.latitude, location.longitude,
+       profile_image_url || '', req.user.userId]
+    );
+    if (previous && previous.profile_image_url !== (profile_image_url || '')) {
+      removeImageFiles({ url: previous.profile_image_url });
+    }
+    res.json({ message: 'Profile updated successfully', city: location.city, postal_code: location.postal_code });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Update user profile with image URL (downloads image automatically). Only the full JPEG is kept
+// as the profile picture; the image sweeper removes the other variants.
+app.put('/api/user/profile/with-image', authenticateToken, async (req, res) => {
+  try {
+    const { full_name, phone, address, city, postal_code, profile_image_url } = req.body;
+
+    const location = resolveLocationFields(postal_code, city);
+    if (!location) {
+      return res.status(400).json({ error: 'Unknown postal code' });
+    }
+    
+    let finalImageUrl = null;
+    const previous = await dbGet('SELECT profile_image_url FROM users WHERE id = ?', [req.user.userId]);
+
+    // If profile_image_url is provided, download it
+    if (profile_image_url && profile_image_url.trim()) {
+      try {
+        finalImageUrl = (await downloadAndProcessImage(profile_image_url)).url;
+      } catch (downloadError) {
+        console.error('Failed to download profile image:', downloadError);
+        return res.status(400).json({ error: downloadErrorMessage(downloadError, 'Failed to download profile image from URL') });
+      }
+    }
+    
+    db.run(
+      `UPDATE users SET full_name = ?, phone = ?, address = ?, city = ?, postal_code = ?, latitude = ?, longitude = ?,
+                        profile_image_url = ?
+       WHERE id = ?`,
+      [full_name || '', phone || '', address || '', location.city, location.postal_code, location.latitude, location.longitude,
+       finalImageUrl || '', req.user.userId],
+      function(err) {
+        if (err) {
+          removeImageFiles({ url: finalImageUrl });
+          return res.status(500).json({ error: 'Failed to update profile' });
+        }
+        if (previous && previous.profile_image_url !== (finalImageUrl || '')) {
+          removeImageFiles({ url: previous.profile_image_url });
+        }
+        res.json({ 
+          message: 'Profile updated successfully',
+          city: location.city,
+          postal_code: location.postal_code,
+          profile_image_url: imageUrl(finalImageUrl)
+        });
+      }
+    );
+  } catch (error) {
+    console.error('Error updating profile with image:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Public profile and storefront - only public-safe fields are selected here;
+// email, phone and address must never be added to this query
+app.get('/api/users/:username', (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+
+  const profileQuery = `
+    SELECT u.id, u.username, COALESCE(NULLIF(u.full_name, ''), u.username) as display_name,
+           NULLIF(u.profile_image_url, '') as avatar_url, u.created_at as member_since,
+           (SELECT COUNT(*) FROM products WHERE user_id = u.id AND status = 'available') as listing_count,
+           (SELECT COUNT(*) FROM purchases WHERE seller_id = u.id AND ${SOLD_ORDER_SQL}) as items_sold,
+           (SELECT ROUND(AVG(rating), 1) FROM reviews WHERE seller_id = u.id) as rating,
+           (SELECT COUNT(*) FROM reviews WHERE seller_id = u.id) as review_count
+    FROM users u
+    WHERE u.username = ?
+  `;
+
+  db.get(profileQuery, [req.params.username], (err, profile) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const listingsQuery = `
+      SELECT p.*, c.name as category_name, u.username as seller_name,
+             sr.seller_rating, COALESCE(sr.seller_review_count, 0) as seller_review_count
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN users u ON p.user_id = u.id ${SELLER_RATING_JOIN}
+      WHERE p.user_id = ? AND p.status = 'available'
+      ORDER BY p.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(listingsQuery, [profile.id, limit, (page - 1) * limit], (err, products) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch listings' });
+      }
+      res.json({
+        user: withImageUrls(profile),
+        products: products.map(formatProduct),
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(profile.listing_count / limit),
+          total_items: profile.listing_count,
+          items_per_page: limit
+        }
+      });
+    });
+  });
+});
+
+// CATEGORY ROUTES
+
+// Get all categories in tree order, each with its depth and the attributes its listings take
+app.get('/api/categories', async (req, res) => {
+  try {
+    res.json(await loadCategories());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// PRODUCT ROUTES
+
+// Get all products with filters and pagination
+app.get('/api/products', (req, res) => {
+  const { search, page = 1, limit = 12, sort = 'newest' } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const filters = buildProductFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { ftsQuery, distance } = filters;
+
+  // Searching ranks by bm25 (a title hit weighs most) and returns highlighted snippets
+  let query = `
+    SELECT p.*, c.name as category_name, u.username as seller_name,
+           sr.seller_rating, COALESCE(sr.seller_review_count, 0) as seller_review_count,
+           COALESCE(p.city, u.city) as location_city
+           ${distance ? `, ${distance.sql} as distance_sq` : ''}
+           ${ftsQuery ? `, bm25(products_fts, 10.0, 2.0, 1.0) as relevance,
+           highlight(products_fts, 0, '<mark>', '</mark>') as title_highlight,
+           snippet(products_fts, 1, '<mark>', '</mark>', '…', 16) as description_snippet` : ''}
+    FROM ${filters.from}
+    LEFT JOIN categories c ON p.category_id = c.id ${SELLER_RATING_JOIN}
+    WHERE ${filters.where}
+  `;
+  const params = [...(distance ? distance.params : []), ...filters.params];
+
+  // Sorting options
+  switch (sort) {
+    case 'relevance':
+      query += ftsQuery ? ' ORDER BY relevance, p.created_at DESC' : ' ORDER BY p.created_at DESC';
+      break;
+    case 'price_low':
+      query += ' ORDER BY p.price ASC';
+      break;
+    case 'price_high':
+      query += ' ORDER BY p.price DESC';
+      break;
+    case 'oldest':
+      query += ' ORDER BY p.created_at ASC';
+      break;
+    case 'distance':
+      // Listings without a known location come last
+      query += distance ? ' ORDER BY distance_sq IS NULL, distance_sq, p.created_at DESC' : ' ORDER BY p.created_at DESC';
+      break;
+    default: // newest
+      query += ' ORDER BY p.created_at DESC';
+  }
+
+  // Add pagination
+  query += ' LIMIT ? OFFSET ?';
+  params.push(parseInt(limit), offset);
+
+  // Get total count for pagination
+  const countQuery = `SELECT COUNT(*) as total FROM ${filters.from} WHERE ${filters.where}`;
+
+  db.get(countQuery, filters.params, (err, countResult) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch product count' });
+    }
+
+    db.all(query, params, (err, products) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch products' });
+      }
+
+      // Only the first page counts, so paging through results isn't logged as more searches
+      if (ftsQuery && parseInt(page) === 1) {
+        logSearch(search, countResult.total);
+      }
+
+      const respond = (suggestedSearch) => res.json({
+        products: products.map(formatProduct),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(countResult.total / parseInt(limit)),
+          total_items: countResult.total,
+          items_per_page: parseInt(limit)
+        },
+        suggested_search: suggestedSearch || null
+      });
+
+      if (!ftsQuery || countResult.total > 0) {
+        return respond(null);
+      }
+
+      // Nothing found - offer a corrected search, as long as it finds something with the same filters
+      suggestSearch(search)
+        .then(async (suggestion) => {
+          if (!suggestion) return null;
+          const corrected = buildProductFilters({ ...req.query, search: suggestion });
+          const { total } = await dbGet(`SELECT COUNT(*) as total FROM ${corrected.from} WHERE ${corrected.where}`, corrected.params);
+          return total > 0 ? suggestion : null;
+        })
+        .then(respond, (err) => {
+          console.error('Search suggestion failed:', err);
+          respond(null);
+        });
+    });
+  });
+});
+
+// Listing counts per category, condition and price band for the same query as GET /api/products.
+// Each facet ignores its own filter, so its counts are what picking another option would show.
+app.get('/api/products/facets', async (req, res) => {
+  const byCategory = buildProductFilters(req.query, ['category']);
+  if (byCategory.error) {
+    return res.status(400).json({ error: byCategory.error });
+  }
+  const byCondition = buildProductFilters(req.query, ['condition']);
+  const byPrice = buildProductFilters(req.query, ['price']);
+
+  const priceSql = PRICE_FACET_RANGES.map((range, index) =>
+    `SUM(CASE WHEN p.price >= ?${range.max === null ? '' : ' AND p.price <= ?'} THEN 1 ELSE 0 END) as range_${index}`
+  ).join(', ');
+  const priceParams = PRICE_FACET_RANGES.flatMap(range => (range.max === null ? [range.min] : [range.min, range.max]));
+
+  try {
+    const [categories, categoryRows, conditionRows, priceRow] = await Promise.all([
+      loadCategories(),
+      dbAll(`SELECT p.category_id, COUNT(*) as count FROM ${byCategory.from} WHERE ${byCategory.where} GROUP BY p.category_id`, byCategory.params),
+      dbAll(`SELECT p.condition, COUNT(*) as count FROM ${byCondition.from} WHERE ${byCondition.where} GROUP BY p.condition`, byCondition.params),
+      dbGet(`SELECT ${priceSql} FROM ${byPrice.from} WHERE ${byPrice.where}`, [...priceParams, ...byPrice.params])
+    ]);
+
+    // A category counts the listings in its subcategories too
+    const parents = new Map(categories.map(category => [category.id, category.parent_id]));
+    const categoryCounts = new Map();
+    categoryRows.forEach(row => {
+      for (let id = row.category_id; id; id = parents.get(id)) {
+        categoryCounts.set(id, (categoryCounts.get(id) || 0) + row.count);
+      }
+    });
+    const conditionCounts = new Map(conditionRows.map(row => [row.condition, row.count]));
+
+    res.json({
+      total: categoryRows.reduce((sum, row) => sum + row.count, 0),
+      categories: categories.map(category => ({ id: category.id, count: categoryCounts.get(category.id) || 0 })),
+      conditions: PRODUCT_CONDITIONS.map(value => ({ value, count: conditionCounts.get(value) || 0 })),
+      price_ranges: PRICE_FACET_RANGES.map((range, index) => ({ ...range, count: priceRow[`range_${index}`] || 0 }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch product facets' });
+  }
+});
+
+// Get single product - `near` adds its distance, like on the listing. Deleted listings are gone
+// for everyone, and drafts can only be seen by their seller.
+app.get('/api/products/:id', authenticateOptional, (req, res) => {
+  const origin = req.query.near ? resolveNear(req.query.near) : null;
+  const distance = origin ? squaredDistanceSql(origin) : null;
+  const query = `
+    SELECT p.*, c.name as category_name, u.username as seller_name,
+           sr.seller_rating, COALESCE(sr.seller_review_count, 0) as seller_review_count,
+           COALESCE(p.city, u.city) as location_city
+           ${distance ? `, ${distance.sql} as distance_sq` : ''}
+    FROM products p 
+    LEFT JOIN categories c ON p.category_id = c.id 
+    LEFT JOIN users u ON p.user_id = u.id ${SELLER_RATING_JOIN}
+    WHERE p.id = ? AND p.deleted_at IS NULL
+  `;
+  
+  db.get(query, [...(distance ? distance.params : []), req.params.id], async (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch product' });
+    }
+    if (!product || (product.status === 'draft' && (!req.user || req.user.userId !== product.user_id))) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    try {
+      res.json({ ...formatProduct(product), images: await loadProductImages(product.id) });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch product' });
+    }
+  });
+});
+
+// Create product with file uploads - up to MAX_PRODUCT_IMAGES images, the first one is the cover
+app.post('/api/products', authenticateToken, authorize(...LISTING_ROLES), requireVerifiedEmail, upload.array('images', MAX_PRODUCT_IMAGES), async (req, res) => {
+  const { title, description, category_id, condition } = req.body;
+
+  const isDraft = isDraftRequest(req.body);
+  const fields = parseListingFields(req.body, isDraft);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+  const location = parseListingLocation(req.body);
+  if (location.error) {
+    return res.status(400).json({ error: location.error });
+  }
+
+  let parsedAttributes;
+  try {
+    parsedAttributes = await parseListingAttributes(category_id, req.body.attributes);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to create product' });
+  }
+  if (parsedAttributes.error) {
+    return res.status(400).json({ error: parsedAttributes.error });
+  }
+
+  let images;
+  try {
+    images = await processUploadedImages(req.files);
+  } catch (err) {
+    return sendImageError(res, err, 'Failed to create product');
+  }
+
+  try {
+    // The listing and its images are saved together, and only announced once both are
+    const productId = await dbTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO products (title, description, price, category_id, user_id, condition, status, publish_at,
+                               city, postal_code, latitude, longitude, pickup_available, shipping_available, attributes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [title.trim(), description || '', fields.price, category_id || null, req.user.userId, condition || 'good',
+         isDraft ? 'draft' : 'available', fields.publishAt,
+         location.city, location.postal_code, location.latitude, location.longitude, location.pickup_available, location.shipping_available,
+         parsedAttributes.attributes]
+      );
+      await addProductImages(result.lastID, images);
+      return result.lastID;
+    });
+
+    if (!isDraft) {
+      notifySavedSearches([productId]).catch(err => console.error('Failed to notify saved searches:', err));
+    }
+    res.status(201).json({
+      message: isDraft ? 'Draft saved successfully' : 'Product created successfully',
+      productId
+    });
+  } catch (err) {
+    images.forEach(removeImageFiles);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// Create product with image URL (downloads image automatically)
+app.post('/api/products/with-image-url', authenticateToken, authorize(...LISTING_ROLES), requireVerifiedEmail, async (req, res) => {
+  let image = null;
+
+  try {
+    const { title, description, category_id, image_url, condition } = req.body;
+
+    const isDraft = isDraftRequest(req.body);
+    const fields = parseListingFields(req.body, isDraft);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    const location = parseListingLocation(req.body);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+    const parsedAttributes = await parseListingAttributes(category_id, req.body.attributes);
+    if (parsedAttributes.error) {
+      return res.status(400).json({ error: parsedAttributes.error });
+    }
+
+    // If image_url is provided, download it
+    if (image_url && image_url.trim()) {
+      try {
+        image = await downloadAndProcessImage(image_url);
+      } catch (downloadError) {
+        console.error('Failed to download image:', downloadError);
+        return res.status(400).json({ error: downloadErrorMessage(downloadError, 'Failed to download image from URL') });
+      }
+    }
+
+    const productId = await dbTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO products (title, description, price, category_id, user_id, condition, status, publish_at,
+                               city, postal_code, latitude, longitude, pickup_available, shipping_available, attributes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [title.trim(), description || '', fields.price, category_id || null, req.user.userId, condition || 'good',
+         isDraft ? 'draft' : 'available', fields.publishAt,
+         location.city, location.postal_code, location.latitude, location.longitude, location.pickup_available, location.shipping_available,
+         parsedAttributes.attributes]
+      );
+      await addProductImages(result.lastID, image ? [image] : []);
+      return result.lastID;
+    });
+
+    if (!isDraft) {
+      notifySavedSearches([productId]).catch(err => console.error('Failed to notify saved searches:', err));
+    }
+    res.status(201).json({
+      message: isDraft ? 'Draft saved successfully' : 'Product created successfully',
+      productId,
+      imageUrl: image && imageUrl(image.url)
+    });
+  } catch (error) {
+    console.error('Error creating product with image URL:', error);
+    if (image) removeImageFiles(image);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// Update product - uploaded images are added after the existing ones. Drafts can also be
+// scheduled with publish_at, or unscheduled with an empty one.
+app.put('/api/products/:id', authenticateToken, upload.array('images', MAX_PRODUCT_IMAGES), (req, res) => {
+  const { title, description, category_id } = req.body;
+  const productId = req.params.id;
+
+  // First check if user owns the product
+  db.get('SELECT * FROM products WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [productId, req.user.userId], async (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unauthorized' });
+    }
+
+    const fields = parseListingFields(req.body, product.status === 'draft', product.publish_at);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    const location = parseListingLocation(req.body, product);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    // Attributes left out are kept while the category stays the same
+    const sameCategory = String(category_id || '') === String(product.category_id || '');
+    let parsedAttributes = { attributes: product.attributes };
+    if (req.body.attributes !== undefined || !sameCategory) {
+      try {
+        parsedAttributes = await parseListingAttributes(category_id, req.body.attributes);
+      } catch (err) {
+        return res.status(500).json({ error: 'Failed to update product' });
+      }
+      if (parsedAttributes.error) {
+        return res.status(400).json({ error: parsedAttributes.error });
+      }
+    }
+
+    const newPrice = fields.price;
+    let newImages;
+    let cover;
+
+    try {
+      const { image_count } = await dbGet('SELECT COUNT(*) as image_count FROM product_images WHERE product_id = ?', [productId]);
+      if (image_count + (req.files || []).length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ error: `A listing can have up to ${MAX_PRODUCT_IMAGES} images` });
+      }
+      newImages = await processUploadedImages(req.files);
+    } catch (err) {
+      return sendImageError(res, err, 'Failed to update product');
+    }
+
+    try {
+      await dbRun(
+        `UPDATE products SET title = ?, description = ?, price = ?, category_id = ?, publish_at = ?,
+                             city = ?, postal_code = ?, latitude = ?, longitude = ?, pickup_available = ?, shipping_available = ?,
+                             attributes = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [title.trim(), description || '', newPrice, category_id || null, fields.publishAt,
+         location.city, location.postal_code, location.latitude, location.longitude, location.pickup_available, location.shipping_available,
+         parsedAttributes.attributes, productId]
+      );
+      cover = (await addProductImages(product.id, newImages)) ||
+        { image_url: imageUrl(product.image_url), image_variants: variantUrls(parseImageVariants(product.image_variants)) };
+    } catch (err) {
+      newImages.forEach(removeImageFiles);
+      return res.status(500).json({ error: 'Failed to update product' });
+    }
+
+    announceProductUpdate(product, {
+      title: title.trim(),
+      description: description || '',
+      price: newPrice,
+      category_id: category_id || null,
+      ...cover,
+      status: product.status,
+      publish_at: fields.publishAt,
+      pickup_available: location.pickup_available,
+      shipping_available: location.shipping_available,
+      attributes: parsedAttributes.attributes ? JSON.parse(parsedAttributes.attributes) : {}
+    });
+    if (newPrice < product.price && product.status !== 'draft') {
+      notifyInterestedUsers(product.id, 'product.price_dropped', {
+        product_id: product.id,
+        title: title.trim(),
+        old_price: product.price,
+        new_price: newPrice
+      });
+    }
+
+    res.json({ message: 'Product updated successfully' });
+  });
+});
+
+// Reorder a product's images - `image_ids` lists all of them, the first becomes the cover
+app.put('/api/products/:id/images', authenticateToken, async (req, res) => {
+  const { image_ids } = req.body;
+
+  try {
+    const product = await dbGet('SELECT id, user_id, status FROM products WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [req.params.id, req.user.userId]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unauthorized' });
+    }
+
+    const images = await loadProductImages(product.id);
+    const ids = Array.isArray(image_ids) ? image_ids.map(id => parseInt(id)) : [];
+    if (ids.length !== images.length || new Set(ids).size !== ids.length || !images.every(image => ids.includes(image.id))) {
+      return res.status(400).json({ error: 'image_ids must list each of the product\'s images once' });
+    }
+
+    for (const [index, id] of ids.entries()) {
+      await dbRun('UPDATE product_images SET sort_order = ? WHERE id = ?', [index, id]);
+    }
+    announceProductUpdate(product, await syncCoverImage(product.id));
+
+    res.json({ message: 'Images reordered', images: await loadProductImages(product.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+// Delete one of a product's images; removing the cover makes the next image the cover
+app.delete('/api/products/:id/images/:imageId', authenticateToken, async (req, res) => {
+  try {
+    const product = await dbGet('SELECT id, user_id, status FROM products WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [req.params.id, req.user.userId]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unauthorized' });
+    }
+
+    const image = await dbGet('SELECT * FROM product_images WHERE id = ? AND product_id = ?', [req.params.imageId, product.id]);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await dbRun('DELETE FROM product_images WHERE id = ?', [image.id]);
+    removeImageFiles({ url: image.url, variants: parseImageVariants(image.variants) });
+    announceProductUpdate(product, await syncCoverImage(product.id));
+
+    res.json({ message: 'Image deleted', images: await loadProductImages(product.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+// Delete product. The row stays, so purchases, views and conversations keep pointing at it, but the
+// listing is gone for everyone: it leaves carts and favorites, its image rows are deleted and its
+// cover cleared. Files nothing refers to any more are removed; the full JPEG a purchase's
+// item_image_url points at is still referenced and stays.
+app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+  const productId = req.params.id;
+
+  try {
+    const product = await dbGet(
+      'SELECT id, status FROM products WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+      [productId, req.user.userId]
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unauthorized' });
+    }
+    if (product.status === 'reserved') {
+      return res.status(409).json({ error: 'Product is reserved for a buyer and cannot be deleted' });
+    }
+
+    // Either the listing is gone everywhere or it is left as it was
+    const images = await dbTransaction(async () => {
+      // Sold listings stay sold; anything else is archived. The status check guards against a
+      // purchase reserving the product in the meantime.
+      const result = await dbRun(
+        `UPDATE products SET deleted_at = CURRENT_TIMESTAMP, status = ?, image_url = NULL, image_variants = NULL,
+         updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ? AND deleted_at IS NULL`,
+        [product.status === 'sold' ? 'sold' : 'archived', product.id, product.status]
+      );
+      if (result.changes === 0) {
+        return null;
+      }
+      await dbRun('DELETE FROM cart WHERE product_id = ?', [product.id]);
+      await dbRun('DELETE FROM favorites WHERE product_id = ?', [product.id]);
+
+      const rows = await dbAll('SELECT url, variants FROM product_images WHERE product_id = ?', [product.id]);
+      await dbRun('DELETE FROM product_images WHERE product_id = ?', [product.id]);
+      return rows;
+    });
+    if (!images) {
+      return res.status(409).json({ error: 'Product changed while it was being deleted, please try again' });
+    }
+    images.forEach(image => removeImageFiles({ url: image.url, variants: parseImageVariants(image.variants) }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to delete product' });
+  }
+
+  broadcastProductChange('product.deleted', productId);
+  res.json({ message: 'Product deleted successfully' });
+});
+
+// Take an available listing off the market without deleting it; it can be relisted later
+app.post('/api/products/:id/archive', authenticateToken, async (req, res) => {
+  try {
+    const result = await dbRun(
+      `UPDATE products SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND status = 'available' AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'No available listing of yours with this id' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to archive product' });
+  }
+
+  broadcastProductChange('product.updated', req.params.id, { status: 'archived' });
+  res.json({ message: 'Product archived' });
+});
+
+// Copy a sold or archived listing into a new draft with the same details and images. The images
+// are shared, not copied: stored files never change and are only removed once nothing refers to them.
+app.post('/api/products/:id/relist', authenticateToken, authorize(...LISTING_ROLES), requireVerifiedEmail, async (req, res) => {
+  try {
+    const product = await dbGet(
+      `SELECT * FROM products WHERE id = ? AND user_id = ? AND status IN ('sold', 'archived') AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'No sold or archived listing of yours with this id' });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO products (title, description, price, category_id, user_id, condition, status,
+                             city, postal_code, latitude, longitude, pickup_available, shipping_available, attributes)
+       SELECT title, description, price, category_id, user_id, condition, 'draft',
+              city, postal_code, latitude, longitude, pickup_available, shipping_available, attributes
+       FROM products WHERE id = ?`,
+      [product.id]
+    );
+    await dbRun(
+      `INSERT INTO product_images (product_id, url, variants, sort_order)
+       SELECT ?, url, variants, sort_order FROM product_images WHERE product_id = ? ORDER BY sort_order, id`,
+      [result.lastID, product.id]
+    );
+    await syncCoverImage(result.lastID);
+
+    res.status(201).json({ message: 'Draft created from listing', productId: result.lastID });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to relist product' });
+  }
+});
+
+// Put a draft on the market now, whether or not it is scheduled
+app.post('/api/products/:id/publish', authenticateToken, authorize(...LISTING_ROLES), requireVerifiedEmail, async (req, res) => {
+  try {
+    const product = await dbGet(
+      "SELECT id, price FROM products WHERE id = ? AND user_id = ? AND status = 'draft' AND deleted_at IS NULL",
+      [req.params.id, req.user.userId]
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'No draft of yours with this id' });
+    }
+    if (product.price === UNPRICED_DRAFT_PRICE) {
+      return res.status(400).json({ error: 'Add a price before publishing' });
+    }
+    if (!(await publishDraft(product.id))) {
+      return res.status(409).json({ error: 'Draft changed while it was being published, please try again' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to publish product' });
+  }
+
+  notifySavedSearches([parseInt(req.params.id)]).catch(err => console.error('Failed to notify saved searches:', err));
+  res.json({ message: 'Product published' });
+});
+
+// SEARCH ROUTES
+
+// Typeahead suggestions for the search box: listing titles starting with the typed words,
+// matching categories and popular recent searches with the same beginning
+app.get('/api/search/suggest', async (req, res) => {
+  const q = normalizeSearch(req.query.q || '');
+  const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+  if (q.length < 2) {
+    return res.json({ products: [], categories: [], queries: [] });
+  }
+
+  // The last word is still being typed, so it is matched as a prefix
+  const ftsQuery = toFtsQuery(/\s$/.test(req.query.q) ? q : `${q}*`);
+
+  try {
+    const [products, categories, queries] = await Promise.all([
+      ftsQuery ? dbAll(
+        `SELECT p.id, p.title FROM products_fts
+         JOIN products p ON p.id = products_fts.rowid
+         WHERE products_fts MATCH ? AND p.status = 'available'
+         ORDER BY bm25(products_fts) LIMIT ?`,
+        [`title : (${ftsQuery})`, limit]
+      ) : [],
+      dbAll('SELECT id, name FROM categories WHERE instr(lower(name), ?) > 0 ORDER BY name LIMIT 3', [q]),
+      dbAll(
+        `SELECT query, COUNT(*) as count FROM search_queries
+         WHERE substr(query, 1, length(?)) = ? AND result_count > 0 AND created_at >= datetime('now', ?)
+         GROUP BY query ORDER BY count DESC, MAX(created_at) DESC LIMIT ?`,
+        [q, q, `-${POPULAR_SEARCH_WINDOW_DAYS} days`, limit]
+      )
+    ]);
+
+    res.json({ products, categories, queries });
+  } catch (error) {
+    console.error('Search suggestions failed:', error);
+    res.status(500).json({ error: 'Failed to fetch suggestions' });
+  }
+});
+
+// SAVED SEARCH ROUTES
+
+const SAVED_SEARCH_COLUMNS = `s.id, s.name, s.search, s.category_id, c.name as category_name, s.min_price, s.max_price,
+  s.sort, s.alert_mode, s.created_at`;
+
+// List the current user's saved searches with how many listings each has matched
+app.get('/api/saved-searches', authenticateToken, (req, res) => {
+  db.all(
+    `SELECT ${SAVED_SEARCH_COLUMNS}, COUNT(m.id) as match_count, COALESCE(SUM(m.id IS NOT NULL AND m.seen_at IS NULL), 0) as new_match_count
+     FROM saved_searches s
+     LEFT JOIN categories c ON s.category_id = c.id
+     LEFT JOIN saved_search_matches m ON m.saved_search_id = s.id
+     WHERE s.user_id = ?
+     GROUP BY s.id
+     ORDER BY s.created_at DESC`,
+    [req.user.userId],
+    (err, savedSearches) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch saved searches' });
+      }
+      res.json(savedSearches);
+    }
+  );
+});
+
+// Save the current HomePage filters
+app.post('/api/saved-searches', authenticateToken, (req, res) => {
+  const { search, category, min_price, max_price, sort = 'newest', alert_mode = 'instant', name } = req.body;
+
+  const validationError = validateSavedSearch(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  db.get('SELECT COUNT(*) as count FROM saved_searches WHERE user_id = ?', [req.user.userId], (err, row) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (row.count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const searchText = search && String(search).trim() ? String(search).trim() : null;
+    const defaultName = searchText || 'New listings';
+
+    db.run(
+      `INSERT INTO saved_searches (user_id, name, search, fts_query, category_id, min_price, max_price, sort, alert_mode)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.userId,
+        name && String(name).trim() ? String(name).trim() : defaultName,
+        searchText,
+        searchText ? toFtsQuery(searchText) : null,
+        category ? parseInt(category) : null,
+        min_price ? parseFloat(min_price) : null,
+        max_price ? parseFloat(max_price) : null,
+        sort,
+        alert_mode
+      ],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to save search' });
+        }
+        res.status(201).json({ message: 'Search saved. We will let you know when new listings match.', id: this.lastID });
+      }
+    );
+  });
+});
+
+// Rename a saved search or change how its alerts are sent
+app.put('/api/saved-searches/:id', authenticateToken, (req, res) => {
+  const { name, alert_mode } = req.body;
+
+  if (alert_mode && !SAVED_SEARCH_ALERT_MODES.includes(alert_mode)) {
+    return res.status(400).json({ error: `Alert mode must be one of: ${SAVED_SEARCH_ALERT_MODES.join(', ')}` });
+  }
+  if (name !== undefined && (!String(name).trim() || String(name).trim().length > 100)) {
+    return res.status(400).json({ error: 'Name must be between 1 and 100 characters' });
+  }
+  if (name !== undefined && CONTROL_CHARACTERS.test(String(name))) {
+    return res.status(400).json({ error: 'Name cannot contain line breaks or other control characters' });
+  }
+
+  db.run(
+    'UPDATE saved_searches SET name = COALESCE(?, name), alert_mode = COALESCE(?, alert_mode) WHERE id = ? AND user_id = ?',
+    [name !== undefined ? String(name).trim() : null, alert_mode || null, req.params.id, req.user.userId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to update saved search' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Saved search not found' });
+      }
+      res.json({ message: 'Saved search updated' });
+    }
+  );
+});
+
+// Listings a saved search has matched, newest first; viewing them clears the "new" count
+app.get('/api/saved-searches/:id/matches', authenticateToken, (req, res) => {
+  db.get('SELECT id FROM saved_searches WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId], (err, savedSearch) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const query = `
+      SELECT p.*, c.name as category_name, u.username as seller_name, m.created_at as matched_at, (m.seen_at IS NULL) as is_new
+      FROM saved_search_matches m
+      JOIN products p ON p.id = m.product_id
+      LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE m.saved_search_id = ? AND p.status IN ('available', 'reserved')
+      ORDER BY m.id DESC
+      LIMIT 50
+    `;
+
+    db.all(query, [savedSearch.id], (err, products) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch matches' });
+      }
+      db.run('UPDATE saved_search_matches SET seen_at = CURRENT_TIMESTAMP WHERE saved_search_id = ? AND seen_at IS NULL', [savedSearch.id]);
+      res.json(products.map(formatProduct));
+    });
+  });
+});
+
+// Delete a saved search and its matches
+app.delete('/api/saved-searches/:id', authenticateToken, (req, res) => {
+  db.run('DELETE FROM saved_searches WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to delete saved search' });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    db.run('DELETE FROM saved_search_matches WHERE saved_search_id = ?', [req.params.id]);
+    res.json({ message: 'Saved search deleted' });
+  });
+});
+
+// CART ROUTES
+
+// Get user's cart - items that sold in the meantime are kept so the buyer sees what happened to them
+app.get('/api/cart', authenticateToken, (req, res) => {
+  const query = `
+    SELECT c.*, p.title, p.price, p.image_url, p.status, u.username as seller_name, o.agreed_price as offer_price,
+           CASE WHEN p.status = 'reserved' AND p.reserved_by = c.user_id THEN p.reserved_until END as hold_expires_at
+    FROM cart c
+    JOIN products p ON c.product_id = p.id
+    JOIN users u ON p.user_id = u.id
+    LEFT JOIN offers o ON o.product_id = c.product_id AND o.buyer_id = c.user_id
+      AND o.status = 'accepted' AND o.expires_at > CURRENT_TIMESTAMP
+    WHERE c.user_id = ?
+    ORDER BY c.added_at DESC
+  `;
+
+  db.all(query, [req.user.userId], (err, cartItems) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch cart' });
+    }
+    res.json(cartItems.map(withImageUrls));
+  });
+});
+
+// Add to cart
+app.post('/api/cart', authenticateToken, (req, res) => {
+  const { product_id } = req.body;
+
+  if (!product_id) {
+    return res.status(400).json({ error: 'Product ID is required' });
+  }
+
+  // Check if product exists and is available - reserved items can be added in case the hold runs out
+  db.get("SELECT * FROM products WHERE id = ? AND status IN ('available', 'reserved')", [product_id], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unavailable' });
+    }
+    if (product.user_id === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot add your own product to cart' });
+    }
+
+    db.run(
+      'INSERT OR REPLACE INTO cart (user_id, product_id, quantity) VALUES (?, ?, 1)',
+      [req.user.userId, product_id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to add to cart' });
+        }
+        res.json({ message: 'Product added to cart' });
+      }
+    );
+  });
+});
+
+// Releases the buyer's checkout holds, on every product or only the given ones
+const releaseHolds = async (buyerId, productIds = null) => {
+  const filter = productIds ? ` AND id IN (${productIds.map(() => '?').join(', ')})` : '';
+  const held = await dbAll(
+    `SELECT id FROM products WHERE status = 'reserved' AND reserved_by = ?${filter}`,
+    [buyerId, ...(productIds || [])]
+  );
+  for (const product of held) {
+    const released = await dbRun(
+      "UPDATE products SET status = 'available', reserved_by = NULL, reserved_until = NULL WHERE id = ? AND status = 'reserved' AND reserved_by = ?",
+      [product.id, buyerId]
+    );
+    if (released.changes > 0) {
+      broadcastProductChange('product.updated', product.id, { status: 'available' });
+    }
+  }
+};
+
+// Hold the items in the cart while the buyer checks out. Other buyers can't buy a held item
+// until the hold is released or runs out after CART_HOLD_MINUTES; holds are not extended,
+// so starting checkout again keeps the original expiry.
+app.post('/api/cart/hold', authenticateToken, async (req, res) => {
+  const { product_ids } = req.body;
+  const buyerId = req.user.userId;
+
+  if (product_ids !== undefined && (!Array.isArray(product_ids) || product_ids.length === 0)) {
+    return res.status(400).json({ error: 'Product IDs must be a non-empty array' });
+  }
+
+  try {
+    const cartItems = await dbAll('SELECT product_id FROM cart WHERE user_id = ?', [buyerId]);
+    const inCart = cartItems.map(item => item.product_id);
+    const productIds = product_ids ? product_ids.map(id => parseInt(id)).filter(id => inCart.includes(id)) : inCart;
+
+    if (productIds.length === 0) {
+      return res.status(400).json({ error: 'There is nothing in your cart to check out' });
+    }
+
+    const results = [];
+    for (const id of productIds) {
+      const held = await dbRun(
+        `UPDATE products SET status = 'reserved', reserved_by = ?, reserved_until = datetime('now', ?)
+         WHERE id = ? AND user_id != ? AND (status = 'available' OR (status = 'reserved' AND reserved_until <= CURRENT_TIMESTAMP))`,
+        [buyerId, `+${CART_HOLD_MINUTES} minutes`, id, buyerId]
+      );
+      const product = await dbGet('SELECT id, status, reserved_by, reserved_until FROM products WHERE id = ?', [id]);
+
+      if (product && product.status === 'reserved' && product.reserved_by === buyerId) {
+        if (held.changes > 0) {
+          broadcastProductChange('product.updated', id, { status: 'reserved' });
+        }
+        results.push({ product_id: id, status: 'held', expires_at: product.reserved_until });
+      } else {
+        results.push({ product_id: id, status: product && product.status === 'reserved' ? 'reserved' : 'unavailable' });
+      }
+    }
+
+    const expiries = results.filter(result => result.expires_at).map(result => result.expires_at).sort();
+    res.json({
+      message: expiries.length > 0 ? `Your items are held for ${CART_HOLD_MINUTES} minutes` : 'None of these items could be held',
+      expires_at: expiries[0] || null,
+      results
+    });
+  } catch (error) {
+    console.error('Cart hold failed:', error);
+    res.status(500).json({ error: 'Failed to hold cart items' });
+  }
+});
+
+// Give up the buyer's holds, e.g. when they leave checkout
+app.delete('/api/cart/hold', authenticateToken, async (req, res) => {
+  try {
+    await releaseHolds(req.user.userId);
+    res.json({ message: 'Hold released' });
+  } catch (error) {
+    console.error('Releasing cart hold failed:', error);
+    res.status(500).json({ error: 'Failed to release hold' });
+  }
+});
+
+// Remove from cart
+app.delete('/api/cart/:productId', authenticateToken, (req, res) => {
+  db.run('DELETE FROM cart WHERE user_id = ? AND product_id = ?', [req.user.userId, req.params.productId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to remove from cart' });
+    }
+    releaseHolds(req.user.userId, [parseInt(req.params.productId)]).catch(console.error);
+    res.json({ message: 'Product removed from cart' });
+  });
+});
+
+// PURCHASE ROUTES
+
+// Checkout the given products as one unit: either every item is bought or none is.
+// A single conditional UPDATE holds all the products for the buyer at once, so SQLite decides
+// atomically which of two competing checkouts gets an item. Like buy-now, the orders start out
+// as pending_payment and are charged as one payment through the provider; the items are only
+// marked sold once it is confirmed. Clients should send an Idempotency-Key header.
+// A 409 lists the outcome for each product.
+app.post('/api/purchase', authenticateToken, async (req, res) => {
+  const { product_ids, payment_method } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+
+  if (!product_ids || !Array.isArray(product_ids) || product_ids.length === 0) {
+    return res.status(400).json({ error: 'Product IDs array is required' });
+  }
+
+  const productIds = [...new Set(product_ids.map(id => parseInt(id)))];
+  if (productIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return res.status(400).json({ error: 'Product IDs must be positive integers' });
+  }
+
+  if (!payment_method) {
+    return res.status(400).json({ error: 'Payment method is required' });
+  }
+
+  if (idempotencyKey && idempotencyKey.length > 255) {
+    return res.status(400).json({ error: 'Idempotency key is too long' });
+  }
+
+  const buyerId = req.user.userId;
+  const placeholders = productIds.map(() => '?').join(', ');
+  const fingerprint = `purchase:${[...productIds].sort((a, b) => a - b).join(',')}`;
+
+  const replay = async () => {
+    const existing = await dbGet('SELECT * FROM payments WHERE user_id = ? AND idempotency_key = ?', [buyerId, idempotencyKey]);
+    if (!existing) {
+      return false;
+    }
+    if (existing.request_fingerprint !== fingerprint) {
+      res.status(422).json({ error: 'This idempotency key was already used for a different request' });
+    } else {
+      await respondWithPayment(res, existing.id);
+    }
+    return true;
+  };
+
+  try {
+    if (idempotencyKey && await replay()) {
+      return;
+    }
+
+    // Holding the items, creating the payment and its orders happen as one unit, so a failure
+    // or a concurrent duplicate (same Idempotency-Key) leaves nothing behind
+    let checkout;
+    try {
+      checkout = await dbTransaction(async () => {
+        const claim = await dbRun(
+          `UPDATE products SET status = 'reserved', reserved_by = ?, reserved_until = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+           WHERE id IN (${placeholders}) AND ${CLAIMABLE_SQL}
+           AND (SELECT COUNT(*) FROM products WHERE id IN (${placeholders}) AND ${CLAIMABLE_SQL}) = ?`,
+          [buyerId, `+${CART_HOLD_MINUTES} minutes`, ...productIds, buyerId, buyerId, ...productIds, buyerId, buyerId, productIds.length]
+        );
+        if (claim.changes === 0) {
+          return null;
+        }
+
+        const products = await dbAll(`SELECT * FROM products WHERE id IN (${placeholders})`, productIds);
+        const productsById = new Map(products.map(product => [product.id, product]));
+
+        // An accepted offer replaces the listed price
+        const items = [];
+        for (const id of productIds) {
+          const offer = await findAcceptedOffer(buyerId, id);
+          items.push({ product: productsById.get(id), price: offer ? offer.agreed_price : productsById.get(id).price });
+        }
+        const totalAmount = Math.round(items.reduce((sum, item) => sum + item.price, 0) * 100) / 100;
+
+        const payment = await dbRun(
+          'INSERT INTO payments (user_id, provider, amount, payment_method, idempotency_key, request_fingerprint) VALUES (?, ?, ?, ?, ?, ?)',
+          [buyerId, paymentProvider.name, totalAmount, payment_method, idempotencyKey, fingerprint]
+        );
+        for (const { product, price } of items) {
+          const order = await dbRun(
+            `INSERT INTO purchases (buyer_id, product_id, seller_id, price, status, payment_id, item_title, item_image_url)
+             VALUES (?, ?, ?, ?, 'pending_payment', ?, ?, ?)`,
+            [buyerId, product.id, product.user_id, price, payment.lastID, product.title, product.image_url]
+          );
+          await recordOrderEvent(order.lastID, null, 'pending_payment', buyerId);
+        }
+        return { paymentId: payment.lastID };
+      });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT' && idempotencyKey && await replay()) {
+        return;
+      }
+      throw err;
+    }
+
+    if (!checkout) {
+      // A concurrent duplicate of this request may be the one holding the items
+      if (idempotencyKey && await replay()) {
+        return;
+      }
+      const products = await dbAll(`SELECT * FROM products WHERE id IN (${placeholders})`, productIds);
+      const productsById = new Map(products.map(product => [product.id, product]));
+      const pending = await dbAll(
+        `SELECT product_id FROM purchases WHERE product_id IN (${placeholders}) AND status = 'pending_payment'`,
+        productIds
+      );
+      const results = productIds.map(id => {
+        const product = productsById.get(id);
+        if (!product) {
+          return { product_id: id, status: 'not_found', error: 'Product not found' };
         }
+        if (product.user_id === buyerId) {
+          return { product_id: id, title: product.title, status: 'own_product', error: 'You cannot purchase your own product' };
+        }
+        if (pending.some(order => order.product_id === id)) {
+          return { product_id: id, title: product.title, status: 'reserved', error: 'A payment for this item is already being processed' };
+        }
+        if (product.status === 'reserved' && product.reserved_by !== buyerId) {
+          return { product_id: id, title: product.title, status: 'reserved', error: 'Another buyer is checking this item out' };
+        }
+        if (product.status !== 'available' && product.status !== 'reserved') {
+          return { product_id: id, title: product.title, status: 'unavailable', error: 'This item is no longer available' };
+        }
+        return { product_id: id, title: product.title, status: 'not_purchased' };
       });
-    });
+
+      const failed = results.filter(result => result.error);
+      return res.status(409).json({
+        error: failed.length > 0
+          ? `Purchase failed: ${failed.map(result => result.title || `Product ${result.product_id}`).join(', ')} could not be bought`
+          : 'Your cart changed while checking out, please try again',
+        results
+      });
+    }
+
+    productIds.forEach(id => broadcastProductChange('product.updated', id, { status: 'reserved' }));
+
+    await processPayment(checkout.paymentId, payment_method);
+    await respondWithPayment(res, checkout.paymentId);
   } catch (error) {
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Purchase failed:', error);
+    res.status(500).json({ error: 'Purchase failed' });
   }
 });
 
-// USER ROUTES
+// Buy now - charges the buyer through the payment provider. The order starts out as
+// pending_payment and the product is only marked sold once the payment is confirmed.
+// Clients should send an Idempotency-Key header so that a retried or double-submitted
+// request returns the original result instead of charging twice.
+app.post('/api/buy-now', authenticateToken, async (req, res) => {
+  const { product_id, payment_method } = req.body;
+  const buyerId = req.user.userId;
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+  const fingerprint = `buy-now:${product_id}`;
 
-// Get user profile
-app.get('/api/user/profile', authenticateToken, (req, res) => {
-  db.get('SELECT id, username, email, full_name, phone, address FROM users WHERE id = ?', [req.user.userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch profile' });
+  if (!product_id) {
+    return res.status(400).json({ error: 'Product ID is required' });
+  }
+
+  if (!payment_method) {
+    return res.status(400).json({ error: 'Payment method is required' });
+  }
+
+  if (idempotencyKey && idempotencyKey.length > 255) {
+    return res.status(400).json({ error: 'Idempotency key is too long' });
+  }
+
+  const replay = async () => {
+    const existing = await dbGet('SELECT * FROM payments WHERE user_id = ? AND idempotency_key = ?', [buyerId, idempotencyKey]);
+    if (!existing) {
+      return false;
     }
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (existing.request_fingerprint !== fingerprint) {
+      res.status(422).json({ error: 'This idempotency key was already used for a different request' });
+    } else {
+      await respondWithPayment(res, existing.id);
     }
-    res.json(user);
-  });
-});
+    return true;
+  };
 
-// Update user profile
-app.put('/api/user/profile', authenticateToken, (req, res) => {
-  const { full_name, phone, address, profile_image_url } = req.body;
-  
-  db.run(
-    'UPDATE users SET full_name = ?, phone = ?, address = ?, profile_image_url = ? WHERE id = ?',
-    [full_name || '', phone || '', address || '', profile_image_url || '', req.user.userId],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to update profile' });
-      }
-      res.json({ message: 'Profile updated successfully' });
+  try {
+    if (idempotencyKey && await replay()) {
+      return;
     }
-  );
-});
 
-// Update user profile with image URL (downloads image automatically)
-app.put('/api/user/profile/with-image', authenticateToken, async (req, res) => {
-  try {
-    const { full_name, phone, address, profile_image_url } = req.body;
-    
-    let finalImageUrl = null;
+    // Holding the item, creating the payment and its order happen as one unit, as in /api/purchase
+    let paymentId;
+    try {
+      paymentId = await dbTransaction(async () => {
+        const claim = await dbRun(
+          `UPDATE products SET status = 'reserved', reserved_by = ?, reserved_until = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND ${CLAIMABLE_SQL}`,
+          [buyerId, `+${CART_HOLD_MINUTES} minutes`, product_id, buyerId, buyerId]
+        );
+        if (claim.changes === 0) {
+          return null;
+        }
 
-    // If profile_image_url is provided, download it
-    if (profile_image_url && profile_image_url.trim()) {
-      try {
-        const filename = `profile-${Date.now()}-${Math.round(Math.random() * 1E9)}.jpg`;
-        await downloadImage(profile_image_url, filename);
-        finalImageUrl = `/uploads/${filename}`;
-      } catch (downloadError) {
-        console.error('Failed to download profile image:', downloadError);
-        return res.status(400).json({ error: 'Failed to download profile image from URL' });
+        const product = await dbGet('SELECT * FROM products WHERE id = ?', [product_id]);
+        // An accepted offer replaces the listed price
+        const offer = await findAcceptedOffer(buyerId, product.id);
+        const price = offer ? offer.agreed_price : product.price;
+
+        const payment = await dbRun(
+          'INSERT INTO payments (user_id, provider, amount, payment_method, idempotency_key, request_fingerprint) VALUES (?, ?, ?, ?, ?, ?)',
+          [buyerId, paymentProvider.name, price, payment_method, idempotencyKey, fingerprint]
+        );
+        const order = await dbRun(
+          `INSERT INTO purchases (buyer_id, product_id, seller_id, price, status, payment_id, item_title, item_image_url)
+           VALUES (?, ?, ?, ?, 'pending_payment', ?, ?, ?)`,
+          [buyerId, product.id, product.user_id, price, payment.lastID, product.title, product.image_url]
+        );
+        await recordOrderEvent(order.lastID, null, 'pending_payment', buyerId);
+        return payment.lastID;
+      });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT' && idempotencyKey && await replay()) {
+        return;
       }
+      throw err;
     }
-    
-    db.run(
-      'UPDATE users SET full_name = ?, phone = ?, address = ?, profile_image_url = ? WHERE id = ?',
-      [full_name || '', phone || '', address || '', finalImageUrl || '', req.user.userId],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to update profile' });
-        }
-        res.json({ 
-          message: 'Profile updated successfully',
-          profile_image_url: finalImageUrl
-        });
+
+    if (!paymentId) {
+      // A concurrent duplicate of this request may be the one holding the item
+      if (idempotencyKey && await replay()) {
+        return;
       }
-    );
+      const product = await dbGet(`SELECT * FROM products WHERE id = ? AND ${BUYABLE_SQL}`, [product_id, buyerId]);
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found or unavailable' });
+      }
+      if (product.user_id === buyerId) {
+        return res.status(400).json({ error: 'Cannot purchase your own product' });
+      }
+      return res.status(409).json({ error: 'A payment for this item is already being processed' });
+    }
+
+    await processPayment(paymentId, payment_method);
+    await respondWithPayment(res, paymentId);
   } catch (error) {
-    console.error('Error updating profile with image:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    console.error('Buy now failed:', error);
+    res.status(500).json({ error: 'Purchase failed' });
   }
 });
 
-// CATEGORY ROUTES
+// Get purchase history
+app.get('/api/purchases', authenticateToken, (req, res) => {
+  const query = `
+    SELECT p.*, COALESCE(p.item_title, pr.title) as title, pr.description,
+           COALESCE(p.item_image_url, pr.image_url) as image_url, u.username as seller_name,
+           r.id as review_id, r.rating as review_rating, r.comment as review_comment, r.seller_reply,
+           (r.created_at >= datetime('now', ?)) as review_editable
+    FROM purchases p
+    JOIN products pr ON p.product_id = pr.id
+    JOIN users u ON p.seller_id = u.id
+    LEFT JOIN reviews r ON r.purchase_id = p.id
+    WHERE p.buyer_id = ?
+    ORDER BY p.purchase_date DESC
+  `;
 
-// Get all categories
-app.get('/api/categories', (req, res) => {
-  db.all('SELECT * FROM categories ORDER BY name', (err, categories) => {
+  db.all(query, [`-${REVIEW_EDIT_WINDOW_DAYS} days`, req.user.userId], (err, purchases) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to fetch categories' });
+      return res.status(500).json({ error: 'Failed to fetch purchase history' });
     }
-    res.json(categories);
+    withOrderDetails(purchases, req.user, (err, orders) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch purchase history' });
+      }
+      res.json(orders.map(withImageUrls));
+    });
   });
 });
 
-// PRODUCT ROUTES
+// ORDER ROUTES
 
-// Get all products with filters and pagination
-app.get('/api/products', (req, res) => {
-  const { category, search, user_id, page = 1, limit = 12, sort = 'newest', min_price, max_price } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  
-  let query = `
-    SELECT p.*, c.name as category_name, u.username as seller_name 
-    FROM products p 
-    LEFT JOIN categories c ON p.category_id = c.id 
-    LEFT JOIN users u ON p.user_id = u.id 
-    WHERE p.status = 'available'
+// Loads an order the current user is buyer, seller or staff on, or responds with 404
+const loadOrder = (req, res, callback) => {
+  const query = `
+    SELECT p.*, COALESCE(p.item_title, pr.title) as title, COALESCE(p.item_image_url, pr.image_url) as image_url,
+           b.username as buyer_name, s.username as seller_name
+    FROM purchases p
+    JOIN products pr ON p.product_id = pr.id
+    JOIN users b ON p.buyer_id = b.id
+    JOIN users s ON p.seller_id = s.id
+    WHERE p.id = ?
   `;
-  const params = [];
 
-  if (category && category !== 'all') {
-    query += ' AND p.category_id = ?';
-    params.push(parseInt(category));
-  }
+  db.get(query, [req.params.id], (err, order) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!order || (order.buyer_id !== req.user.userId && order.seller_id !== req.user.userId && !STAFF_ROLES.includes(req.user.role))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    callback(order);
+  });
+};
 
-  if (search && search.trim()) {
-    query += ' AND (p.title LIKE ? OR p.description LIKE ?)';
-    const searchTerm = `%${search.trim()}%`;
-    params.push(searchTerm, searchTerm);
+// Get a single order with its status history
+app.get('/api/orders/:id', authenticateToken, (req, res) => {
+  loadOrder(req, res, (order) => {
+    withOrderDetails([order], req.user, (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch order' });
+      }
+      res.json(withImageUrls(order));
+    });
+  });
+});
+
+// Move an order to its next status - see ORDER_TRANSITIONS for who may do what.
+// Cancelling or refunding a paid order refunds the buyer; cancelling puts the item back on sale.
+app.put('/api/orders/:id/status', authenticateToken, (req, res) => {
+  const { status, note, tracking_number, carrier } = req.body;
+
+  if (note && !validateMessageBody(note)) {
+    return res.status(400).json({ error: `Note must be at most ${MAX_MESSAGE_LENGTH} characters` });
   }
 
-  if (user_id) {
-    query += ' AND p.user_id = ?';
-    params.push(parseInt(user_id));
+  loadOrder(req, res, async (order) => {
+    if (!allowedOrderTransitions(order, req.user).includes(status)) {
+      return res.status(403).json({ error: `You cannot change this order from ${order.status} to ${status}` });
+    }
+    if (status === 'shipped' && !(tracking_number && tracking_number.trim())) {
+      return res.status(400).json({ error: 'A tracking number is required to mark an order as shipped' });
+    }
+
+    try {
+      const shipping = {
+        tracking_number: tracking_number ? tracking_number.trim() : null,
+        carrier: carrier ? carrier.trim() : null
+      };
+      if (!await transitionOrder(order, status, req.user.userId, note, shipping)) {
+        return res.status(409).json({ error: 'Order was changed by someone else, please reload' });
+      }
+
+      if ((status === 'cancelled' || status === 'refunded') && order.status !== 'pending_payment' && order.payment_id) {
+        const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [order.payment_id]);
+        await refundPayment(payment, order.price);
+      }
+
+      if (status === 'cancelled') {
+        const relisted = await dbRun(
+          "UPDATE products SET status = 'available' WHERE id = ? AND status = 'sold' AND deleted_at IS NULL",
+          [order.product_id]
+        );
+        if (relisted.changes > 0) {
+          broadcastProductChange('product.updated', order.product_id, { status: 'available' });
+        }
+      }
+
+      loadOrder(req, res, (updated) => {
+        withOrderDetails([updated], req.user, (err) => {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to fetch order' });
+          }
+          res.json({ message: `Order marked as ${status}`, order: updated });
+        });
+      });
+    } catch (error) {
+      console.error('Failed to update order:', error);
+      res.status(500).json({ error: 'Failed to update order' });
+    }
+  });
+});
+
+// Get the current user's sales, newest first
+app.get('/api/sales', authenticateToken, (req, res) => {
+  const { status } = req.query;
+
+  let query = `
+    SELECT p.*, COALESCE(p.item_title, pr.title) as title, COALESCE(p.item_image_url, pr.image_url) as image_url,
+           u.username as buyer_name
+    FROM purchases p
+    JOIN products pr ON p.product_id = pr.id
+    JOIN users u ON p.buyer_id = u.id
+    WHERE p.seller_id = ?
+  `;
+  const params = [req.user.userId];
+
+  if (status) {
+    query += ' AND p.status = ?';
+    params.push(status);
   }
 
-  if (min_price) {
-    query += ' AND p.price >= ?';
-    params.push(parseFloat(min_price));
+  query += ' ORDER BY p.purchase_date DESC, p.id DESC';
+
+  db.all(query, params, (err, sales) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch sales' });
+    }
+    withOrderDetails(sales, req.user, (err, orders) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch sales' });
+      }
+      res.json(orders.map(withImageUrls));
+    });
+  });
+});
+
+// PAYMENT ROUTES
+
+// Payment provider callbacks - authenticated by signature rather than by user token
+app.post('/api/payments/webhook', async (req, res) => {
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(req.rawBody || '', req.headers);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid webhook signature' });
   }
 
-  if (max_price) {
-    query += ' AND p.price <= ?';
-    params.push(parseFloat(max_price));
+  try {
+    const payment = await dbGet('SELECT id FROM payments WHERE intent_id = ?', [event.data && event.data.intent_id]);
+    if (payment && event.type === 'payment.succeeded') {
+      await applyPaymentResult(payment.id, 'succeeded');
+    } else if (payment && event.type === 'payment.failed') {
+      await applyPaymentResult(payment.id, 'failed', event.data.failure_reason);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Failed to process payment webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
   }
+});
 
-  // Sorting options
-  switch (sort) {
-    case 'price_low':
-      query += ' ORDER BY p.price ASC';
-      break;
-    case 'price_high':
-      query += ' ORDER BY p.price DESC';
-      break;
-    case 'oldest':
-      query += ' ORDER BY p.created_at ASC';
-      break;
-    default: // newest
-      query += ' ORDER BY p.created_at DESC';
+// OFFER ROUTES
+
+const validateOfferAmount = (amount) => {
+  return amount !== undefined && amount !== null && amount !== '' && !isNaN(amount) && parseFloat(amount) > 0;
+};
+
+// Loads an offer the current user is party to (after expiring stale offers), or responds with 404
+const loadOffer = (req, res, callback) => {
+  expireOffers((err) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    db.get(
+      `SELECT o.*, p.status as product_status FROM offers o
+       JOIN products p ON o.product_id = p.id
+       WHERE o.id = ? AND (o.buyer_id = ? OR o.seller_id = ?)`,
+      [req.params.id, req.user.userId, req.user.userId],
+      (err, offer) => {
+        if (err) {
+          return res.status(500).json({ error: 'Database error' });
+        }
+        if (!offer) {
+          return res.status(404).json({ error: 'Offer not found' });
+        }
+        callback(offer);
+      }
+    );
+  });
+};
+
+// Applies a status change to an offer and tells the other party about it
+// `condition` is extra SQL the offer row must match; `conflictError` is the message when it doesn't.
+const updateOffer = (req, res, offer, changes, message, { condition, conflictError } = {}) => {
+  const columns = Object.keys(changes);
+  const assignments = columns.map(column => column === 'expires_at' ? "expires_at = datetime('now', ?)" : `${column} = ?`);
+
+  db.run(
+    `UPDATE offers SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?${condition ? ` AND ${condition}` : ''}`,
+    [...columns.map(column => changes[column]), offer.id, offer.status],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to update offer' });
+      }
+      if (this.changes === 0) {
+        return res.status(409).json({ error: conflictError || 'Offer was changed by someone else, please reload' });
+      }
+
+      db.get('SELECT * FROM offers WHERE id = ?', [offer.id], (err, updated) => {
+        if (err || !updated) {
+          return res.status(500).json({ error: 'Failed to load offer' });
+        }
+        const recipientId = req.user.userId === offer.seller_id ? offer.buyer_id : offer.seller_id;
+        events.publish(recipientId, 'offer.updated', updated);
+        res.json({ message, offer: updated });
+      });
+    }
+  );
+};
+
+// Make an offer on a listing - a buyer can have one open offer per product
+app.post('/api/products/:id/offers', authenticateToken, (req, res) => {
+  const { amount, message } = req.body;
+
+  if (!validateOfferAmount(amount)) {
+    return res.status(400).json({ error: 'Offer amount must be a positive number' });
+  }
+  if (message && !validateMessageBody(message)) {
+    return res.status(400).json({ error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
   }
 
-  // Add pagination
-  query += ' LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), offset);
+  db.get('SELECT * FROM products WHERE id = ? AND status = "available"', [req.params.id], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found or unavailable' });
+    }
+    if (product.user_id === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot make an offer on your own product' });
+    }
 
-  // Get total count for pagination
-  let countQuery = `
-    SELECT COUNT(*) as total 
-    FROM products p 
-    WHERE p.status = 'available'
-  `;
-  const countParams = [];
+    expireOffers(() => {
+      db.get(
+        `SELECT id FROM offers WHERE product_id = ? AND buyer_id = ? AND ${OPEN_OFFER_SQL}`,
+        [product.id, req.user.userId],
+        (err, existing) => {
+          if (err) {
+            return res.status(500).json({ error: 'Database error' });
+          }
+          if (existing) {
+            return res.status(409).json({ error: 'You already have an open offer on this product', offer_id: existing.id });
+          }
+
+          db.run(
+            `INSERT INTO offers (product_id, buyer_id, seller_id, amount, message, expires_at)
+             VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+            [product.id, req.user.userId, product.user_id, Math.round(parseFloat(amount) * 100) / 100, message ? message.trim() : null, `+${OFFER_TTL_HOURS} hours`],
+            function(err) {
+              if (err) {
+                return res.status(500).json({ error: 'Failed to make offer' });
+              }
+              db.get('SELECT * FROM offers WHERE id = ?', [this.lastID], (err, offer) => {
+                if (err || !offer) {
+                  return res.status(500).json({ error: 'Failed to load offer' });
+                }
+                events.publish(product.user_id, 'offer.new', { ...offer, title: product.title, buyer_name: req.user.username });
+                res.status(201).json({ message: 'Offer sent', offer });
+              });
+            }
+          );
+        }
+      );
+    });
+  });
+});
 
-  if (category && category !== 'all') {
-    countQuery += ' AND p.category_id = ?';
-    countParams.push(parseInt(category));
-  }
+// List offers - role=seller for offers received, role=buyer (default) for offers made
+app.get('/api/offers', authenticateToken, (req, res) => {
+  const { role = 'buyer', product_id, status } = req.query;
+  const column = role === 'seller' ? 'o.seller_id' : 'o.buyer_id';
 
-  if (search && search.trim()) {
-    countQuery += ' AND (p.title LIKE ? OR p.description LIKE ?)';
-    const searchTerm = `%${search.trim()}%`;
-    countParams.push(searchTerm, searchTerm);
-  }
+  let query = `
+    SELECT o.*, p.title, p.price as listed_price, p.image_url, p.status as product_status,
+           b.username as buyer_name, s.username as seller_name
+    FROM offers o
+    JOIN products p ON o.product_id = p.id
+    JOIN users b ON o.buyer_id = b.id
+    JOIN users s ON o.seller_id = s.id
+    WHERE ${column} = ?
+  `;
+  const params = [req.user.userId];
 
-  if (user_id) {
-    countQuery += ' AND p.user_id = ?';
-    countParams.push(parseInt(user_id));
+  if (product_id) {
+    query += ' AND o.product_id = ?';
+    params.push(parseInt(product_id));
   }
 
-  if (min_price) {
-    countQuery += ' AND p.price >= ?';
-    countParams.push(parseFloat(min_price));
+  if (status === 'open') {
+    query += ` AND o.${OPEN_OFFER_SQL}`;
+  } else if (status) {
+    query += ' AND o.status = ?';
+    params.push(status);
   }
 
-  if (max_price) {
-    countQuery += ' AND p.price <= ?';
-    countParams.push(parseFloat(max_price));
-  }
+  query += ' ORDER BY o.updated_at DESC, o.id DESC';
 
-  db.get(countQuery, countParams, (err, countResult) => {
+  expireOffers((err) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to fetch product count' });
+      return res.status(500).json({ error: 'Database error' });
     }
-
-    db.all(query, params, (err, products) => {
+    db.all(query, params, (err, offers) => {
       if (err) {
-        return res.status(500).json({ error: 'Failed to fetch products' });
+        return res.status(500).json({ error: 'Failed to fetch offers' });
       }
-      
-      res.json({
-        products,
-        pagination: {
-          current_page: parseInt(page),
-          total_pages: Math.ceil(countResult.total / parseInt(limit)),
-          total_items: countResult.total,
-          items_per_page: parseInt(limit)
-        }
-      });
+      res.json(offers.map(withImageUrls));
     });
   });
 });
 
-// Get single product
-app.get('/api/products/:id', (req, res) => {
-  const query = `
-    SELECT p.*, c.name as category_name, u.username as seller_name, u.phone as seller_phone 
-    FROM products p 
-    LEFT JOIN categories c ON p.category_id = c.id 
-    LEFT JOIN users u ON p.user_id = u.id 
-    WHERE p.id = ?
-  `;
-  
-  db.get(query, [req.params.id], (err, product) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch product' });
+// At most one offer per product is accepted at a time, so only one buyer holds a discounted price
+const NO_OTHER_ACCEPTED_OFFER_SQL = `NOT EXISTS (
+  SELECT 1 FROM offers other WHERE other.product_id = offers.product_id AND other.id != offers.id
+    AND other.status = 'accepted' AND other.expires_at > CURRENT_TIMESTAMP
+)`;
+
+// Accept - the seller accepts a pending offer, or the buyer accepts a counter-offer.
+// The buyer then has OFFER_TTL_HOURS to check out at the agreed price. While another offer on the
+// product is accepted, this is refused; the check is part of the update, so two accepts can't both win.
+app.put('/api/offers/:id/accept', authenticateToken, (req, res) => {
+  loadOffer(req, res, (offer) => {
+    if (offer.product_status !== 'available') {
+      return res.status(400).json({ error: 'Product is no longer available' });
     }
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+
+    const isSeller = req.user.userId === offer.seller_id;
+    if (isSeller ? offer.status !== 'pending' : offer.status !== 'countered') {
+      return res.status(400).json({ error: `Cannot accept an offer that is ${offer.status}` });
     }
-    res.json(product);
+
+    updateOffer(req, res, offer, {
+      status: 'accepted',
+      agreed_price: isSeller ? offer.amount : offer.counter_amount,
+      expires_at: `+${OFFER_TTL_HOURS} hours`
+    }, 'Offer accepted', {
+      condition: NO_OTHER_ACCEPTED_OFFER_SQL,
+      conflictError: 'Another offer on this product has already been accepted, or this offer changed; please reload'
+    });
+  });
+});
+
+// Decline - the seller declines a pending offer, or the buyer declines a counter-offer
+app.put('/api/offers/:id/decline', authenticateToken, (req, res) => {
+  loadOffer(req, res, (offer) => {
+    const isSeller = req.user.userId === offer.seller_id;
+    if (isSeller ? offer.status !== 'pending' : offer.status !== 'countered') {
+      return res.status(400).json({ error: `Cannot decline an offer that is ${offer.status}` });
+    }
+
+    updateOffer(req, res, offer, { status: 'declined' }, 'Offer declined');
   });
 });
 
-// Create product with file upload
-app.post('/api/products', authenticateToken, upload.single('image'), (req, res) => {
-  const { title, description, price, category_id, condition } = req.body;
+// Counter - the seller answers a pending offer with their own price
+app.put('/api/offers/:id/counter', authenticateToken, (req, res) => {
+  const { amount } = req.body;
 
-  if (!validateProductData(title, price)) {
-    return res.status(400).json({ error: 'Title and valid price are required' });
+  if (!validateOfferAmount(amount)) {
+    return res.status(400).json({ error: 'Counter amount must be a positive number' });
   }
 
-  const imageUrl = req.file ? `/uploads/${req.file.filename}` : null;
+  loadOffer(req, res, (offer) => {
+    if (req.user.userId !== offer.seller_id) {
+      return res.status(403).json({ error: 'Only the seller can counter an offer' });
+    }
+    if (offer.status !== 'pending') {
+      return res.status(400).json({ error: `Cannot counter an offer that is ${offer.status}` });
+    }
+    if (offer.product_status !== 'available') {
+      return res.status(400).json({ error: 'Product is no longer available' });
+    }
 
-  db.run(
-    'INSERT INTO products (title, description, price, category_id, user_id, image_url, condition) VALUES (?, ?, ?, ?, ?, ?, ?)',
-    [title.trim(), description || '', parseFloat(price), category_id || null, req.user.userId, imageUrl, condition || 'good'],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to create product' });
-      }
-      res.status(201).json({
-        message: 'Product created successfully',
-        productId: this.lastID
-      });
+    updateOffer(req, res, offer, {
+      status: 'countered',
+      counter_amount: Math.round(parseFloat(amount) * 100) / 100,
+      expires_at: `+${OFFER_TTL_HOURS} hours`
+    }, 'Counter-offer sent');
+  });
+});
+
+// Withdraw - the buyer takes back an offer that is still open
+app.put('/api/offers/:id/withdraw', authenticateToken, (req, res) => {
+  loadOffer(req, res, (offer) => {
+    if (req.user.userId !== offer.buyer_id) {
+      return res.status(403).json({ error: 'Only the buyer can withdraw an offer' });
     }
-  );
+    if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+      return res.status(400).json({ error: `Cannot withdraw an offer that is ${offer.status}` });
+    }
+
+    updateOffer(req, res, offer, { status: 'withdrawn' }, 'Offer withdrawn');
+  });
 });
 
-// Create product with image URL (downloads image automatically)
-app.post('/api/products/with-image-url', authenticateToken, async (req, res) => {
-  try {
-    const { title, description, price, category_id, image_url, condition } = req.body;
+// REVIEW ROUTES
 
-    if (!validateProductData(title, price)) {
-      return res.status(400).json({ error: 'Title and valid price are required' });
-    }
+// Review a purchase - only the buyer can, and only once
+app.post('/api/purchases/:id/review', authenticateToken, (req, res) => {
+  const { rating, comment } = req.body;
 
-    let finalImageUrl = null;
+  if (!validateRating(rating)) {
+    return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+  }
+  if (!validateReviewText(comment)) {
+    return res.status(400).json({ error: `Review must be at most ${MAX_REVIEW_LENGTH} characters` });
+  }
 
-    // If image_url is provided, download it
-    if (image_url && image_url.trim()) {
-      try {
-        const filename = `downloaded-${Date.now()}-${Math.round(Math.random() * 1E9)}.jpg`;
-        await downloadImage(image_url, filename);
-        finalImageUrl = `/uploads/${filename}`;
-      } catch (downloadError) {
-        console.error('Failed to download image:', downloadError);
-        return res.status(400).json({ error: 'Failed to download image from URL' });
-      }
+  db.get('SELECT * FROM purchases WHERE id = ? AND buyer_id = ?', [req.params.id, req.user.userId], (err, purchase) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+    if (!REVIEWABLE_ORDER_STATUSES.includes(purchase.status)) {
+      return res.status(400).json({ error: 'You can review a purchase once it has been delivered' });
     }
 
     db.run(
-      'INSERT INTO products (title, description, price, category_id, user_id, image_url, condition) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [title.trim(), description || '', parseFloat(price), category_id || null, req.user.userId, finalImageUrl, condition || 'good'],
+      'INSERT INTO reviews (purchase_id, product_id, buyer_id, seller_id, rating, comment) VALUES (?, ?, ?, ?, ?, ?)',
+      [purchase.id, purchase.product_id, purchase.buyer_id, purchase.seller_id, Number(rating), comment ? comment.trim() : null],
       function(err) {
         if (err) {
-          return res.status(500).json({ error: 'Failed to create product' });
+          if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'You have already reviewed this purchase' });
+          }
+          return res.status(500).json({ error: 'Failed to save review' });
         }
-        res.status(201).json({
-          message: 'Product created successfully',
-          productId: this.lastID,
-          imageUrl: finalImageUrl
-        });
+        res.status(201).json({ message: 'Review posted', review_id: this.lastID });
       }
     );
-  } catch (error) {
-    console.error('Error creating product with image URL:', error);
-    res.status(500).json({ error: 'Failed to create product' });
-  }
+  });
 });
 
-// Update product
-app.put('/api/products/:id', authenticateToken, upload.single('image'), (req, res) => {
-  const { title, description, price, category_id } = req.body;
-  const productId = req.params.id;
+// Edit a review - allowed for REVIEW_EDIT_WINDOW_DAYS after it was posted
+app.put('/api/reviews/:id', authenticateToken, (req, res) => {
+  const { rating, comment } = req.body;
 
-  if (!validateProductData(title, price)) {
-    return res.status(400).json({ error: 'Title and valid price are required' });
+  if (!validateRating(rating)) {
+    return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+  }
+  if (!validateReviewText(comment)) {
+    return res.status(400).json({ error: `Review must be at most ${MAX_REVIEW_LENGTH} characters` });
   }
 
-  // First check if user owns the product
-  db.get('SELECT * FROM products WHERE id = ? AND user_id = ?', [productId, req.user.userId], (err, product) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found or unauthorized' });
+  db.get(
+    `SELECT id, (created_at >= datetime('now', ?)) as editable FROM reviews WHERE id = ? AND buyer_id = ?`,
+    [`-${REVIEW_EDIT_WINDOW_DAYS} days`, req.params.id, req.user.userId],
+    (err, review) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      if (!review.editable) {
+        return res.status(403).json({ error: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting` });
+      }
+
+      db.run(
+        'UPDATE reviews SET rating = ?, comment = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [Number(rating), comment ? comment.trim() : null, review.id],
+        (err) => {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to update review' });
+          }
+          res.json({ message: 'Review updated' });
+        }
+      );
     }
+  );
+});
 
-    const imageUrl = req.file ? `/uploads/${req.file.filename}` : product.image_url;
+// Seller's public reply to a review; posting again replaces the reply
+app.put('/api/reviews/:id/reply', authenticateToken, (req, res) => {
+  const { reply } = req.body;
 
-    db.run(
-      'UPDATE products SET title = ?, description = ?, price = ?, category_id = ?, image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [title.trim(), description || '', parseFloat(price), category_id || null, imageUrl, productId],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to update product' });
-        }
-        res.json({ message: 'Product updated successfully' });
+  if (typeof reply !== 'string' || !reply.trim() || !validateReviewText(reply)) {
+    return res.status(400).json({ error: `Reply must be between 1 and ${MAX_REVIEW_LENGTH} characters` });
+  }
+
+  db.run(
+    'UPDATE reviews SET seller_reply = ?, seller_replied_at = CURRENT_TIMESTAMP WHERE id = ? AND seller_id = ?',
+    [reply.trim(), req.params.id, req.user.userId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to save reply' });
       }
-    );
-  });
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json({ message: 'Reply posted' });
+    }
+  );
 });
 
-// Delete product
-app.delete('/api/products/:id', authenticateToken, (req, res) => {
-  const productId = req.params.id;
+// Public reviews of a seller, newest first, with their rating summary
+app.get('/api/users/:username/reviews', (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const summaryQuery = `
+    SELECT u.id, u.username, u.created_at as member_since,
+           ROUND(AVG(r.rating), 1) as rating, COUNT(r.id) as review_count
+    FROM users u
+    LEFT JOIN reviews r ON r.seller_id = u.id
+    WHERE u.username = ?
+    GROUP BY u.id
+  `;
 
-  db.run('DELETE FROM products WHERE id = ? AND user_id = ?', [productId, req.user.userId], function(err) {
+  db.get(summaryQuery, [req.params.username], (err, seller) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to delete product' });
+      return res.status(500).json({ error: 'Failed to fetch seller' });
     }
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Product not found or unauthorized' });
+    if (!seller) {
+      return res.status(404).json({ error: 'Seller not found' });
     }
-    res.json({ message: 'Product deleted successfully' });
+
+    const reviewsQuery = `
+      SELECT r.id, r.rating, r.comment, r.seller_reply, r.seller_replied_at, r.created_at, r.updated_at,
+             b.username as buyer_name, p.title as product_title
+      FROM reviews r
+      JOIN users b ON r.buyer_id = b.id
+      JOIN products p ON r.product_id = p.id
+      WHERE r.seller_id = ?
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(reviewsQuery, [seller.id, limit, (page - 1) * limit], (err, reviews) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch reviews' });
+      }
+      res.json({
+        seller,
+        reviews,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(seller.review_count / limit),
+          total_items: seller.review_count,
+          items_per_page: limit
+        }
+      });
+    });
   });
 });
 
-// CART ROUTES
+// FAVORITES/WISHLIST ROUTES
 
-// Get user's cart
-app.get('/api/cart', authenticateToken, (req, res) => {
+// Get user's favorites
+app.get('/api/favorites', authenticateToken, (req, res) => {
   const query = `
-    SELECT c.*, p.title, p.price, p.image_url, p.status, u.username as seller_name
-    FROM cart c
-    JOIN products p ON c.product_id = p.id
-    JOIN users u ON p.user_id = u.id
-    WHERE c.user_id = ? AND p.status = 'available'
-    ORDER BY c.added_at DESC
+    SELECT f.*, p.title, p.description, p.price, p.image_url, p.status, c.name as category_name, u.username as seller_name
+    FROM favorites f
+    JOIN products p ON f.product_id = p.id
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE f.user_id = ? AND p.status IN ('available', 'reserved')
+    ORDER BY f.created_at DESC
   `;
 
-  db.all(query, [req.user.userId], (err, cartItems) => {
+  db.all(query, [req.user.userId], (err, favorites) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to fetch cart' });
+      return res.status(500).json({ error: 'Failed to fetch favorites' });
     }
-    res.json(cartItems);
+    res.json(favorites.map(withImageUrls));
   });
 });
 
-// Add to cart
-app.post('/api/cart', authenticateToken, (req, res) => {
+// Add to favorites
+app.post('/api/favorites', authenticateToken, (req, res) => {
   const { product_id } = req.body;
 
   if (!product_id) {
@@ -794,232 +4476,271 @@ app.post('/api/cart', authenticateToken, (req, res) => {
       return res.status(404).json({ error: 'Product not found or unavailable' });
     }
     if (product.user_id === req.user.userId) {
-      return res.status(400).json({ error: 'Cannot add your own product to cart' });
+      return res.status(400).json({ error: 'Cannot add your own product to favorites' });
     }
 
     db.run(
-      'INSERT OR REPLACE INTO cart (user_id, product_id, quantity) VALUES (?, ?, 1)',
+      'INSERT OR IGNORE INTO favorites (user_id, product_id) VALUES (?, ?)',
       [req.user.userId, product_id],
       function(err) {
         if (err) {
-          return res.status(500).json({ error: 'Failed to add to cart' });
+          return res.status(500).json({ error: 'Failed to add to favorites' });
         }
-        res.json({ message: 'Product added to cart' });
+        if (this.changes === 0) {
+          return res.status(400).json({ error: 'Product already in favorites' });
+        }
+        res.json({ message: 'Product added to favorites' });
       }
     );
   });
 });
 
-// Remove from cart
-app.delete('/api/cart/:productId', authenticateToken, (req, res) => {
-  db.run('DELETE FROM cart WHERE user_id = ? AND product_id = ?', [req.user.userId, req.params.productId], function(err) {
+// Remove from favorites
+app.delete('/api/favorites/:productId', authenticateToken, (req, res) => {
+  db.run('DELETE FROM favorites WHERE user_id = ? AND product_id = ?', [req.user.userId, req.params.productId], function(err) {
     if (err) {
-      return res.status(500).json({ error: 'Failed to remove from cart' });
+      return res.status(500).json({ error: 'Failed to remove from favorites' });
     }
-    res.json({ message: 'Product removed from cart' });
+    res.json({ message: 'Product removed from favorites' });
   });
 });
 
-// PURCHASE ROUTES
-
-// Purchase product(s)
-app.post('/api/purchase', authenticateToken, (req, res) => {
-  const { product_ids } = req.body;
-
-  if (!product_ids || !Array.isArray(product_ids) || product_ids.length === 0) {
-    return res.status(400).json({ error: 'Product IDs array is required' });
-  }
+// REAL-TIME EVENTS
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    let completedPurchases = 0;
-    let errors = [];
-
-    product_ids.forEach(productId => {
-      db.get('SELECT * FROM products WHERE id = ? AND status = "available"', [productId], (err, product) => {
-        if (err || !product) {
-          errors.push(`Product ${productId} not found or unavailable`);
-        } else if (product.user_id === req.user.userId) {
-          errors.push(`Cannot purchase your own product ${productId}`);
-        } else {
-          // Create purchase record
-          db.run(
-            'INSERT INTO purchases (buyer_id, product_id, seller_id, price) VALUES (?, ?, ?, ?)',
-            [req.user.userId, productId, product.user_id, product.price],
-            (err) => {
-              if (err) {
-                errors.push(`Failed to create purchase record for product ${productId}`);
-              } else {
-                // Update product status
-                db.run('UPDATE products SET status = "sold" WHERE id = ?', [productId]);
-                // Remove from cart
-                db.run('DELETE FROM cart WHERE user_id = ? AND product_id = ?', [req.user.userId, productId]);
-                completedPurchases++;
-              }
+// EventSource can't send headers, and an access token in the URL would end up in access logs.
+// Streams are opened with a ticket instead: single-use, valid for a few seconds and tied to the
+// session it was issued for.
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+const streamTickets = new Map(); // ticket hash -> { user, expiresAt }
 
-              // Check if all products processed
-              if (completedPurchases + errors.length === product_ids.length) {
-                if (errors.length > 0) {
-                  db.run('ROLLBACK');
-                  res.status(400).json({ error: 'Purchase failed', details: errors });
-                } else {
-                  db.run('COMMIT');
-                  res.json({ message: 'Purchase completed successfully', purchased: completedPurchases });
-                }
-              }
-            }
-          );
-        }
-      });
-    });
+app.post('/api/events/ticket', authenticateToken, (req, res) => {
+  const now = Date.now();
+  streamTickets.forEach((ticket, hash) => {
+    if (ticket.expiresAt <= now) streamTickets.delete(hash);
   });
-});
 
-// Buy now with payment confirmation
-app.post('/api/buy-now', authenticateToken, (req, res) => {
-  const { product_id, payment_method } = req.body;
-  
-  if (!product_id) {
-    return res.status(400).json({ error: 'Product ID is required' });
-  }
+  const ticket = crypto.randomBytes(32).toString('hex');
+  const { userId, username, sessionId } = req.user;
+  streamTickets.set(hashToken(ticket), { user: { userId, username, sessionId }, expiresAt: now + STREAM_TICKET_TTL_MS });
+  res.json({ ticket, expires_in: STREAM_TICKET_TTL_MS / 1000 });
+});
 
-  if (!payment_method) {
-    return res.status(400).json({ error: 'Payment method is required' });
+// Redeems ?ticket=; the session is checked again, so a ticket can't outlive a logout
+const authenticateStreamTicket = (req, res, next) => {
+  const hash = hashToken(String(req.query.ticket || ''));
+  const ticket = streamTickets.get(hash);
+  streamTickets.delete(hash);
+  if (!ticket || ticket.expiresAt <= Date.now()) {
+    return res.status(401).json({ error: 'Invalid or expired stream ticket' });
   }
+  attachSessionUser(req, res, next, ticket.user);
+};
 
-  db.get('SELECT * FROM products WHERE id = ? AND status = "available"', [product_id], (err, product) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+// Event stream for the current user: product.sold, product.updated, product.deleted,
+// product.price_dropped, message.new, offer.new, offer.updated and order.updated
+app.get('/api/events', authenticateStreamTicket, (req, res) => {
+  events.subscribe(req.user.userId, req, res, req.user.sessionId);
+});
 
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found or unavailable' });
-    }
+// MESSAGING ROUTES
 
-    if (product.user_id === req.user.userId) {
-      return res.status(400).json({ error: 'Cannot purchase your own product' });
+// Loads a conversation the current user takes part in, or responds with 404
+const loadConversation = (req, res, callback) => {
+  db.get(
+    'SELECT * FROM conversations WHERE id = ? AND (buyer_id = ? OR seller_id = ?)',
+    [req.params.id, req.user.userId, req.user.userId],
+    (err, conversation) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      callback(conversation);
     }
+  );
+};
 
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-
-      // Create purchase record
-      db.run(
-        'INSERT INTO purchases (buyer_id, product_id, seller_id, price) VALUES (?, ?, ?, ?)',
-        [req.user.userId, product_id, product.user_id, product.price],
-        function(err) {
-          if (err) {
-            db.run('ROLLBACK');
-            return res.status(500).json({ error: 'Purchase failed' });
-          }
-
-          // Update product status
-          db.run('UPDATE products SET status = "sold" WHERE id = ?', [product_id], (err) => {
-            if (err) {
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to update product status' });
-            }
-
-            db.run('COMMIT');
-            res.json({ 
-              message: 'Purchase successful! Your item has been booked.',
-              purchase_id: this.lastID,
-              product: product,
-              payment_method: payment_method,
-              total_amount: product.price
-            });
-          });
+// Stores a message and pushes it to the other participant
+const insertMessage = (conversation, senderId, body, callback) => {
+  db.run(
+    'INSERT INTO messages (conversation_id, sender_id, body) VALUES (?, ?, ?)',
+    [conversation.id, senderId, body.trim()],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+      const messageId = this.lastID;
+      db.run('UPDATE conversations SET last_message_at = CURRENT_TIMESTAMP WHERE id = ?', [conversation.id]);
+      db.get('SELECT * FROM messages WHERE id = ?', [messageId], (err, message) => {
+        if (!err && message) {
+          const recipientId = senderId === conversation.buyer_id ? conversation.seller_id : conversation.buyer_id;
+          events.publish(recipientId, 'message.new', message);
         }
-      );
-    });
-  });
-});
+        callback(err, message);
+      });
+    }
+  );
+};
 
-// Get purchase history
-app.get('/api/purchases', authenticateToken, (req, res) => {
+// Get the current user's conversations, most recently active first
+app.get('/api/conversations', authenticateToken, (req, res) => {
   const query = `
-    SELECT p.*, pr.title, pr.description, pr.image_url, u.username as seller_name
-    FROM purchases p
-    JOIN products pr ON p.product_id = pr.id
-    JOIN users u ON p.seller_id = u.id
-    WHERE p.buyer_id = ?
-    ORDER BY p.purchase_date DESC
+    SELECT cv.*, p.title as product_title, p.image_url as product_image_url, p.price as product_price, p.status as product_status,
+      CASE WHEN cv.buyer_id = ? THEN s.username ELSE b.username END as other_username,
+      (SELECT body FROM messages m WHERE m.conversation_id = cv.id ORDER BY m.id DESC LIMIT 1) as last_message,
+      (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = cv.id AND m.sender_id != ? AND m.read_at IS NULL) as unread_count
+    FROM conversations cv
+    JOIN products p ON cv.product_id = p.id
+    JOIN users b ON cv.buyer_id = b.id
+    JOIN users s ON cv.seller_id = s.id
+    WHERE cv.buyer_id = ? OR cv.seller_id = ?
+    ORDER BY cv.last_message_at DESC
   `;
+  const userId = req.user.userId;
 
-  db.all(query, [req.user.userId], (err, purchases) => {
+  db.all(query, [userId, userId, userId, userId], (err, conversations) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to fetch purchase history' });
+      return res.status(500).json({ error: 'Failed to fetch conversations' });
     }
-    res.json(purchases);
+    res.json(conversations.map(withImageUrls));
   });
 });
 
-// FAVORITES/WISHLIST ROUTES
-
-// Get user's favorites
-app.get('/api/favorites', authenticateToken, (req, res) => {
+// Get total unread message count
+app.get('/api/conversations/unread-count', authenticateToken, (req, res) => {
   const query = `
-    SELECT f.*, p.title, p.description, p.price, p.image_url, p.status, c.name as category_name, u.username as seller_name
-    FROM favorites f
-    JOIN products p ON f.product_id = p.id
-    LEFT JOIN categories c ON p.category_id = c.id
-    LEFT JOIN users u ON p.user_id = u.id
-    WHERE f.user_id = ? AND p.status = 'available'
-    ORDER BY f.created_at DESC
+    SELECT COUNT(*) as unread
+    FROM messages m
+    JOIN conversations cv ON m.conversation_id = cv.id
+    WHERE (cv.buyer_id = ? OR cv.seller_id = ?) AND m.sender_id != ? AND m.read_at IS NULL
   `;
 
-  db.all(query, [req.user.userId], (err, favorites) => {
+  db.get(query, [req.user.userId, req.user.userId, req.user.userId], (err, result) => {
     if (err) {
-      return res.status(500).json({ error: 'Failed to fetch favorites' });
+      return res.status(500).json({ error: 'Failed to fetch unread count' });
     }
-    res.json(favorites);
+    res.json({ unread: result.unread });
   });
 });
 
-// Add to favorites
-app.post('/api/favorites', authenticateToken, (req, res) => {
-  const { product_id } = req.body;
+// Open (or reuse) a conversation with the seller of a product, optionally sending a first message
+app.post('/api/conversations', authenticateToken, (req, res) => {
+  const { product_id, message } = req.body;
 
   if (!product_id) {
     return res.status(400).json({ error: 'Product ID is required' });
   }
 
-  // Check if product exists and is available
-  db.get('SELECT * FROM products WHERE id = ? AND status = "available"', [product_id], (err, product) => {
+  if (message !== undefined && !validateMessageBody(message)) {
+    return res.status(400).json({ error: `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  db.get("SELECT * FROM products WHERE id = ? AND status != 'draft' AND deleted_at IS NULL", [product_id], (err, product) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
     if (!product) {
-      return res.status(404).json({ error: 'Product not found or unavailable' });
+      return res.status(404).json({ error: 'Product not found' });
     }
     if (product.user_id === req.user.userId) {
-      return res.status(400).json({ error: 'Cannot add your own product to favorites' });
+      return res.status(400).json({ error: 'Cannot message yourself about your own product' });
     }
 
     db.run(
-      'INSERT OR IGNORE INTO favorites (user_id, product_id) VALUES (?, ?)',
-      [req.user.userId, product_id],
+      'INSERT OR IGNORE INTO conversations (product_id, buyer_id, seller_id) VALUES (?, ?, ?)',
+      [product.id, req.user.userId, product.user_id],
       function(err) {
         if (err) {
-          return res.status(500).json({ error: 'Failed to add to favorites' });
+          return res.status(500).json({ error: 'Failed to open conversation' });
         }
-        if (this.changes === 0) {
-          return res.status(400).json({ error: 'Product already in favorites' });
-        }
-        res.json({ message: 'Product added to favorites' });
+        const created = this.changes > 0;
+
+        db.get(
+          'SELECT * FROM conversations WHERE product_id = ? AND buyer_id = ?',
+          [product.id, req.user.userId],
+          (err, conversation) => {
+            if (err || !conversation) {
+              return res.status(500).json({ error: 'Failed to open conversation' });
+            }
+            if (!message) {
+              return res.status(created ? 201 : 200).json({ conversation });
+            }
+
+            insertMessage(conversation, req.user.userId, message, (err, sent) => {
+              if (err) {
+                return res.status(500).json({ error: 'Failed to send message' });
+              }
+              res.status(created ? 201 : 200).json({ conversation, message: sent });
+            });
+          }
+        );
       }
     );
   });
 });
 
-// Remove from favorites
-app.delete('/api/favorites/:productId', authenticateToken, (req, res) => {
-  db.run('DELETE FROM favorites WHERE user_id = ? AND product_id = ?', [req.user.userId, req.params.productId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to remove from favorites' });
+// Get messages in a conversation, newest page first; pass `before` (a message id) to page back
+app.get('/api/conversations/:id/messages', authenticateToken, (req, res) => {
+  const { before, limit = 30 } = req.query;
+  const pageSize = Math.min(parseInt(limit) || 30, 100);
+
+  loadConversation(req, res, (conversation) => {
+    let query = 'SELECT * FROM messages WHERE conversation_id = ?';
+    const params = [conversation.id];
+
+    if (before) {
+      query += ' AND id < ?';
+      params.push(parseInt(before));
     }
-    res.json({ message: 'Product removed from favorites' });
+
+    // Fetch one extra row to know whether an older page exists
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(pageSize + 1);
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch messages' });
+      }
+      res.json({
+        messages: rows.slice(0, pageSize).reverse(),
+        has_more: rows.length > pageSize
+      });
+    });
+  });
+});
+
+// Send a message
+app.post('/api/conversations/:id/messages', authenticateToken, (req, res) => {
+  const { body } = req.body;
+
+  if (!validateMessageBody(body)) {
+    return res.status(400).json({ error: `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  loadConversation(req, res, (conversation) => {
+    insertMessage(conversation, req.user.userId, body, (err, message) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to send message' });
+      }
+      res.status(201).json(message);
+    });
+  });
+});
+
+// Mark the other participant's messages as read
+app.put('/api/conversations/:id/read', authenticateToken, (req, res) => {
+  loadConversation(req, res, (conversation) => {
+    db.run(
+      'UPDATE messages SET read_at = CURRENT_TIMESTAMP WHERE conversation_id = ? AND sender_id != ? AND read_at IS NULL',
+      [conversation.id, req.user.userId],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to mark messages as read' });
+        }
+        res.json({ message: 'Messages marked as read', updated: this.changes });
+      }
+    );
   });
 });
 
@@ -1050,7 +4771,7 @@ app.get('/api/products/:id/stats', authenticateToken, (req, res) => {
   const productId = req.params.id;
 
   // Check if user owns the product
-  db.get('SELECT * FROM products WHERE id = ? AND user_id = ?', [productId, req.user.userId], (err, product) => {
+  db.get('SELECT * FROM products WHERE id = ? AND user_id = ? AND deleted_at IS NULL', [productId, req.user.userId], (err, product) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -1150,7 +4871,7 @@ app.get('/api/sample-images', (req, res) => {
 });
 
 // Bulk create products with sample data
-app.post('/api/products/bulk-create', authenticateToken, async (req, res) => {
+app.post('/api/products/bulk-create', authenticateToken, authorize(...LISTING_ROLES), requireVerifiedEmail, async (req, res) => {
   try {
     const { products } = req.body;
 
@@ -1162,6 +4883,8 @@ app.post('/api/products/bulk-create', authenticateToken, async (req, res) => {
     const errors = [];
 
     for (const productData of products) {
+      let image = null;
+
       try {
         const { title, description, price, category_id, image_url, condition } = productData;
 
@@ -1169,45 +4892,55 @@ app.post('/api/products/bulk-create', authenticateToken, async (req, res) => {
           errors.push({ product: title, error: 'Title and valid price are required' });
           continue;
         }
-
-        let finalImageUrl = null;
+        const location = parseListingLocation(productData);
+        if (location.error) {
+          errors.push({ product: title, error: location.error });
+          continue;
+        }
+        const parsedAttributes = await parseListingAttributes(category_id, productData.attributes);
+        if (parsedAttributes.error) {
+          errors.push({ product: title, error: parsedAttributes.error });
+          continue;
+        }
 
         // If image_url is provided, download it
         if (image_url && image_url.trim()) {
           try {
-            const filename = `bulk-${Date.now()}-${Math.round(Math.random() * 1E9)}.jpg`;
-            await downloadImage(image_url, filename);
-            finalImageUrl = `/uploads/${filename}`;
+            image = await downloadAndProcessImage(image_url);
           } catch (downloadError) {
             console.error('Failed to download image for product:', title, downloadError);
-            errors.push({ product: title, error: 'Failed to download image' });
+            errors.push({ product: title, error: downloadErrorMessage(downloadError, 'Failed to download image') });
             continue;
           }
         }
 
-        await new Promise((resolve, reject) => {
-          db.run(
-            'INSERT INTO products (title, description, price, category_id, user_id, image_url, condition) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [title.trim(), description || '', parseFloat(price), category_id || null, req.user.userId, finalImageUrl, condition || 'good'],
-            function(err) {
-              if (err) {
-                reject(err);
-              } else {
-                results.push({
-                  productId: this.lastID,
-                  title: title,
-                  imageUrl: finalImageUrl
-                });
-                resolve();
-              }
-            }
+        const productId = await dbTransaction(async () => {
+          const result = await dbRun(
+            `INSERT INTO products (title, description, price, category_id, user_id, condition,
+                                   city, postal_code, latitude, longitude, pickup_available, shipping_available, attributes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [title.trim(), description || '', parseFloat(price), category_id || null, req.user.userId, condition || 'good',
+             location.city, location.postal_code, location.latitude, location.longitude, location.pickup_available, location.shipping_available,
+             parsedAttributes.attributes]
           );
+          await addProductImages(result.lastID, image ? [image] : []);
+          return result.lastID;
+        });
+        results.push({
+          productId,
+          title: title,
+          imageUrl: image && imageUrl(image.url)
         });
       } catch (error) {
+        if (image) removeImageFiles(image);
         errors.push({ product: productData.title || 'Unknown', error: error.message });
       }
     }
 
+    // One alert per saved search for the whole batch, once every listing in it is saved
+    notifySavedSearches(results.map(result => result.productId))
+      .catch(err => console.error('Failed to notify saved searches:', err));
+
     res.status(201).json({
       message: `Successfully created ${results.length} products`,
       created: results,
@@ -1219,6 +4952,392 @@ app.post('/api/products/bulk-create', authenticateToken, async (req, res) => {
   }
 });
 
+// ADMIN ROUTES
+// Moderators handle day-to-day moderation; only admins can change roles or categories.
+
+const moderate = [authenticateToken, authorize('moderator', 'admin')];
+
+// List users
+app.get('/api/admin/users', moderate, (req, res) => {
+  const { search, role, status, page = 1, limit = 20 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  let where = ' WHERE 1 = 1';
+  const params = [];
+
+  if (search && search.trim()) {
+    where += ' AND (username LIKE ? OR email LIKE ? OR full_name LIKE ?)';
+    const searchTerm = `%${search.trim()}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  if (role && ROLES.includes(role)) {
+    where += ' AND role = ?';
+    params.push(role);
+  }
+
+  if (status === 'suspended') {
+    where += ' AND suspended_at IS NOT NULL';
+  } else if (status === 'active') {
+    where += ' AND suspended_at IS NULL';
+  }
+
+  db.get(`SELECT COUNT(*) as total FROM users${where}`, params, (err, countResult) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch users' });
+    }
+
+    const query = `
+      SELECT id, username, email, full_name, role, email_verified, suspended_at, suspension_reason, created_at,
+        (SELECT COUNT(*) FROM products p WHERE p.user_id = users.id) as product_count
+      FROM users${where}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [...params, parseInt(limit), offset], (err, users) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch users' });
+      }
+      res.json({
+        users,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(countResult.total / parseInt(limit)),
+          total_items: countResult.total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    });
+  });
+});
+
+// Suspend user - also revokes all of their sessions
+app.put('/api/admin/users/:id/suspend', moderate, (req, res) => {
+  const { reason } = req.body;
+  const userId = parseInt(req.params.id);
+
+  if (userId === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot suspend your own account' });
+  }
+
+  db.get('SELECT id, role FROM users WHERE id = ?', [userId], (err, target) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Moderators can only act on regular accounts
+    if (req.user.role !== 'admin' && ['moderator', 'admin'].includes(target.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    db.run(
+      'UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspension_reason = ? WHERE id = ?',
+      [reason || '', userId],
+      (err) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to suspend user' });
+        }
+        revokeAllSessions(userId, () => {
+          res.json({ message: 'User suspended successfully' });
+        });
+      }
+    );
+  });
+});
+
+// Lift a suspension
+app.put('/api/admin/users/:id/unsuspend', moderate, (req, res) => {
+  db.get('SELECT id, role FROM users WHERE id = ?', [req.params.id], (err, target) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (req.user.role !== 'admin' && ['moderator', 'admin'].includes(target.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    db.run('UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE id = ?', [req.params.id], (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to unsuspend user' });
+      }
+      res.json({ message: 'User unsuspended successfully' });
+    });
+  });
+});
+
+// Change a user's role
+app.put('/api/admin/users/:id/role', authenticateToken, authorize('admin'), (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (parseInt(req.params.id) === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  db.run('UPDATE users SET role = ? WHERE id = ?', [role, req.params.id], function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to update role' });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'Role updated successfully' });
+  });
+});
+
+// List products of any status for moderation
+app.get('/api/admin/products', moderate, (req, res) => {
+  const { search, status, page = 1, limit = 20 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  let where = ' WHERE 1 = 1';
+  const params = [];
+
+  if (search && search.trim()) {
+    where += ' AND (p.title LIKE ? OR p.description LIKE ?)';
+    const searchTerm = `%${search.trim()}%`;
+    params.push(searchTerm, searchTerm);
+  }
+
+  if (status) {
+    where += ' AND p.status = ?';
+    params.push(status);
+  }
+
+  db.get(`SELECT COUNT(*) as total FROM products p${where}`, params, (err, countResult) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to fetch products' });
+    }
+
+    const query = `
+      SELECT p.*, c.name as category_name, u.username as seller_name
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN users u ON p.user_id = u.id
+      ${where}
+      ORDER BY p.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [...params, parseInt(limit), offset], (err, products) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch products' });
+      }
+      res.json({
+        products: products.map(formatProduct),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(countResult.total / parseInt(limit)),
+          total_items: countResult.total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    });
+  });
+});
+
+// Force-unlist a product
+app.put('/api/admin/products/:id/unlist', moderate, (req, res) => {
+  const { reason } = req.body;
+
+  db.run(
+    `UPDATE products SET status = 'unlisted', moderation_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'available'`,
+    [reason || '', req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to unlist product' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Product not found or not listed' });
+      }
+      db.run('DELETE FROM cart WHERE product_id = ?', [req.params.id]);
+      broadcastProductChange('product.updated', req.params.id, { status: 'unlisted' });
+      res.json({ message: 'Product unlisted successfully' });
+    }
+  );
+});
+
+// Put a force-unlisted product back on the market
+app.put('/api/admin/products/:id/relist', moderate, (req, res) => {
+  db.run(
+    `UPDATE products SET status = 'available', moderation_reason = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'unlisted'`,
+    [req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to relist product' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Product not found or not unlisted' });
+      }
+      broadcastProductChange('product.updated', req.params.id, { status: 'available' });
+      res.json({ message: 'Product relisted successfully' });
+    }
+  );
+});
+
+// Create category - optionally nested under `parent_id`
+app.post('/api/admin/categories', authenticateToken, authorize('admin'), async (req, res) => {
+  const { name, parent_id } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Category name is required' });
+  }
+
+  try {
+    if (parent_id && !(await dbGet('SELECT id FROM categories WHERE id = ?', [parent_id]))) {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+
+    const result = await dbRun('INSERT INTO categories (name, parent_id) VALUES (?, ?)', [name.trim(), parent_id || null]);
+    res.status(201).json({ message: 'Category created successfully', categoryId: result.lastID });
+  } catch (err) {
+    if (err.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'Category already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Rename category, and move it when `parent_id` is given (null moves it to the top level)
+app.put('/api/admin/categories/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  const { name, parent_id } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Category name is required' });
+  }
+
+  try {
+    const categories = await loadCategories();
+    const category = categories.find(candidate => candidate.id === parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    let parentId = category.parent_id;
+    if (parent_id !== undefined) {
+      parentId = parent_id || null;
+      if (parentId && !categories.some(candidate => candidate.id === parseInt(parentId))) {
+        return res.status(400).json({ error: 'Parent category not found' });
+      }
+      // The new parent can't be the category itself or one of its descendants
+      const subtree = await dbAll(`SELECT id FROM ${categorySubtreeSql()}`, [category.id]);
+      if (parentId && subtree.some(row => row.id === parseInt(parentId))) {
+        return res.status(400).json({ error: 'A category cannot be moved under itself' });
+      }
+    }
+
+    await dbRun('UPDATE categories SET name = ?, parent_id = ? WHERE id = ?', [name.trim(), parentId, category.id]);
+    res.json({ message: 'Category updated successfully' });
+  } catch (err) {
+    if (err.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'Category already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete category - only when no product or subcategory uses it
+app.delete('/api/admin/categories/:id', authenticateToken, authorize('admin'), (req, res) => {
+  const usageQuery = `
+    SELECT (SELECT COUNT(*) FROM products WHERE category_id = ?) as count,
+           (SELECT COUNT(*) FROM categories WHERE parent_id = ?) as children
+  `;
+  db.get(usageQuery, [req.params.id, req.params.id], (err, usage) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (usage.count > 0) {
+      return res.status(400).json({ error: `Category is used by ${usage.count} products` });
+    }
+    if (usage.children > 0) {
+      return res.status(400).json({ error: `Category has ${usage.children} subcategories` });
+    }
+
+    db.run('DELETE FROM categories WHERE id = ?', [req.params.id], function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to delete category' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      db.run('DELETE FROM category_attributes WHERE category_id = ?', [req.params.id]);
+      res.json({ message: 'Category deleted successfully' });
+    });
+  });
+});
+
+// Add an attribute to a category (and so to its subcategories)
+app.post('/api/admin/categories/:id/attributes', authenticateToken, authorize('admin'), async (req, res) => {
+  const definition = validateAttributeDefinition(req.body);
+  if (definition.error) {
+    return res.status(400).json({ error: definition.error });
+  }
+
+  try {
+    if (!(await dbGet('SELECT id FROM categories WHERE id = ?', [req.params.id]))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const position = await dbGet('SELECT COALESCE(MAX(sort_order), -1) + 1 as next FROM category_attributes WHERE category_id = ?', [req.params.id]);
+    await dbRun(
+      `INSERT INTO category_attributes (category_id, key, label, type, options, unit, required, min_value, max_value, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.params.id, definition.key, definition.label, definition.type, definition.options, definition.unit,
+       definition.required, definition.min_value, definition.max_value, position.next]
+    );
+    res.status(201).json({ message: 'Attribute added successfully', key: definition.key });
+  } catch (err) {
+    if (err.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'This category already has an attribute with that key' });
+    }
+    res.status(500).json({ error: 'Failed to add attribute' });
+  }
+});
+
+// Update an attribute's label, options, unit, bounds or whether it is required - its key and type are fixed
+app.put('/api/admin/categories/:id/attributes/:key', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM category_attributes WHERE category_id = ? AND key = ?', [req.params.id, req.params.key]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Attribute not found' });
+    }
+
+    const definition = validateAttributeDefinition(req.body, existing);
+    if (definition.error) {
+      return res.status(400).json({ error: definition.error });
+    }
+
+    await dbRun(
+      'UPDATE category_attributes SET label = ?, options = ?, unit = ?, required = ?, min_value = ?, max_value = ? WHERE id = ?',
+      [definition.label, definition.options, definition.unit, definition.required, definition.min_value, definition.max_value, existing.id]
+    );
+    res.json({ message: 'Attribute updated successfully' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update attribute' });
+  }
+});
+
+// Remove an attribute - values listings already have for it stay stored but are no longer shown
+app.delete('/api/admin/categories/:id/attributes/:key', authenticateToken, authorize('admin'), (req, res) => {
+  db.run('DELETE FROM category_attributes WHERE category_id = ? AND key = ?', [req.params.id, req.params.key], function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to delete attribute' });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Attribute not found' });
+    }
+    res.json({ message: 'Attribute deleted successfully' });
+  });
+});
+
 // Logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -1235,6 +5354,9 @@ app.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB.` });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Upload up to ${MAX_PRODUCT_IMAGES} files in the "images" field` });
+    }
     return res.status(400).json({ error: 'File upload error: ' + error.message });
   }
   
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// Storage for uploaded files with pluggable drivers. A driver is an object with:
+//   put(key, buffer, contentType) -> Promise
+//   get(key)                      -> Promise<Buffer>; a missing file is an error
+//   remove(key)                   -> Promise; removing a missing file is not an error
+//   url(key)                      -> the URL a browser loads the file from, public or signed
+//   list()                        -> Promise<[{ key, size, lastModified }]> of every stored file
+// Keys are flat file names like '1700000000000-123456789-thumb.jpg'. Stored files never change,
+// so a new file always gets a new key.
+
+const S3_REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_URL_EXPIRES_IN = 3600; // seconds
+
+// Files in a directory that the app serves itself under `urlPrefix`
+const createLocalStorage = ({ root = './uploads', urlPrefix = '/uploads' } = {}) => {
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+  }
+  // Keys never contain directories; basename keeps a bad key from escaping the root
+  const filePath = (key) => path.join(root, path.basename(key));
+
+  return {
+    put: (key, buffer) => fs.promises.writeFile(filePath(key), buffer),
+    get: (key) => fs.promises.readFile(filePath(key)),
+    remove: (key) => fs.promises.unlink(filePath(key)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    }),
+    url: (key) => `${urlPrefix}/${key}`,
+
+    list: async () => {
+      const files = [];
+      for (const name of await fs.promises.readdir(root)) {
+        // A file removed since readdir is simply skipped
+        const stats = await fs.promises.stat(path.join(root, name)).catch(() => null);
+        if (stats && stats.isFile()) {
+          files.push({ key: name, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+      return files;
+    }
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Signature Version 4 percent-encodes everything except A-Z, a-z, 0-9, '-', '.', '_' and '~'
+const encodeRfc3986 = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+// 20130524T000000Z
+const toAmzDate = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Sorted and encoded the way Signature Version 4 expects
+const canonicalQuery = (params) => Object.keys(params).sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+  .join('&');
+
+const XML_ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+// The text of each <tag> in an S3 XML response; S3 responses have no nested tags of the same name
+const xmlValues = (xml, tag) => {
+  return (xml.match(new RegExp(`<${tag}>[^<]*</${tag}>`, 'g')) || [])
+    .map(element => element.slice(tag.length + 2, -(tag.length + 3)).replace(/&(lt|gt|quot|apos|amp);/g, (_, entity) => XML_ENTITIES[entity]));
+};
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...), using AWS Signature Version 4.
+// With `publicUrl` (a public bucket or a CDN in front of it) files are linked there; otherwise every
+// URL is a presigned GET that expires after `urlExpiresIn` seconds.
+const createS3Storage = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  pathStyle = true,
+  urlExpiresIn = DEFAULT_URL_EXPIRES_IN
+} = {}) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs an endpoint, bucket, access key id and secret access key');
+  }
+  const base = new URL(endpoint);
+
+  // Path-style (endpoint/bucket/key) works with every S3-compatible server; AWS also takes bucket.endpoint/key
+  const objectUrl = (key) => {
+    const url = new URL(base.href);
+    const basePath = base.pathname.replace(/\/$/, '');
+    if (pathStyle) {
+      url.pathname = `${basePath}/${bucket}/${encodeRfc3986(key)}`;
+    } else {
+      url.hostname = `${bucket}.${base.hostname}`;
+      url.pathname = `${basePath}/${encodeRfc3986(key)}`;
+    }
+    return url;
+  };
+
+  const credentialScope = (amzDate) => `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  // Signs the request described by method, url, the canonical query string and the headers to sign
+  const sign = ({ method, url, query = '', headers, payloadHash, amzDate }) => {
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      query,
+      names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope(amzDate), sha256(canonicalRequest)].join('\n');
+    const signingKey = [amzDate.slice(0, 8), region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+
+    return { signedHeaders: names.join(';'), signature: hmac(signingKey, stringToSign).toString('hex') };
+  };
+
+  // Resolves with the response body as a Buffer
+  const send = (method, key, { body = Buffer.alloc(0), params = {}, headers: extraHeaders = {} } = {}) => new Promise((resolve, reject) => {
+    const url = objectUrl(key);
+    const query = canonicalQuery(params);
+    url.search = query;
+    const amzDate = toAmzDate(Date.now());
+    const payloadHash = sha256(body);
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate, ...extraHeaders };
+    const { signedHeaders, signature } = sign({ method, url, query, headers, payloadHash, amzDate });
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method,
+      headers: {
+        ...headers,
+        'content-length': body.length,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope(amzDate)}, ` +
+          `SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const responseBody = Buffer.concat(chunks);
+        if (response.statusCode >= 300) {
+          const detail = responseBody.toString().slice(0, 200);
+          return reject(Object.assign(
+            new Error(`S3 ${method} ${key} failed with status ${response.statusCode}: ${detail}`),
+            { code: 'STORAGE_ERROR' }
+          ));
+        }
+        resolve(responseBody);
+      });
+    });
+    req.setTimeout(S3_REQUEST_TIMEOUT_MS, () => {
+      req.destroy(Object.assign(new Error(`S3 ${method} ${key} timed out`), { code: 'STORAGE_ERROR' }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  return {
+    put: (key, buffer, contentType) => send('PUT', key, {
+      body: buffer,
+      headers: { 'content-type': contentType, 'cache-control': 'public, max-age=31536000, immutable' }
+    }).then(() => {}),
+
+    get: (key) => send('GET', key),
+
+    // S3 answers 204 whether or not the object existed
+    remove: (key) => send('DELETE', key).then(() => {}),
+
+    url: (key) => {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${encodeRfc3986(key)}`;
+      }
+
+      // Signed at the start of the current half-expiry window, so a file keeps the same URL (and
+      // stays in browser caches) for a while, and a URL handed out is valid for at least half of urlExpiresIn
+      const windowMs = urlExpiresIn * 500;
+      const amzDate = toAmzDate(Math.floor(Date.now() / windowMs) * windowMs);
+      const url = objectUrl(key);
+      const params = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${credentialScope(amzDate)}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(urlExpiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const query = canonicalQuery(params);
+      const { signature } = sign({
+        method: 'GET',
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: 'UNSIGNED-PAYLOAD',
+        amzDate
+      });
+
+      return `${url.origin}${url.pathname}?${query}&X-Amz-Signature=${signature}`;
+    },
+
+    // ListObjectsV2 of the bucket root, a page of up to 1000 objects at a time
+    list: async () => {
+      const files = [];
+      let continuationToken = null;
+      do {
+        const params = { 'list-type': '2' };
+        if (continuationToken) params['continuation-token'] = continuationToken;
+        const xml = (await send('GET', '', { params })).toString();
+
+        (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(contents => {
+          files.push({
+            key: xmlValues(contents, 'Key')[0],
+            size: parseInt(xmlValues(contents, 'Size')[0]),
+            lastModified: new Date(xmlValues(contents, 'LastModified')[0])
+          });
+        });
+        continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (continuationToken);
+      return files;
+    }
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// Lets a deployment plug in another backend before creating the storage
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Storage options from STORAGE_DRIVER, UPLOAD_PATH and the S3_* variables, so the server and
+// the command-line scripts always use the same storage
+const storageOptionsFromEnv = (env) => ({
+  driver: env.STORAGE_DRIVER || 'local',
+  root: env.UPLOAD_PATH || './uploads',
+  endpoint: env.S3_ENDPOINT,
+  region: env.S3_REGION || undefined,
+  bucket: env.S3_BUCKET,
+  accessKeyId: env.S3_ACCESS_KEY_ID,
+  secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+  publicUrl: env.S3_PUBLIC_URL,
+  pathStyle: env.S3_PATH_STYLE !== 'false',
+  urlExpiresIn: parseInt(env.S3_URL_EXPIRES_IN) || undefined
+});
+
+const createStorage = ({ driver = 'local', ...options } = {}) => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return { name: driver, ...factory(options) };
+};
+
+module.exports = { createStorage, registerDriver, storageOptionsFromEnv };
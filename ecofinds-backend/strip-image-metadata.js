@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+// One-off backfill for images uploaded before every image was re-encoded on upload (see images.js).
+// Those files were stored as they were sent, EXIF data and GPS coordinates included. This lists them,
+// and with --apply turns each one into the usual stripped variants, points every row that used it
+// at the new files and removes the original.
+//   node strip-image-metadata.js [--apply]
+// The database, UPLOAD_PATH and STORAGE_DRIVER / S3_* settings are read from the same environment
+// variables as the server. Files that can't be read or decoded are reported and left alone.
+
+const sqlite3 = require('sqlite3').verbose();
+const { createStorage, storageOptionsFromEnv } = require('./storage');
+const { createImageProcessor } = require('./images');
+
+const REF_PREFIX = '/uploads/';
+// <timestamp>-<random>.<ext> is how the original upload handler named files, and bulk-, downloaded- or
+// profile-<timestamp>-<random>.jpg how it named downloaded ones; images.js adds a variant to the name
+const ORIGINAL_KEY_PATTERN = /^((bulk|downloaded|profile)-)?\d+-\d+\.[a-z0-9]+$/i;
+
+// Every column that can hold a reference to an original upload
+const REFERENCES_SQL = `
+  SELECT image_url as ref FROM products
+  UNION SELECT url FROM product_images
+  UNION SELECT profile_image_url FROM users
+  UNION SELECT item_image_url FROM purchases
+`;
+
+const shouldApply = process.argv.slice(2).includes('--apply');
+
+// Never created: there is nothing to backfill in a new database
+const db = new sqlite3.Database(process.env.DB_PATH || './ecofinds.db', sqlite3.OPEN_READWRITE, (err) => {
+  if (err) {
+    console.error('Error opening database:', err);
+    process.exit(1);
+  } else {
+    stripImageMetadata();
+  }
+});
+
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// Listings and their images get every variant; profiles and purchase snapshots only keep the full image
+const replaceReference = async (ref, { url, variants }) => {
+  await dbRun('BEGIN IMMEDIATE');
+  try {
+    await dbRun('UPDATE products SET image_url = ?, image_variants = ? WHERE image_url = ?', [url, JSON.stringify(variants), ref]);
+    await dbRun('UPDATE product_images SET url = ?, variants = ? WHERE url = ?', [url, JSON.stringify(variants), ref]);
+    await dbRun('UPDATE users SET profile_image_url = ? WHERE profile_image_url = ?', [url, ref]);
+    await dbRun('UPDATE purchases SET item_image_url = ? WHERE item_image_url = ?', [url, ref]);
+    await dbRun('COMMIT');
+  } catch (err) {
+    await dbRun('ROLLBACK').catch(() => {});
+    throw err;
+  }
+};
+
+async function stripImageMetadata() {
+  let exitCode = 0;
+
+  try {
+    const storage = createStorage(storageOptionsFromEnv(process.env));
+    const imageProcessor = createImageProcessor({ storage });
+
+    const refs = (await dbAll(REFERENCES_SQL))
+      .map(row => row.ref)
+      .filter(ref => ref && ref.startsWith(REF_PREFIX) && ORIGINAL_KEY_PATTERN.test(ref.slice(REF_PREFIX.length)));
+
+    let stripped = 0;
+    for (const ref of refs) {
+      const key = ref.slice(REF_PREFIX.length);
+      if (!shouldApply) {
+        console.log(key);
+        continue;
+      }
+
+      try {
+        const image = await imageProcessor.process(await storage.get(key));
+        await replaceReference(ref, image);
+        stripped++;
+        // Nothing refers to the original any more; if it can't be removed now, sweep-images.js will
+        await storage.remove(key).catch(err => console.error(`${key}\tcould not be removed: ${err.message}`));
+        console.log(`${key}\t-> ${image.url}`);
+      } catch (error) {
+        console.error(`${key}\tskipped: ${error.message}`);
+        exitCode = 1;
+      }
+    }
+
+    if (shouldApply) {
+      console.log(`Replaced ${stripped} of ${refs.length} original uploads with stripped variants`);
+    } else {
+      console.log(`Found ${refs.length} original uploads that may carry EXIF data; run with --apply to replace them`);
+    }
+  } catch (error) {
+    console.error('Error stripping image metadata:', error);
+    exitCode = 1;
+  } finally {
+    db.close(() => process.exit(exitCode));
+  }
+}
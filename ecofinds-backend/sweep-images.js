@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+// Lists stored images that nothing in the database refers to any more, and removes them with --delete.
+//   node sweep-images.js [--delete] [--older-than=<hours>]
+// Files younger than --older-than (default 24 hours) are skipped. The database, UPLOAD_PATH and
+// STORAGE_DRIVER / S3_* settings are read from the same environment variables as the server.
+
+const sqlite3 = require('sqlite3').verbose();
+const { createStorage, storageOptionsFromEnv } = require('./storage');
+const { createImageSweeper } = require('./sweeper');
+
+const args = process.argv.slice(2);
+const shouldDelete = args.includes('--delete');
+const olderThan = args.find(arg => arg.startsWith('--older-than='));
+const gracePeriodHours = olderThan ? parseFloat(olderThan.split('=')[1]) : 24;
+
+if (isNaN(gracePeriodHours) || gracePeriodHours < 0) {
+  console.error('--older-than takes a number of hours');
+  process.exit(1);
+}
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+// Read-only and never created: against a missing or empty database every file would look orphaned
+const db = new sqlite3.Database(process.env.DB_PATH || './ecofinds.db', sqlite3.OPEN_READONLY, (err) => {
+  if (err) {
+    console.error('Error opening database:', err);
+    process.exit(1);
+  } else {
+    sweepImages();
+  }
+});
+
+async function sweepImages() {
+  let exitCode = 0;
+
+  try {
+    const sweeper = createImageSweeper({
+      db,
+      storage: createStorage(storageOptionsFromEnv(process.env)),
+      gracePeriodMs: gracePeriodHours * 60 * 60 * 1000
+    });
+    const orphans = shouldDelete ? await sweeper.sweep() : await sweeper.findOrphans();
+    const totalSize = orphans.reduce((sum, file) => sum + file.size, 0);
+
+    orphans.forEach(file => console.log(`${file.key}\t${formatSize(file.size)}\t${file.lastModified.toISOString()}`));
+    if (shouldDelete) {
+      console.log(`Removed ${orphans.length} orphaned images (${formatSize(totalSize)})`);
+    } else {
+      console.log(`Found ${orphans.length} orphaned images (${formatSize(totalSize)}); run with --delete to remove them`);
+    }
+  } catch (error) {
+    console.error('Error sweeping images:', error);
+    exitCode = 1;
+  } finally {
+    db.close(() => process.exit(exitCode));
+  }
+}
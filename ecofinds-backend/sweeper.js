@@ -0,0 +1,83 @@
+// Tracks which stored images the database still refers to, and removes the ones nothing refers to:
+// files of deleted listings, replaced profile pictures and uploads whose listing was never saved.
+// A sweeper has:
+//   isReferenced(key) -> Promise<boolean>
+//   findOrphans()     -> Promise<[{ key, size, lastModified }]>
+//   sweep()           -> Promise<[{ key, size, lastModified }]> of the files it removed
+// Only files named the way the app names uploads are ever orphans, so anything else kept in the
+// same place (like the sample images) is left alone. So are files younger than `gracePeriodMs`,
+// which may belong to a listing that is still being saved.
+
+const DEFAULT_GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+// <timestamp>-<random>.<ext> from the original upload handler, the same with a bulk-, downloaded- or
+// profile- prefix from the original URL downloads, and <timestamp>-<random>-<variant>.<ext> from images.js
+const UPLOAD_KEY_PATTERN = /^((bulk|downloaded|profile)-)?\d+-\d+(-[a-z]+)?\.[a-z0-9]+$/i;
+
+// Every column that holds image references; variants are JSON objects of { jpeg, webp } references.
+// Purchases keep the cover of what was bought, even after the listing is deleted.
+const REFERENCES_SQL = `
+  SELECT image_url as ref, image_variants as variants FROM products
+  UNION ALL SELECT url, variants FROM product_images
+  UNION ALL SELECT profile_image_url, NULL FROM users
+  UNION ALL SELECT item_image_url, NULL FROM purchases
+`;
+
+// ?1 is the reference and ?2 the same reference as a JSON string, as it appears inside variants
+const REFERENCE_CHECK_SQL = `
+  SELECT 1 FROM products WHERE image_url = ?1 OR instr(image_variants, ?2) > 0
+  UNION ALL SELECT 1 FROM product_images WHERE url = ?1 OR instr(variants, ?2) > 0
+  UNION ALL SELECT 1 FROM users WHERE profile_image_url = ?1
+  UNION ALL SELECT 1 FROM purchases WHERE item_image_url = ?1
+  LIMIT 1
+`;
+
+const createImageSweeper = ({ db, storage, refPrefix = '/uploads/', gracePeriodMs = DEFAULT_GRACE_PERIOD_MS }) => {
+  const referencedKeys = () => new Promise((resolve, reject) => {
+    db.all(REFERENCES_SQL, (err, rows) => {
+      if (err) return reject(err);
+
+      const keys = new Set();
+      const add = (ref) => {
+        if (ref && ref.startsWith(refPrefix)) keys.add(ref.slice(refPrefix.length));
+      };
+      rows.forEach(({ ref, variants }) => {
+        add(ref);
+        Object.values(variants ? JSON.parse(variants) : {}).forEach(variant => {
+          add(variant.jpeg);
+          add(variant.webp);
+        });
+      });
+      resolve(keys);
+    });
+  });
+
+  const isReferenced = (key) => new Promise((resolve, reject) => {
+    const ref = `${refPrefix}${key}`;
+    db.get(REFERENCE_CHECK_SQL, [ref, JSON.stringify(ref)], (err, row) => (err ? reject(err) : resolve(!!row)));
+  });
+
+  // Storage is listed before the references are read, so a file that is saved and referenced
+  // in between is never mistaken for an orphan
+  const findOrphans = async () => {
+    const files = await storage.list();
+    const referenced = await referencedKeys();
+    const cutoff = Date.now() - gracePeriodMs;
+
+    return files.filter(file => (
+      UPLOAD_KEY_PATTERN.test(file.key) && !referenced.has(file.key) && file.lastModified.getTime() < cutoff
+    ));
+  };
+
+  const sweep = async () => {
+    const orphans = await findOrphans();
+    for (const file of orphans) {
+      await storage.remove(file.key);
+    }
+    return orphans;
+  };
+
+  return { isReferenced, findOrphans, sweep };
+};
+
+module.exports = { createImageSweeper };
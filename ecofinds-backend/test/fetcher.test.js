@@ -0,0 +1,136 @@
+// The image fetcher against a local HTTP server. Loopback is blocked by default, so the tests
+// allow 127.0.0.1 and nothing else.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createImageFetcher, isBlockedAddress } = require('../fetcher');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(64)]);
+const MAX_BYTES = 1024;
+
+const allowLoopback = (address) => address !== '127.0.0.1' && isBlockedAddress(address);
+const createFetcher = (options = {}) => createImageFetcher({ maxBytes: MAX_BYTES, isBlockedAddress: allowLoopback, ...options });
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each route answers one path of the test server
+const routes = {
+  '/image.png': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+    res.end(PNG);
+  },
+  '/redirect': (req, res) => {
+    const hops = parseInt(new URL(req.url, 'http://localhost').searchParams.get('hops'));
+    res.writeHead(302, { Location: hops > 1 ? `/redirect?hops=${hops - 1}` : '/image.png' });
+    res.end();
+  },
+  '/redirect-private': (req, res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+    res.end();
+  },
+  '/large-declared': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': MAX_BYTES * 10 });
+    res.end();
+  },
+  '/large-chunked': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.write(PNG);
+    res.write(Buffer.alloc(MAX_BYTES));
+    res.end();
+  },
+  '/not-an-image': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html></html>');
+  },
+  '/fake.png': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end('this is not a png');
+  },
+  '/slow': async (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.write(PNG.subarray(0, 8));
+    await delay(500);
+    res.end();
+  },
+  '/slow-redirect': async (req, res) => {
+    const hops = parseInt(new URL(req.url, 'http://localhost').searchParams.get('hops'));
+    await delay(120);
+    res.writeHead(302, { Location: hops > 1 ? `/slow-redirect?hops=${hops - 1}` : '/image.png' });
+    res.end();
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    route(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const assertRejected = async (promise, pattern) => {
+  await assert.rejects(promise, (err) => {
+    assert.strictEqual(err.code, 'REMOTE_IMAGE_REJECTED');
+    assert.match(err.message, pattern);
+    return true;
+  });
+};
+
+test('downloads an image and detects its type', async () => {
+  const { buffer, type } = await createFetcher().fetch(`${baseUrl}/image.png`);
+  assert.strictEqual(type, 'png');
+  assert.deepStrictEqual(buffer, PNG);
+});
+
+test('loopback is refused by default', async () => {
+  const fetcher = createImageFetcher({ maxBytes: MAX_BYTES });
+  await assertRejected(fetcher.fetch(`${baseUrl}/image.png`), /private or reserved/);
+});
+
+test('follows redirects up to the cap', async () => {
+  const { type } = await createFetcher({ maxRedirects: 3 }).fetch(`${baseUrl}/redirect?hops=3`);
+  assert.strictEqual(type, 'png');
+  await assertRejected(createFetcher({ maxRedirects: 3 }).fetch(`${baseUrl}/redirect?hops=4`), /redirected more than 3 times/);
+});
+
+test('refuses a redirect to a private address', async () => {
+  await assertRejected(createFetcher().fetch(`${baseUrl}/redirect-private`), /private or reserved/);
+});
+
+test('refuses a declared Content-Length over the limit', async () => {
+  await assertRejected(createFetcher().fetch(`${baseUrl}/large-declared`), /larger than/);
+});
+
+test('stops a chunked body once it passes the limit', async () => {
+  await assertRejected(createFetcher().fetch(`${baseUrl}/large-chunked`), /larger than/);
+});
+
+test('refuses a response that is not an image', async () => {
+  await assertRejected(createFetcher().fetch(`${baseUrl}/not-an-image`), /did not return an image/);
+});
+
+test('refuses a body whose bytes are not a known image format', async () => {
+  await assertRejected(createFetcher().fetch(`${baseUrl}/fake.png`), /JPEG, PNG, GIF or WebP/);
+});
+
+test('times out a download that trickles in', async () => {
+  await assertRejected(createFetcher({ timeout: 200 }).fetch(`${baseUrl}/slow`), /timed out/);
+});
+
+test('the timeout covers all redirect hops together', async () => {
+  // Each hop alone finishes well inside the timeout, but three of them don't
+  await assertRejected(createFetcher({ timeout: 300 }).fetch(`${baseUrl}/slow-redirect?hops=3`), /timed out/);
+});
@@ -0,0 +1,146 @@
+// Checkout under concurrency: many buyers racing for the same item must produce exactly one sale.
+// Runs the real server against a throwaway database.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const PORT = 4100 + (process.pid % 800);
+const BASE_URL = `http://127.0.0.1:${PORT}/api`;
+const BUYERS = 8;
+
+let dir;
+let server;
+
+const api = async (method, endpoint, { body, token, headers = {} } = {}) => {
+  const response = await fetch(`${BASE_URL}${endpoint}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const query = (sql, params = []) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(path.join(dir, 'test.db'));
+  db.all(sql, params, (err, rows) => {
+    db.close();
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const register = async (name) => {
+  const { body } = await api('POST', '/auth/register', {
+    body: { username: name, email: `${name}@example.com`, password: 'secret1' }
+  });
+  return body.token;
+};
+
+const createProduct = async (sellerToken, title) => {
+  const { status, body } = await api('POST', '/products', { token: sellerToken, body: { title, price: 25, category: 'Furniture' } });
+  assert.strictEqual(status, 201, JSON.stringify(body));
+  return body.productId;
+};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecofinds-test-'));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      PORT: String(PORT),
+      DB_PATH: path.join(dir, 'test.db'),
+      UPLOAD_PATH: path.join(dir, 'uploads'),
+      MAIL_OUTBOX_PATH: path.join(dir, 'outbox')
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${BASE_URL}/categories`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Server did not start');
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent checkouts of one item sell it exactly once', async () => {
+  const seller = await register('seller');
+  const buyers = [];
+  for (let i = 0; i < BUYERS; i++) {
+    buyers.push(await register(`buyer${i}`));
+  }
+  await query('UPDATE users SET email_verified = 1');
+  const productId = await createProduct(seller, 'Oak chair');
+
+  const responses = await Promise.all(buyers.map((token, i) => api('POST', '/purchase', {
+    token,
+    headers: { 'Idempotency-Key': `checkout-${i}` },
+    body: { product_ids: [productId], payment_method: 'credit_card' }
+  })));
+
+  const statuses = responses.map(response => response.status);
+  assert.strictEqual(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+  assert.strictEqual(statuses.filter(status => status === 409).length, BUYERS - 1, `statuses: ${statuses}`);
+
+  const purchases = await query('SELECT * FROM purchases WHERE product_id = ?', [productId]);
+  assert.strictEqual(purchases.length, 1);
+  assert.strictEqual(purchases[0].status, 'paid');
+  const [product] = await query('SELECT status FROM products WHERE id = ?', [productId]);
+  assert.strictEqual(product.status, 'sold');
+});
+
+test('one buyer checking out twice at once with different keys is charged once', async () => {
+  const seller = await register('seller2');
+  const buyer = await register('buyer-twice');
+  await query('UPDATE users SET email_verified = 1');
+  const productId = await createProduct(seller, 'Pine table');
+
+  const responses = await Promise.all([1, 2, 3].map(i => api('POST', '/purchase', {
+    token: buyer,
+    headers: { 'Idempotency-Key': `twice-${i}` },
+    body: { product_ids: [productId], payment_method: 'credit_card' }
+  })));
+
+  assert.strictEqual(responses.filter(response => response.status === 200).length, 1);
+  const purchases = await query('SELECT * FROM purchases WHERE product_id = ?', [productId]);
+  assert.strictEqual(purchases.length, 1);
+  const payments = await query("SELECT * FROM payments WHERE user_id = (SELECT id FROM users WHERE username = 'buyer-twice')");
+  assert.strictEqual(payments.length, 1);
+});
+
+test('a replayed checkout returns the original result without charging again', async () => {
+  const seller = await register('seller3');
+  const buyer = await register('buyer-replay');
+  await query('UPDATE users SET email_verified = 1');
+  const productId = await createProduct(seller, 'Bookshelf');
+
+  const request = () => api('POST', '/purchase', {
+    token: buyer,
+    headers: { 'Idempotency-Key': 'same-key' },
+    body: { product_ids: [productId], payment_method: 'credit_card' }
+  });
+  const responses = await Promise.all([request(), request(), request()]);
+
+  const paymentIds = new Set(responses.map(response => response.body.payment_id));
+  assert.strictEqual(paymentIds.size, 1);
+  const purchases = await query('SELECT * FROM purchases WHERE product_id = ?', [productId]);
+  assert.strictEqual(purchases.length, 1);
+});
@@ -0,0 +1,264 @@
+// Storage drivers. The S3 driver runs against a small in-process S3 stub that keeps objects in
+// memory and refuses any request whose Signature Version 4 doesn't check out.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const BUCKET = 'ecofinds-test';
+const REGION = 'eu-test-1';
+const ACCESS_KEY_ID = 'TESTKEY';
+const SECRET_ACCESS_KEY = 'test-secret';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// The signature S3 would expect for a request, computed independently of the driver
+const expectedSignature = ({ method, rawPath, params, headers, signedHeaders, payloadHash, amzDate, scope }) => {
+  const query = Object.keys(params).sort().map(name => `${encode(name)}=${encode(params[name])}`).join('&');
+  const canonicalHeaders = signedHeaders.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+  const canonicalRequest = [method, rawPath, query, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const [date, region, service, terminator] = scope.split('/');
+  const signingKey = [date, region, service, terminator].reduce(hmac, `AWS4${SECRET_ACCESS_KEY}`);
+  return hmac(signingKey, stringToSign).toString('hex');
+};
+
+// Checks either the Authorization header or the presigned query; returns an error message or null
+const verifySignature = (req, url, body) => {
+  const params = Object.fromEntries(url.searchParams);
+  const rawPath = url.pathname;
+
+  if (params['X-Amz-Signature']) {
+    const { 'X-Amz-Signature': signature, ...signedParams } = params;
+    const [accessKeyId, ...scope] = signedParams['X-Amz-Credential'].split('/');
+    const signedAt = Date.parse(signedParams['X-Amz-Date'].replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    if (accessKeyId !== ACCESS_KEY_ID) return 'InvalidAccessKeyId';
+    if (signedAt + parseInt(signedParams['X-Amz-Expires']) * 1000 < Date.now()) return 'AccessDenied: Request has expired';
+    const expected = expectedSignature({
+      method: req.method,
+      rawPath,
+      params: signedParams,
+      headers: req.headers,
+      signedHeaders: signedParams['X-Amz-SignedHeaders'].split(';'),
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate: signedParams['X-Amz-Date'],
+      scope: scope.join('/')
+    });
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+  }
+
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(req.headers.authorization || '');
+  if (!match) return 'AccessDenied: missing or malformed Authorization header';
+  const [, accessKeyId, scope, signedHeaders, signature] = match;
+  if (accessKeyId !== ACCESS_KEY_ID) return 'InvalidAccessKeyId';
+  if (!scope.startsWith(`${req.headers['x-amz-date'].slice(0, 8)}/${REGION}/s3/`)) return 'AuthorizationHeaderMalformed';
+  if (req.headers['x-amz-content-sha256'] !== sha256(body)) return 'XAmzContentSHA256Mismatch';
+  const expected = expectedSignature({
+    method: req.method,
+    rawPath,
+    params,
+    headers: req.headers,
+    signedHeaders: signedHeaders.split(';'),
+    payloadHash: req.headers['x-amz-content-sha256'],
+    amzDate: req.headers['x-amz-date'],
+    scope
+  });
+  return expected === signature ? null : 'SignatureDoesNotMatch';
+};
+
+const xmlEscape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Path-style S3 for one bucket. ListObjectsV2 pages are `pageSize` objects long.
+const createS3Stub = ({ pageSize = 2 } = {}) => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, url });
+
+      const error = verifySignature(req, url, body);
+      if (error) {
+        res.writeHead(403, { 'Content-Type': 'application/xml' });
+        return res.end(`<Error><Code>${error}</Code></Error>`);
+      }
+
+      const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+      if (bucket !== BUCKET) {
+        res.writeHead(404);
+        return res.end('<Error><Code>NoSuchBucket</Code></Error>');
+      }
+      const key = decodeURIComponent(keyParts.join('/'));
+
+      if (req.method === 'PUT') {
+        objects.set(key, { body, contentType: req.headers['content-type'], lastModified: new Date() });
+        res.writeHead(200);
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (req.method === 'GET' && key === '' && url.searchParams.get('list-type') === '2') {
+        const keys = [...objects.keys()].sort();
+        const start = parseInt(url.searchParams.get('continuation-token') || '0');
+        const page = keys.slice(start, start + pageSize);
+        const truncated = start + pageSize < keys.length;
+        const contents = page.map(name => `<Contents><Key>${xmlEscape(name)}</Key><Size>${objects.get(name).body.length}</Size>` +
+          `<LastModified>${objects.get(name).lastModified.toISOString()}</LastModified></Contents>`).join('');
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${BUCKET}</Name>${contents}` +
+          `<IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : ''}</ListBucketResult>`);
+      }
+      if (req.method === 'GET' && objects.has(key)) {
+        res.writeHead(200, { 'Content-Type': objects.get(key).contentType });
+        return res.end(objects.get(key).body);
+      }
+      res.writeHead(404);
+      res.end('<Error><Code>NoSuchKey</Code></Error>');
+    });
+  });
+
+  return { server, objects, requests };
+};
+
+describe('s3 driver', () => {
+  const stub = createS3Stub();
+  let endpoint;
+
+  const createS3 = (options = {}) => createStorage({
+    driver: 's3',
+    endpoint,
+    region: REGION,
+    bucket: BUCKET,
+    accessKeyId: ACCESS_KEY_ID,
+    secretAccessKey: SECRET_ACCESS_KEY,
+    ...options
+  });
+
+  before(async () => {
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${stub.server.address().port}`;
+  });
+
+  after(() => stub.server.close());
+
+  test('put stores the object with its content type', async () => {
+    await createS3().put('1700000000000-1-thumb.jpg', Buffer.from('jpeg bytes'), 'image/jpeg');
+    const stored = stub.objects.get('1700000000000-1-thumb.jpg');
+    assert.strictEqual(stored.body.toString(), 'jpeg bytes');
+    assert.strictEqual(stored.contentType, 'image/jpeg');
+  });
+
+  test('keys with characters that need encoding are signed correctly', async () => {
+    await createS3().put("odd name (1)+'*.jpg", Buffer.from('x'), 'image/jpeg');
+    assert.ok(stub.objects.has("odd name (1)+'*.jpg"));
+  });
+
+  test('get reads an object back, and a missing one is an error', async () => {
+    const storage = createS3();
+    await storage.put('read-back.jpg', Buffer.from([0xFF, 0xD8, 0xFF, 0x00]), 'image/jpeg');
+    assert.deepStrictEqual(await storage.get('read-back.jpg'), Buffer.from([0xFF, 0xD8, 0xFF, 0x00]));
+    await assert.rejects(storage.get('missing.jpg'), (err) => err.code === 'STORAGE_ERROR' && /404/.test(err.message));
+  });
+
+  test('remove deletes the object, and removing a missing one is fine', async () => {
+    const storage = createS3();
+    await storage.put('to-remove.jpg', Buffer.from('x'), 'image/jpeg');
+    await storage.remove('to-remove.jpg');
+    assert.ok(!stub.objects.has('to-remove.jpg'));
+    await storage.remove('to-remove.jpg');
+  });
+
+  test('list follows continuation tokens through every page', async () => {
+    stub.objects.clear();
+    const storage = createS3();
+    const keys = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg'];
+    for (const key of keys) {
+      await storage.put(key, Buffer.from(key), 'image/jpeg');
+    }
+    stub.requests.length = 0;
+
+    const files = await storage.list();
+    assert.deepStrictEqual(files.map(file => file.key), keys);
+    assert.strictEqual(files[0].size, 5);
+    assert.ok(files[0].lastModified instanceof Date && !isNaN(files[0].lastModified));
+    assert.strictEqual(stub.requests.length, 3);
+  });
+
+  test('a wrong secret is refused', async () => {
+    await assert.rejects(
+      createS3({ secretAccessKey: 'wrong' }).put('x.jpg', Buffer.from('x'), 'image/jpeg'),
+      (err) => err.code === 'STORAGE_ERROR' && /403/.test(err.message) && /SignatureDoesNotMatch/.test(err.message)
+    );
+  });
+
+  test('url is a presigned GET that the bucket accepts', async () => {
+    const storage = createS3({ urlExpiresIn: 600 });
+    await storage.put('photo 1.jpg', Buffer.from('photo'), 'image/jpeg');
+
+    const url = storage.url('photo 1.jpg');
+    const response = await fetch(url);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'photo');
+
+    // Tampering with the signed parameters breaks the signature
+    const tampered = await fetch(url.replace('X-Amz-Expires=600', 'X-Amz-Expires=6000'));
+    assert.strictEqual(tampered.status, 403);
+  });
+
+  test('url links to publicUrl without signing when one is set', () => {
+    const storage = createS3({ publicUrl: 'https://cdn.example.com/' });
+    assert.strictEqual(storage.url('photo 1.jpg'), 'https://cdn.example.com/photo%201.jpg');
+  });
+});
+
+describe('local driver', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'ecofinds-storage-'));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('put, list, url and remove', async () => {
+    const storage = createStorage({ driver: 'local', root, urlPrefix: '/uploads' });
+    await storage.put('1-thumb.jpg', Buffer.from('thumb'), 'image/jpeg');
+
+    assert.strictEqual(fs.readFileSync(path.join(root, '1-thumb.jpg')).toString(), 'thumb');
+    assert.strictEqual((await storage.get('1-thumb.jpg')).toString(), 'thumb');
+    assert.strictEqual(storage.url('1-thumb.jpg'), '/uploads/1-thumb.jpg');
+    const files = await storage.list();
+    assert.deepStrictEqual(files.map(file => [file.key, file.size]), [['1-thumb.jpg', 5]]);
+
+    await storage.remove('1-thumb.jpg');
+    assert.deepStrictEqual(await storage.list(), []);
+    await storage.remove('1-thumb.jpg');
+    await assert.rejects(storage.get('1-thumb.jpg'), { code: 'ENOENT' });
+  });
+
+  test('keys cannot escape the root', async () => {
+    const storage = createStorage({ driver: 'local', root });
+    await storage.put('../escaped.jpg', Buffer.from('x'), 'image/jpeg');
+    assert.ok(fs.existsSync(path.join(root, 'escaped.jpg')));
+    assert.ok(!fs.existsSync(path.join(root, '..', 'escaped.jpg')));
+  });
+
+  test('list skips directories', async () => {
+    fs.mkdirSync(path.join(root, 'nested'));
+    const storage = createStorage({ driver: 'local', root });
+    assert.ok((await storage.list()).every(file => file.key !== 'nested'));
+  });
+});
@@ -0,0 +1,77 @@
+// The image sweeper, against an in-memory database and a storage driver that only lists and removes
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { createImageSweeper } = require('../sweeper');
+
+const OLD = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+let db;
+let files;
+let removed;
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const storage = {
+  list: async () => files,
+  remove: async (key) => {
+    removed.push(key);
+  }
+};
+
+beforeEach(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run('CREATE TABLE products (image_url TEXT, image_variants TEXT)');
+  await run('CREATE TABLE product_images (url TEXT, variants TEXT)');
+  await run('CREATE TABLE users (profile_image_url TEXT)');
+  await run('CREATE TABLE purchases (item_image_url TEXT)');
+  removed = [];
+});
+
+afterEach(() => new Promise(resolve => db.close(resolve)));
+
+const keysOf = (list) => list.map(file => file.key).sort();
+
+test('unreferenced uploads are swept, in every naming the app has used', async () => {
+  files = [
+    '1700000000000-123456789.jpg',
+    '1700000000000-123456789-thumb.webp',
+    'bulk-1700000000000-123456789.jpg',
+    'downloaded-1700000000000-123456789.jpg',
+    'profile-1700000000000-123456789.jpg'
+  ].map(key => ({ key, size: 10, lastModified: OLD }));
+
+  const sweeper = createImageSweeper({ db, storage });
+  const orphans = await sweeper.sweep();
+
+  assert.deepStrictEqual(keysOf(orphans), keysOf(files));
+  assert.deepStrictEqual(removed.sort(), keysOf(files));
+});
+
+test('referenced uploads, other files and recent uploads are kept', async () => {
+  await run('INSERT INTO products (image_url, image_variants) VALUES (?, ?)', [
+    '/uploads/downloaded-1-2.jpg',
+    JSON.stringify({ thumb: { jpeg: '/uploads/3-4-thumb.jpg', webp: '/uploads/3-4-thumb.webp' } })
+  ]);
+  await run('INSERT INTO users (profile_image_url) VALUES (?)', ['/uploads/profile-5-6.jpg']);
+  await run('INSERT INTO purchases (item_image_url) VALUES (?)', ['/uploads/bulk-7-8.jpg']);
+  files = [
+    { key: 'downloaded-1-2.jpg', size: 10, lastModified: OLD },
+    { key: '3-4-thumb.jpg', size: 10, lastModified: OLD },
+    { key: '3-4-thumb.webp', size: 10, lastModified: OLD },
+    { key: 'profile-5-6.jpg', size: 10, lastModified: OLD },
+    { key: 'bulk-7-8.jpg', size: 10, lastModified: OLD },
+    { key: 'laptop.jpg', size: 10, lastModified: OLD },
+    { key: 'backup-9-10.jpg', size: 10, lastModified: OLD },
+    { key: 'bulk-11-12.jpg', size: 10, lastModified: new Date() }
+  ];
+
+  const sweeper = createImageSweeper({ db, storage });
+
+  assert.deepStrictEqual(await sweeper.findOrphans(), []);
+  assert.strictEqual(await sweeper.isReferenced('profile-5-6.jpg'), true);
+  assert.strictEqual(await sweeper.isReferenced('3-4-thumb.webp'), true);
+  assert.strictEqual(await sweeper.isReferenced('bulk-11-12.jpg'), false);
+});
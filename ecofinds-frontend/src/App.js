@@ -1,20 +1,53 @@
-import React, { useState, useEffect, createContext, useContext, Component } from 'react';
-import { Search, Plus, Edit, Trash2, ShoppingCart, User, LogOut, Eye, Home, Package, History, Menu, X, AlertTriangle, Heart, Filter, SortAsc, Upload, Link, Image, Download, Copy, Check, ArrowLeft, CreditCard, DollarSign } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, createContext, useContext, Component } from 'react';
+import { Search, Plus, Edit, Trash2, ShoppingCart, User, LogOut, Eye, Home, Package, History, Menu, X, AlertTriangle, Heart, Filter, SortAsc, Upload, Link, Image, Download, Copy, Check, ArrowLeft, CreditCard, DollarSign, Shield, MessageCircle, Send, Star, Bell, MapPin, Truck, ChevronLeft, ChevronRight, Archive, RotateCcw } from 'lucide-react';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001/api';
 
+// Auth endpoints that don't take an access token, so a 401 from them never triggers a refresh
+const PUBLIC_AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/forgot-password', '/auth/reset-password', '/auth/verify-email'];
+
+// Server-sent events the app listens for on /api/events
+const REALTIME_EVENTS = ['product.sold', 'product.updated', 'product.deleted', 'product.price_dropped', 'message.new', 'offer.new', 'offer.updated', 'order.updated', 'saved_search.match'];
+
 const AuthContext = createContext();
 const useAuth = () => useContext(AuthContext);
 
+// Runs `handler` for every real-time event of the given type while the component is mounted
+const useRealtime = (event, handler) => {
+  const { subscribe } = useAuth();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(event, (data) => handlerRef.current(data)), [event, subscribe]);
+};
+
+// Mock gateway payment methods with a fixed outcome, offered outside production builds
+const TEST_PAYMENT_METHODS = process.env.NODE_ENV === 'production' ? [] : [
+  { value: 'test_decline', label: 'Test card (declined)' },
+  { value: 'test_delayed', label: 'Test card (confirms after a delay)' }
+];
+
+// One key per checkout attempt, so a retried or double-clicked payment is only charged once
+const createIdempotencyKey = () =>
+  window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// How long the search box waits after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Merges a product.updated payload into a list of items keyed by `idKey`
+const mergeProductUpdate = (items, update, idKey = 'id') =>
+  items.map(item => item[idKey] === update.product_id ? { ...item, ...update } : item);
+
 class ApiService {
-  static async request(endpoint, options = {}) {
+  static async request(endpoint, options = {}, retry = true) {
     const token = localStorage.getItem('token');
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` })
-      },
-      ...options
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+        ...options.headers
+      }
     };
 
     if (options.body && !(options.body instanceof FormData)) {
@@ -24,46 +57,156 @@ class ApiService {
     }
 
     const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+
+    // Access token expired or was revoked - rotate it once and replay the request
+    if ((response.status === 401 || response.status === 403) && retry && token && !PUBLIC_AUTH_ENDPOINTS.includes(endpoint)) {
+      if (await this.refreshSession()) return this.request(endpoint, options, false);
+      localStorage.clear();
+      window.dispatchEvent(new Event('auth:expired'));
+    }
+
     const data = await response.json();
     
     if (!response.ok) throw new Error(data.error || 'Request failed');
     return data;
   }
 
+  // Concurrent 401s share one refresh call, since each refresh token can only be used once
+  static refreshSession() {
+    if (!this.refreshPromise) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      this.refreshPromise = (refreshToken ? this.request('/auth/refresh', { method: 'POST', body: { refresh_token: refreshToken } }, false)
+        .then(data => {
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refresh_token);
+          return true;
+        })
+        .catch(() => false) : Promise.resolve(false))
+        .finally(() => { this.refreshPromise = null; });
+    }
+    return this.refreshPromise;
+  }
+
   static async register(userData) { return this.request('/auth/register', { method: 'POST', body: userData }); }
   static async login(credentials) { return this.request('/auth/login', { method: 'POST', body: credentials }); }
+  static async logout(refreshToken) { return this.request('/auth/logout', { method: 'POST', body: { refresh_token: refreshToken } }); }
+  static async logoutAll() { return this.request('/auth/logout-all', { method: 'POST' }); }
+  static async getEventTicket() { return this.request('/events/ticket', { method: 'POST', body: {} }); }
+  static async forgotPassword(email) { return this.request('/auth/forgot-password', { method: 'POST', body: { email } }); }
+  static async resetPassword(token, password) { return this.request('/auth/reset-password', { method: 'POST', body: { token, password } }); }
+  static async verifyEmail(token) { return this.request('/auth/verify-email', { method: 'POST', body: { token } }); }
+  static async resendVerification() { return this.request('/auth/resend-verification', { method: 'POST' }); }
   static async getProfile() { return this.request('/user/profile'); }
   static async updateProfile(profileData) { return this.request('/user/profile', { method: 'PUT', body: profileData }); }
   static async updateProfileWithImage(profileData) { return this.request('/user/profile/with-image', { method: 'PUT', body: profileData }); }
-  static async getProducts(filters = {}) {
+  static productQuery(filters = {}) {
     const params = new URLSearchParams();
-    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
-    return this.request(`/products?${params.toString()}`);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (key !== 'attr') {
+        if (value) params.append(key, value);
+        return;
+      }
+      // Attribute filters go out as attr[key]=value, and ranges as attr[key][min] / attr[key][max]
+      Object.entries(value || {}).forEach(([name, filter]) => {
+        if (filter && typeof filter === 'object') {
+          Object.entries(filter).forEach(([bound, limit]) => { if (limit !== '') params.append(`attr[${name}][${bound}]`, limit); });
+        } else if (filter !== undefined && filter !== '') {
+          params.append(`attr[${name}]`, filter);
+        }
+      });
+    });
+    return params.toString();
   }
-  static async getProduct(id) { return this.request(`/products/${id}`); }
+  static async getProducts(filters = {}) { return this.request(`/products?${this.productQuery(filters)}`); }
+  static async getProductFacets(filters = {}) { return this.request(`/products/facets?${this.productQuery(filters)}`); }
+  static async getProduct(id, near) { return this.request(`/products/${id}${near ? `?near=${encodeURIComponent(near)}` : ''}`); }
+  static async getSearchSuggestions(q) { return this.request(`/search/suggest?q=${encodeURIComponent(q)}`); }
   static async createProduct(productData) { return this.request('/products', { method: 'POST', body: productData }); }
   static async createProductWithImageUrl(productData) { return this.request('/products/with-image-url', { method: 'POST', body: productData }); }
   static async bulkCreateProducts(products) { return this.request('/products/bulk-create', { method: 'POST', body: { products } }); }
   static async updateProduct(id, productData) { return this.request(`/products/${id}`, { method: 'PUT', body: productData }); }
   static async deleteProduct(id) { return this.request(`/products/${id}`, { method: 'DELETE' }); }
+  static async archiveProduct(id) { return this.request(`/products/${id}/archive`, { method: 'POST', body: {} }); }
+  static async relistAsDraft(id) { return this.request(`/products/${id}/relist`, { method: 'POST', body: {} }); }
+  static async publishProduct(id) { return this.request(`/products/${id}/publish`, { method: 'POST', body: {} }); }
+  static async getMyProducts(status) { return this.request(`/user/products${status ? `?status=${status}` : ''}`); }
+  static async reorderProductImages(id, imageIds) { return this.request(`/products/${id}/images`, { method: 'PUT', body: { image_ids: imageIds } }); }
+  static async deleteProductImage(id, imageId) { return this.request(`/products/${id}/images/${imageId}`, { method: 'DELETE' }); }
   static async getCategories() { return this.request('/categories'); }
   static async getSampleImages() { return this.request('/sample-images'); }
   static async getCart() { return this.request('/cart'); }
   static async addToCart(productId) { return this.request('/cart', { method: 'POST', body: { product_id: productId } }); }
   static async removeFromCart(productId) { return this.request(`/cart/${productId}`, { method: 'DELETE' }); }
-  static async purchase(productIds) { return this.request('/purchase', { method: 'POST', body: { product_ids: productIds } }); }
-  static async buyNow(productId, paymentMethod) { return this.request('/buy-now', { method: 'POST', body: { product_id: productId, payment_method: paymentMethod } }); }
+  static async holdCart() { return this.request('/cart/hold', { method: 'POST', body: {} }); }
+  static async releaseCartHold() { return this.request('/cart/hold', { method: 'DELETE' }); }
+  static async purchase(productIds, paymentMethod, idempotencyKey) {
+    return this.request('/purchase', { method: 'POST', body: { product_ids: productIds, payment_method: paymentMethod }, headers: { 'Idempotency-Key': idempotencyKey } });
+  }
+  static async buyNow(productId, paymentMethod, idempotencyKey) {
+    return this.request('/buy-now', { method: 'POST', body: { product_id: productId, payment_method: paymentMethod }, headers: { 'Idempotency-Key': idempotencyKey } });
+  }
   static async getPurchaseHistory() { return this.request('/purchases'); }
+  static async getSales(status) { return this.request(`/sales${status ? `?status=${status}` : ''}`); }
+  static async getOrder(orderId) { return this.request(`/orders/${orderId}`); }
+  static async updateOrderStatus(orderId, update) { return this.request(`/orders/${orderId}/status`, { method: 'PUT', body: update }); }
   static async getFavorites() { return this.request('/favorites'); }
+  static async getSavedSearches() { return this.request('/saved-searches'); }
+  static async saveSearch(savedSearch) { return this.request('/saved-searches', { method: 'POST', body: savedSearch }); }
+  static async updateSavedSearch(id, changes) { return this.request(`/saved-searches/${id}`, { method: 'PUT', body: changes }); }
+  static async deleteSavedSearch(id) { return this.request(`/saved-searches/${id}`, { method: 'DELETE' }); }
+  static async getSavedSearchMatches(id) { return this.request(`/saved-searches/${id}/matches`); }
   static async addToFavorites(productId) { return this.request('/favorites', { method: 'POST', body: { product_id: productId } }); }
   static async removeFromFavorites(productId) { return this.request(`/favorites/${productId}`, { method: 'DELETE' }); }
   static async trackProductView(productId) { return this.request(`/products/${productId}/view`, { method: 'POST' }); }
   static async getProductStats(productId) { return this.request(`/products/${productId}/stats`); }
+  static async getConversations() { return this.request('/conversations'); }
+  static async getUnreadCount() { return this.request('/conversations/unread-count'); }
+  static async openConversation(productId, message) { return this.request('/conversations', { method: 'POST', body: { product_id: productId, message } }); }
+  static async getMessages(conversationId, before) { return this.request(`/conversations/${conversationId}/messages${before ? `?before=${before}` : ''}`); }
+  static async sendMessage(conversationId, body) { return this.request(`/conversations/${conversationId}/messages`, { method: 'POST', body: { body } }); }
+  static async markConversationRead(conversationId) { return this.request(`/conversations/${conversationId}/read`, { method: 'PUT' }); }
+  static async createReview(purchaseId, review) { return this.request(`/purchases/${purchaseId}/review`, { method: 'POST', body: review }); }
+  static async updateReview(reviewId, review) { return this.request(`/reviews/${reviewId}`, { method: 'PUT', body: review }); }
+  static async replyToReview(reviewId, reply) { return this.request(`/reviews/${reviewId}/reply`, { method: 'PUT', body: { reply } }); }
+  static async getPublicProfile(username, page = 1) { return this.request(`/users/${encodeURIComponent(username)}?page=${page}`); }
+  static async getSellerReviews(username, page = 1) { return this.request(`/users/${encodeURIComponent(username)}/reviews?page=${page}`); }
+  static async makeOffer(productId, amount, message) { return this.request(`/products/${productId}/offers`, { method: 'POST', body: { amount, message } }); }
+  static async getOffers(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+    return this.request(`/offers?${params.toString()}`);
+  }
+  static async acceptOffer(offerId) { return this.request(`/offers/${offerId}/accept`, { method: 'PUT' }); }
+  static async declineOffer(offerId) { return this.request(`/offers/${offerId}/decline`, { method: 'PUT' }); }
+  static async counterOffer(offerId, amount) { return this.request(`/offers/${offerId}/counter`, { method: 'PUT', body: { amount } }); }
+  static async withdrawOffer(offerId) { return this.request(`/offers/${offerId}/withdraw`, { method: 'PUT' }); }
+  static async getAdminUsers(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+    return this.request(`/admin/users?${params.toString()}`);
+  }
+  static async suspendUser(userId, reason) { return this.request(`/admin/users/${userId}/suspend`, { method: 'PUT', body: { reason } }); }
+  static async unsuspendUser(userId) { return this.request(`/admin/users/${userId}/unsuspend`, { method: 'PUT' }); }
+  static async updateUserRole(userId, role) { return this.request(`/admin/users/${userId}/role`, { method: 'PUT', body: { role } }); }
+  static async getAdminProducts(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+    return this.request(`/admin/products?${params.toString()}`);
+  }
+  static async unlistProduct(productId, reason) { return this.request(`/admin/products/${productId}/unlist`, { method: 'PUT', body: { reason } }); }
+  static async relistProduct(productId) { return this.request(`/admin/products/${productId}/relist`, { method: 'PUT' }); }
+  static async createCategory(name, parentId) { return this.request('/admin/categories', { method: 'POST', body: { name, parent_id: parentId || null } }); }
+  static async updateCategory(categoryId, name) { return this.request(`/admin/categories/${categoryId}`, { method: 'PUT', body: { name } }); }
+  static async deleteCategory(categoryId) { return this.request(`/admin/categories/${categoryId}`, { method: 'DELETE' }); }
+  static async addCategoryAttribute(categoryId, attribute) { return this.request(`/admin/categories/${categoryId}/attributes`, { method: 'POST', body: attribute }); }
+  static async deleteCategoryAttribute(categoryId, key) { return this.request(`/admin/categories/${categoryId}/attributes/${key}`, { method: 'DELETE' }); }
 }
 
 const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [notice, setNotice] = useState(null);
+  const listenersRef = useRef(new Map());
 
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -72,25 +215,134 @@ const AuthProvider = ({ children }) => {
       try { setUser(JSON.parse(userData)); } catch { localStorage.clear(); }
     }
     setLoading(false);
+
+    // Links from verification emails land here with ?verify_token=...
+    const verifyToken = new URLSearchParams(window.location.search).get('verify_token');
+    if (verifyToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+      ApiService.verifyEmail(verifyToken)
+        .then(() => {
+          setNotice({ type: 'success', message: 'Your email address has been verified.' });
+          setUser(current => {
+            if (!current) return current;
+            const verifiedUser = { ...current, email_verified: true };
+            localStorage.setItem('user', JSON.stringify(verifiedUser));
+            return verifiedUser;
+          });
+        })
+        .catch(error => setNotice({ type: 'error', message: error.message }));
+    }
+
+    const handleExpired = () => setUser(null);
+    window.addEventListener('auth:expired', handleExpired);
+    return () => window.removeEventListener('auth:expired', handleExpired);
   }, []);
 
-  const login = async (credentials) => {
-    const response = await ApiService.login(credentials);
+  const subscribe = useCallback((event, handler) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+    return () => listeners.get(event).delete(handler);
+  }, []);
+
+  // One event stream per signed-in user, shared by every page through `subscribe`
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return;
+    let source;
+    let closed = false;
+    let retryTimer;
+    let failures = 0;
+
+    // Tries again a second after the first failure, waiting twice as long after each further one
+    const reconnect = () => {
+      const delay = Math.min(1000 * 2 ** failures, 30000);
+      failures++;
+      retryTimer = setTimeout(() => { if (!closed) connect(); }, delay);
+    };
+
+    // Each connection needs a fresh single-use ticket, so the access token never goes in the URL
+    const connect = async () => {
+      let ticket;
+      try {
+        ({ ticket } = await ApiService.getEventTicket());
+      } catch (error) {
+        // The server may be restarting; signing out ends this effect, which cancels the retry
+        if (!closed) reconnect();
+        return;
+      }
+      if (closed) return;
+      source = new EventSource(`${API_BASE_URL}/events?ticket=${ticket}`);
+      source.onopen = () => { failures = 0; };
+      REALTIME_EVENTS.forEach(event => {
+        source.addEventListener(event, (e) => {
+          const data = JSON.parse(e.data);
+          (listenersRef.current.get(event) || []).forEach(handler => handler(data));
+        });
+      });
+      source.onerror = () => {
+        // The browser retries dropped connections with the used ticket, which is refused and closes
+        // the stream; a new ticket (refreshing the session if needed) opens it again
+        if (source.readyState === EventSource.CLOSED && !closed) {
+          reconnect();
+        }
+      };
+    };
+
+    connect();
+    const unsubscribePriceDrop = subscribe('product.price_dropped', (data) => {
+      setNotice({ type: 'success', message: `Price drop: "${data.title}" is now $${data.new_price} (was $${data.old_price})` });
+    });
+    const unsubscribeOffer = subscribe('offer.new', (data) => {
+      setNotice({ type: 'success', message: `${data.buyer_name} offered $${data.amount} for "${data.title}"` });
+    });
+    const unsubscribeSavedSearch = subscribe('saved_search.match', (data) => {
+      const more = data.count > 1 ? ` and ${data.count - 1} more` : '';
+      setNotice({ type: 'success', message: `New for your saved search "${data.name}": "${data.title}"${more}` });
+    });
+
+    return () => {
+      closed = true;
+      unsubscribePriceDrop();
+      unsubscribeOffer();
+      unsubscribeSavedSearch();
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [userId, subscribe]);
+
+  const storeSession = (response) => {
     localStorage.setItem('token', response.token);
+    localStorage.setItem('refreshToken', response.refresh_token);
     localStorage.setItem('user', JSON.stringify(response.user));
     setUser(response.user);
+  };
+
+  const login = async (credentials) => {
+    const response = await ApiService.login(credentials);
+    storeSession(response);
     return response;
   };
 
   const register = async (userData) => {
     const response = await ApiService.register(userData);
-    localStorage.setItem('token', response.token);
-    localStorage.setItem('user', JSON.stringify(response.user));
-    setUser(response.user);
+    storeSession(response);
     return response;
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) await ApiService.logout(refreshToken);
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+    localStorage.clear();
+    setUser(null);
+  };
+
+  const logoutAll = async () => {
+    await ApiService.logoutAll();
     localStorage.clear();
     setUser(null);
   };
@@ -101,7 +353,79 @@ const AuthProvider = ({ children }) => {
     localStorage.setItem('user', JSON.stringify(updatedUser));
   };
 
-  return <AuthContext.Provider value={{ user, login, register, logout, loading, updateUser }}>{children}</AuthContext.Provider>;
+  return <AuthContext.Provider value={{ user, login, register, logout, logoutAll, loading, updateUser, notice, setNotice, subscribe }}>{children}</AuthContext.Provider>;
+};
+
+const NoticeBanner = ({ notice, onDismiss }) => (
+  <div className={`flex justify-between items-center px-4 py-3 rounded-lg text-sm ${
+    notice.type === 'error' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'
+  }`}>
+    <span>{notice.message}</span>
+    {onDismiss && (
+      <button onClick={onDismiss} className="ml-4">
+        <X className="h-4 w-4" />
+      </button>
+    )}
+  </div>
+);
+
+const VerificationBanner = () => {
+  const { user, notice, setNotice } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const result = await ApiService.resendVerification();
+      setNotice({ type: 'success', message: result.message });
+    } catch (error) {
+      setNotice({ type: 'error', message: error.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!notice && user?.email_verified !== false) return null;
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 pt-4 space-y-2">
+      {notice && <NoticeBanner notice={notice} onDismiss={() => setNotice(null)} />}
+      {user?.email_verified === false && (
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 px-4 py-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm">
+          <span className="flex items-center gap-2">
+            <AlertTriangle className="h-4 w-4" />
+            Please verify your email address ({user.email}) to start listing products.
+          </span>
+          <button onClick={handleResend} disabled={sending} className="font-medium hover:underline disabled:opacity-50">
+            {sending ? 'Sending...' : 'Resend verification email'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Counts down to a server timestamp (UTC, no zone suffix) and calls onExpire when it passes
+const HoldCountdown = ({ expiresAt, onExpire }) => {
+  const [remaining, setRemaining] = useState(() => new Date(expiresAt + 'Z') - Date.now());
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    const tick = () => {
+      const left = new Date(expiresAt + 'Z') - Date.now();
+      setRemaining(left);
+      if (left <= 0) {
+        clearInterval(timer);
+        onExpireRef.current && onExpireRef.current();
+      }
+    };
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  const seconds = Math.max(0, Math.ceil(remaining / 1000));
+  return <span className="font-mono">{Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')}</span>;
 };
 
 const LoadingSpinner = () => (
@@ -150,16 +474,35 @@ class ErrorBoundary extends Component {
   }
 }
 
+const STAFF_ROLES = ['moderator', 'admin'];
+
 const Navigation = ({ currentView, setCurrentView, onLogout }) => {
+  const { user } = useAuth();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    const loadUnreadCount = () => {
+      ApiService.getUnreadCount()
+        .then(data => setUnreadCount(data.unread))
+        .catch(console.error);
+    };
+    loadUnreadCount();
+  }, [currentView]);
+
+  useRealtime('message.new', () => setUnreadCount(count => count + 1));
   
   const navItems = [
     { id: 'home', label: 'Home', icon: Home },
     { id: 'myListings', label: 'My Listings', icon: Package },
     { id: 'favorites', label: 'Favorites', icon: Heart },
+    { id: 'inbox', label: 'Inbox', icon: MessageCircle, badge: unreadCount },
     { id: 'cart', label: 'Cart', icon: ShoppingCart },
     { id: 'purchases', label: 'Purchases', icon: History },
+    { id: 'sales', label: 'Sales', icon: DollarSign },
+    { id: 'savedSearches', label: 'Saved Searches', icon: Bell },
     { id: 'profile', label: 'Profile', icon: User },
+    ...(STAFF_ROLES.includes(user?.role) ? [{ id: 'admin', label: 'Admin', icon: Shield }] : []),
   ];
 
   return (
@@ -180,6 +523,9 @@ const Navigation = ({ currentView, setCurrentView, onLogout }) => {
                 >
                   <Icon className="h-5 w-5" />
                   <span>{item.label}</span>
+                  {item.badge > 0 && (
+                    <span className="bg-red-500 text-white text-xs rounded-full px-2">{item.badge}</span>
+                  )}
                 </button>
               );
             })}
@@ -212,6 +558,9 @@ const Navigation = ({ currentView, setCurrentView, onLogout }) => {
                 >
                   <Icon className="h-5 w-5" />
                   <span>{item.label}</span>
+                  {item.badge > 0 && (
+                    <span className="bg-red-500 text-white text-xs rounded-full px-2">{item.badge}</span>
+                  )}
                 </button>
               );
             })}
@@ -235,7 +584,12 @@ const Navigation = ({ currentView, setCurrentView, onLogout }) => {
                   currentView === item.id ? 'text-green-600' : 'text-gray-400'
                 }`}
               >
-                <Icon className="h-5 w-5" />
+                <div className="relative">
+                  <Icon className="h-5 w-5" />
+                  {item.badge > 0 && (
+                    <span className="absolute -top-2 -right-3 bg-red-500 text-white text-xs rounded-full px-1">{item.badge}</span>
+                  )}
+                </div>
                 <span className="text-xs mt-1">{item.label}</span>
               </button>
             );
@@ -247,22 +601,40 @@ const Navigation = ({ currentView, setCurrentView, onLogout }) => {
 };
 
 const LoginForm = () => {
-  const { login, register } = useAuth();
-  const [isLogin, setIsLogin] = useState(true);
+  const { login, register, notice, setNotice } = useAuth();
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset_token'));
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login'); // 'login', 'register', 'forgot', 'reset'
   const [formData, setFormData] = useState({ username: '', email: '', password: '', full_name: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  const isLogin = mode === 'login';
+
+  const switchMode = (newMode) => {
+    setMode(newMode);
+    setError('');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      if (isLogin) {
+      if (mode === 'login') {
         await login({ email: formData.email, password: formData.password });
-      } else {
+      } else if (mode === 'register') {
         await register(formData);
+      } else if (mode === 'forgot') {
+        const result = await ApiService.forgotPassword(formData.email);
+        setNotice({ type: 'success', message: result.message });
+        switchMode('login');
+      } else if (mode === 'reset') {
+        const result = await ApiService.resetPassword(resetToken, formData.password);
+        window.history.replaceState(null, '', window.location.pathname);
+        setNotice({ type: 'success', message: result.message });
+        setFormData({ ...formData, password: '' });
+        switchMode('login');
       }
     } catch (err) {
       setError(err.message);
@@ -271,6 +643,13 @@ const LoginForm = () => {
     }
   };
 
+  const submitLabel = {
+    login: 'Login',
+    register: 'Sign Up',
+    forgot: 'Send Reset Link',
+    reset: 'Set New Password'
+  }[mode];
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
       <div className="max-w-md w-full bg-white rounded-lg shadow-md p-6">
@@ -279,8 +658,21 @@ const LoginForm = () => {
           <p className="text-gray-600">Sustainable Second-Hand Marketplace</p>
         </div>
 
+        {notice && (
+          <div className="mb-4">
+            <NoticeBanner notice={notice} onDismiss={() => setNotice(null)} />
+          </div>
+        )}
+
+        {mode === 'forgot' && (
+          <p className="text-gray-600 text-sm mb-4">Enter the email you signed up with and we'll send you a link to reset your password.</p>
+        )}
+        {mode === 'reset' && (
+          <p className="text-gray-600 text-sm mb-4">Choose a new password for your account.</p>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-4">
-          {!isLogin && (
+          {mode === 'register' && (
             <>
               <input
                 type="text"
@@ -300,23 +692,35 @@ const LoginForm = () => {
             </>
           )}
           
-          <input
-            type="email"
-            placeholder="Email"
-            value={formData.email}
-            onChange={(e) => setFormData({...formData, email: e.target.value})}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
-            required
-          />
+          {mode !== 'reset' && (
+            <input
+              type="email"
+              placeholder="Email"
+              value={formData.email}
+              onChange={(e) => setFormData({...formData, email: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              required
+            />
+          )}
           
-          <input
-            type="password"
-            placeholder="Password"
-            value={formData.password}
-            onChange={(e) => setFormData({...formData, password: e.target.value})}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
-            required
-          />
+          {mode !== 'forgot' && (
+            <input
+              type="password"
+              placeholder={mode === 'reset' ? 'New Password' : 'Password'}
+              value={formData.password}
+              onChange={(e) => setFormData({...formData, password: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              required
+            />
+          )}
+
+          {isLogin && (
+            <div className="text-right">
+              <button type="button" onClick={() => switchMode('forgot')} className="text-sm text-green-600 hover:underline">
+                Forgot password?
+              </button>
+            </div>
+          )}
 
           {error && <div className="text-red-600 text-sm">{error}</div>}
 
@@ -325,24 +729,169 @@ const LoginForm = () => {
             disabled={loading}
             className="w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50"
           >
-            {loading ? 'Loading...' : (isLogin ? 'Login' : 'Sign Up')}
+            {loading ? 'Loading...' : submitLabel}
           </button>
         </form>
 
         <div className="text-center mt-4">
-          <button
-            onClick={() => setIsLogin(!isLogin)}
-            className="text-green-600 hover:underline"
-          >
-            {isLogin ? "Don't have an account? Sign up" : "Already have an account? Login"}
-          </button>
+          {mode === 'login' || mode === 'register' ? (
+            <button
+              onClick={() => switchMode(isLogin ? 'register' : 'login')}
+              className="text-green-600 hover:underline"
+            >
+              {isLogin ? "Don't have an account? Sign up" : "Already have an account? Login"}
+            </button>
+          ) : (
+            <button onClick={() => switchMode('login')} className="text-green-600 hover:underline">
+              Back to login
+            </button>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-const ProductCard = ({ product, onAddToCart, onEdit, onDelete, onToggleFavorite, isFavorite = false, showActions = false, showFavorite = true }) => {
+const StarRating = ({ rating, count, size = 'h-4 w-4' }) => (
+  <span className="inline-flex items-center gap-1">
+    {[1, 2, 3, 4, 5].map(star => (
+      <Star key={star} className={`${size} ${rating >= star - 0.25 ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+    ))}
+    {count !== undefined && (
+      <span className="text-gray-500 text-xs">{count > 0 ? `${rating} (${count})` : 'No reviews yet'}</span>
+    )}
+  </span>
+);
+
+// Renders search results text with the server's <mark> highlights, without using innerHTML
+const Highlighted = ({ text }) => (
+  <>
+    {text.split(/<mark>(.*?)<\/mark>/g).map((part, index) =>
+      index % 2 === 1 ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark> : part
+    )}
+  </>
+);
+
+// The server keeps times as UTC 'YYYY-MM-DD HH:MM:SS'; <input type="datetime-local"> wants local time
+const toLocalDateTimeInput = (utc) => {
+  if (!utc) return '';
+  const date = new Date(utc.replace(' ', 'T') + 'Z');
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatPublishAt = (utc) => new Date(utc.replace(' ', 'T') + 'Z').toLocaleString();
+
+// Distances come from postal code centres, so they are shown rounded
+const formatDistance = (km) => {
+  if (km < 1) return 'less than 1 km away';
+  return `about ${km < 10 ? km.toFixed(1) : Math.round(km)} km away`;
+};
+
+// Images in local storage come as /uploads paths; images in cloud storage or hosted elsewhere come as full URLs
+const assetUrl = (url) => (/^https?:\/\//.test(url) ? url : `http://localhost:3001${url}`);
+
+// Lets the browser pick the smallest image variant that fills `sizes`, as WebP where it can.
+// Images stored before variants existed are shown from their single URL.
+const ResponsiveImage = ({ src, variants, sizes, alt, className }) => {
+  if (!variants) {
+    return <img src={assetUrl(src)} alt={alt} className={className} />;
+  }
+  const srcSet = (format) => Object.values(variants).map(variant => `${assetUrl(variant[format])} ${variant.width}w`).join(', ');
+  return (
+    <picture className="contents">
+      <source type="image/webp" srcSet={srcSet('webp')} sizes={sizes} />
+      <img src={assetUrl(variants.medium.jpeg)} srcSet={srcSet('jpeg')} sizes={sizes} alt={alt} className={className} />
+    </picture>
+  );
+};
+
+// Indents subcategories under their parent in category dropdowns
+const categoryOptionLabel = (category) => `${'\u00a0\u00a0\u00a0'.repeat(category.depth || 0)}${category.name}`;
+
+const formatAttributeValue = (attribute, value) => {
+  if (attribute.type === 'boolean') return value ? 'Yes' : 'No';
+  return attribute.unit ? `${value} ${attribute.unit}` : String(value);
+};
+
+// Form input for one category attribute, matching its type
+const AttributeField = ({ attribute, value, onChange }) => {
+  const className = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500';
+  const current = value === undefined || value === null ? '' : String(value);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {attribute.label}{attribute.unit && ` (${attribute.unit})`}{attribute.required && ' *'}
+      </label>
+      {attribute.type === 'select' && (
+        <select value={current} onChange={(e) => onChange(e.target.value)} required={attribute.required} className={className}>
+          <option value="">Select {attribute.label}</option>
+          {attribute.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      )}
+      {attribute.type === 'boolean' && (
+        <select value={current} onChange={(e) => onChange(e.target.value === '' ? '' : e.target.value === 'true')} required={attribute.required} className={className}>
+          <option value="">Not specified</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      )}
+      {attribute.type === 'number' && (
+        <input
+          type="number"
+          step="any"
+          min={attribute.min_value === null ? undefined : attribute.min_value}
+          max={attribute.max_value === null ? undefined : attribute.max_value}
+          value={current}
+          onChange={(e) => onChange(e.target.value)}
+          required={attribute.required}
+          className={className}
+        />
+      )}
+      {attribute.type === 'text' && (
+        <input type="text" value={current} onChange={(e) => onChange(e.target.value)} required={attribute.required} className={className} />
+      )}
+    </div>
+  );
+};
+
+// Filter control for one category attribute on the listing page
+const AttributeFilter = ({ attribute, value, onChange }) => {
+  const className = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500';
+
+  if (attribute.type === 'number') {
+    const range = value || { min: '', max: '' };
+    return (
+      <div className="flex gap-2">
+        <input type="number" placeholder={`${attribute.label} from`} value={range.min} onChange={(e) => onChange({ ...range, min: e.target.value })} className={`${className} w-1/2`} />
+        <input type="number" placeholder="to" value={range.max} onChange={(e) => onChange({ ...range, max: e.target.value })} className={`${className} w-1/2`} />
+      </div>
+    );
+  }
+
+  if (attribute.type === 'text') {
+    return <input type="text" placeholder={attribute.label} value={value || ''} onChange={(e) => onChange(e.target.value)} className={className} />;
+  }
+
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={className}>
+      <option value="">Any {attribute.label}</option>
+      {attribute.type === 'boolean'
+        ? [['true', 'Yes'], ['false', 'No']].map(([option, label]) => <option key={option} value={option}>{label}</option>)
+        : attribute.options.map(option => <option key={option} value={option}>{option}</option>)}
+    </select>
+  );
+};
+
+// What a seller sees about their own listings that aren't on the market
+const LISTING_STATUS_NOTES = {
+  draft: 'Draft - not visible to buyers until published',
+  sold: 'Sold',
+  archived: 'Archived - not visible to buyers',
+  unlisted: 'Unlisted by a moderator'
+};
+
+const ProductCard = ({ product, onAddToCart, onEdit, onDelete, onArchive, onRelist, onPublish, onPreview, onToggleFavorite, onSellerClick, isFavorite = false, showActions = false, showFavorite = true }) => {
   const getConditionColor = (condition) => {
     switch (condition) {
       case 'excellent': return 'bg-green-100 text-green-800';
@@ -369,7 +918,13 @@ const ProductCard = ({ product, onAddToCart, onEdit, onDelete, onToggleFavorite,
     <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
       <div className="relative h-48 bg-gray-200 flex items-center justify-center">
       {product.image_url ? (
-        <img src={`http://localhost:3001${product.image_url}`} alt={product.title} className="w-full h-full object-cover" />
+        <ResponsiveImage
+          src={product.image_url}
+          variants={product.image_variants}
+          sizes="(min-width: 1280px) 25vw, (min-width: 768px) 50vw, 100vw"
+          alt={product.title}
+          className="w-full h-full object-cover"
+        />
       ) : (
         <div className="text-gray-400">No Image</div>
       )}
@@ -386,27 +941,91 @@ const ProductCard = ({ product, onAddToCart, onEdit, onDelete, onToggleFavorite,
     </div>
     <div className="p-4">
         <div className="flex justify-between items-start mb-2">
-          <h3 className="font-semibold text-lg">{product.title}</h3>
+          <h3 className="font-semibold text-lg">{product.title_highlight ? <Highlighted text={product.title_highlight} /> : product.title}</h3>
           {product.condition && (
             <span className={`px-2 py-1 rounded-full text-xs font-medium ${getConditionColor(product.condition)}`}>
               {getConditionText(product.condition)}
             </span>
           )}
         </div>
-      <p className="text-gray-600 text-sm mb-2 line-clamp-2">{product.description}</p>
+      <p className="text-gray-600 text-sm mb-2 line-clamp-2">
+        {product.description_snippet?.includes('<mark>') ? <Highlighted text={product.description_snippet} /> : product.description}
+      </p>
+        {product.status === 'reserved' && (
+          <p className="text-amber-700 bg-amber-50 rounded px-2 py-1 text-xs mb-2">
+            Reserved - a buyer is checking out
+            {product.reserved_until && showActions && <> (hold ends {new Date(product.reserved_until + 'Z').toLocaleTimeString()})</>}
+          </p>
+        )}
+        {showActions && LISTING_STATUS_NOTES[product.status] && (
+          <p className="text-gray-700 bg-gray-100 rounded px-2 py-1 text-xs mb-2">
+            {product.status === 'draft' && product.publish_at
+              ? `Draft - goes live ${formatPublishAt(product.publish_at)}`
+              : LISTING_STATUS_NOTES[product.status]}
+            {product.moderation_reason && product.status === 'unlisted' && <>: {product.moderation_reason}</>}
+          </p>
+        )}
       <div className="flex justify-between items-center mb-2">
-        <span className="text-green-600 font-bold text-xl">${product.price}</span>
+        {product.status === 'draft' && !product.price ? (
+          <span className="text-gray-400 text-sm">No price yet</span>
+        ) : (
+          <span className="text-green-600 font-bold text-xl">${product.price}</span>
+        )}
         <span className="text-gray-500 text-sm">{product.category_name}</span>
       </div>
+        {(product.location_city || product.distance_km != null) && (
+          <p className="flex items-center gap-1 text-gray-500 text-xs mb-2">
+            <MapPin className="h-3 w-3" />
+            {[product.location_city, product.distance_km != null && formatDistance(product.distance_km)].filter(Boolean).join(' · ')}
+            {!!product.shipping_available && <Truck className="h-3 w-3 ml-1" aria-label="Ships" />}
+          </p>
+        )}
         {product.seller_name && (
-          <p className="text-gray-500 text-xs mb-2">by {product.seller_name}</p>
+          <div className="flex items-center justify-between mb-2">
+            {onSellerClick ? (
+              <button
+                onClick={(e) => { e.stopPropagation(); onSellerClick(product.seller_name); }}
+                className="text-gray-500 text-xs hover:text-green-600 hover:underline"
+              >
+                by {product.seller_name}
+              </button>
+            ) : (
+              <p className="text-gray-500 text-xs">by {product.seller_name}</p>
+            )}
+            {product.seller_review_count > 0 && (
+              <StarRating rating={product.seller_rating} count={product.seller_review_count} size="h-3 w-3" />
+            )}
+          </div>
         )}
       {showActions ? (
         <div className="flex gap-2">
-          <button onClick={() => onEdit(product)} className="flex-1 bg-blue-600 text-white py-2 px-3 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2">
-            <Edit className="h-4 w-4" />
-            Edit
-          </button>
+          {product.status === 'draft' && onPublish && (
+            <button onClick={() => onPublish(product.id)} className="flex-1 bg-green-600 text-white py-2 px-3 rounded-lg hover:bg-green-700 flex items-center justify-center gap-2">
+              <Send className="h-4 w-4" />
+              Publish
+            </button>
+          )}
+          {(product.status === 'sold' || product.status === 'archived') && onRelist ? (
+            <button onClick={() => onRelist(product.id)} className="flex-1 bg-green-600 text-white py-2 px-3 rounded-lg hover:bg-green-700 flex items-center justify-center gap-2">
+              <RotateCcw className="h-4 w-4" />
+              Relist
+            </button>
+          ) : (
+            <button onClick={() => onEdit(product)} className="flex-1 bg-blue-600 text-white py-2 px-3 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2">
+              <Edit className="h-4 w-4" />
+              Edit
+            </button>
+          )}
+          {product.status === 'draft' && onPreview && (
+            <button onClick={() => onPreview(product.id)} className="bg-gray-600 text-white py-2 px-3 rounded-lg hover:bg-gray-700 flex items-center justify-center" title="Preview">
+              <Eye className="h-4 w-4" />
+            </button>
+          )}
+          {product.status === 'available' && onArchive && (
+            <button onClick={() => onArchive(product.id)} className="bg-gray-600 text-white py-2 px-3 rounded-lg hover:bg-gray-700 flex items-center justify-center" title="Archive">
+              <Archive className="h-4 w-4" />
+            </button>
+          )}
           <button onClick={() => onDelete(product.id)} className="flex-1 bg-red-600 text-white py-2 px-3 rounded-lg hover:bg-red-700 flex items-center justify-center gap-2">
             <Trash2 className="h-4 w-4" />
             Delete
@@ -423,22 +1042,32 @@ const ProductCard = ({ product, onAddToCart, onEdit, onDelete, onToggleFavorite,
 );
 };
 
+// New listings can be saved as drafts, which need nothing but a title, and drafts can be
+// scheduled to go live at `publish_at`
 const ProductForm = ({ product, onSubmit, onCancel }) => {
+  const isDraft = !product || product.status === 'draft';
   const [formData, setFormData] = useState({
     title: product?.title || '',
     description: product?.description || '',
     price: product?.price || '',
+    publish_at: toLocalDateTimeInput(product?.publish_at),
     category_id: product?.category_id || '',
     condition: product?.condition || 'good',
+    postal_code: product?.postal_code || '',
+    pickup_available: product ? !!product.pickup_available : true,
+    shipping_available: product ? !!product.shipping_available : false,
+    attributes: product?.attributes || {},
     image_url: ''
   });
   const [categories, setCategories] = useState([]);
   const [sampleImages, setSampleImages] = useState([]);
-  const [image, setImage] = useState(null);
+  const [images, setImages] = useState([]);
+  const [existingImages, setExistingImages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [imageMethod, setImageMethod] = useState('upload'); // 'upload', 'url', 'sample'
   const [selectedSampleImage, setSelectedSampleImage] = useState(null);
   const [copiedUrl, setCopiedUrl] = useState(false);
+  const [savingDraft, setSavingDraft] = useState(false);
 
   useEffect(() => {
     Promise.all([
@@ -450,29 +1079,74 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
     }).catch(console.error);
   }, []);
 
+  // Listings only carry their cover image, so the full set comes from the product itself
+  useEffect(() => {
+    if (!product) return;
+    ApiService.getProduct(product.id).then(data => setExistingImages(data.images || [])).catch(console.error);
+  }, [product]);
+
+  const moveImage = async (index, offset) => {
+    const ids = existingImages.map(existing => existing.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      const result = await ApiService.reorderProductImages(product.id, ids);
+      setExistingImages(result.images);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDeleteImage = async (imageId) => {
+    if (!window.confirm('Delete this image?')) return;
+    try {
+      const result = await ApiService.deleteProductImage(product.id, imageId);
+      setExistingImages(result.images);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const categoryAttributes = categories.find(cat => String(cat.id) === String(formData.category_id))?.attributes || [];
+
+  const setAttribute = (key, value) => setFormData({ ...formData, attributes: { ...formData.attributes, [key]: value } });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Editing a draft keeps it a draft; a new listing is one when saved with the draft button
+    const saveAsDraft = product?.status === 'draft' || e.nativeEvent.submitter?.value === 'draft';
+    setSavingDraft(saveAsDraft);
     setLoading(true);
 
+    // Only the chosen category's attributes are sent, so switching category drops the others
+    const attributes = Object.fromEntries(categoryAttributes
+      .filter(attribute => formData.attributes[attribute.key] !== undefined && formData.attributes[attribute.key] !== '')
+      .map(attribute => [attribute.key, formData.attributes[attribute.key]]));
+    const productData = {
+      ...formData,
+      attributes,
+      publish_at: saveAsDraft && formData.publish_at ? new Date(formData.publish_at).toISOString() : '',
+      ...(saveAsDraft && !product ? { draft: true } : {})
+    };
+
     try {
-      if (imageMethod === 'upload' && image) {
+      if (imageMethod === 'upload' && images.length > 0) {
         // File upload method
       const data = new FormData();
-      Object.entries(formData).forEach(([key, value]) => data.append(key, value));
-        data.append('image', image);
+      Object.entries(productData).forEach(([key, value]) => data.append(key, key === 'attributes' ? JSON.stringify(value) : value));
+        images.forEach(file => data.append('images', file));
       await onSubmit(data);
       } else if (imageMethod === 'url' && formData.image_url) {
         // Image URL method
-        await onSubmit({ ...formData, image_url: formData.image_url });
+        await onSubmit({ ...productData, image_url: formData.image_url });
       } else if (imageMethod === 'sample' && selectedSampleImage) {
         // Sample image method
-        await onSubmit({ ...formData, image_url: selectedSampleImage.url });
+        await onSubmit({ ...productData, image_url: selectedSampleImage.url });
       } else {
         // No image
-        await onSubmit(formData);
+        await onSubmit(productData);
       }
     } catch (error) {
-      console.error('Error:', error);
+      alert(error.message);
     } finally {
       setLoading(false);
     }
@@ -486,7 +1160,9 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
 
   return (
     <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md p-6">
-      <h2 className="text-2xl font-bold mb-6 text-center">{product ? 'Edit Product' : 'Add New Product'}</h2>
+      <h2 className="text-2xl font-bold mb-6 text-center">
+        {product ? (product.status === 'draft' ? 'Edit Draft' : 'Edit Product') : 'Add New Product'}
+      </h2>
       
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Basic Information */}
@@ -504,7 +1180,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
           </div>
           
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Price *</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Price {isDraft ? '(needed to publish)' : '*'}</label>
             <input
               type="number"
               step="0.01"
@@ -512,7 +1188,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
               value={formData.price}
               onChange={(e) => setFormData({...formData, price: e.target.value})}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
-              required
+              required={product?.status !== 'draft'}
             />
           </div>
         </div>
@@ -527,7 +1203,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
         >
           <option value="">Select Category</option>
           {categories.map(cat => (
-            <option key={cat.id} value={cat.id}>{cat.name}</option>
+            <option key={cat.id} value={cat.id}>{categoryOptionLabel(cat)}</option>
           ))}
         </select>
           </div>
@@ -558,11 +1234,92 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
         />
         </div>
 
+        {/* Category Details */}
+        {categoryAttributes.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {categoryAttributes.map(attribute => (
+              <AttributeField
+                key={attribute.key}
+                attribute={attribute}
+                value={formData.attributes[attribute.key]}
+                onChange={(value) => setAttribute(attribute.key, value)}
+              />
+            ))}
+          </div>
+        )}
+
+        {/* Location & Delivery */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Item Location (Postal Code)</label>
+            <input
+              type="text"
+              placeholder="Same as your profile"
+              value={formData.postal_code}
+              onChange={(e) => setFormData({...formData, postal_code: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty if the item is at the address in your profile</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Delivery Options</label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 py-1">
+              <input
+                type="checkbox"
+                checked={formData.pickup_available}
+                onChange={(e) => setFormData({...formData, pickup_available: e.target.checked})}
+              />
+              Local pickup
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 py-1">
+              <input
+                type="checkbox"
+                checked={formData.shipping_available}
+                onChange={(e) => setFormData({...formData, shipping_available: e.target.checked})}
+              />
+              Shipping
+            </label>
+            {!formData.pickup_available && !formData.shipping_available && (
+              <p className="text-xs text-red-600 mt-1">Offer pickup, shipping or both</p>
+            )}
+          </div>
+        </div>
+
         {/* Image Selection */}
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-3">Product Image</label>
-          
-          {/* Image Method Selection */}
+          <label className="block text-sm font-medium text-gray-700 mb-3">Product Images</label>
+
+          {existingImages.length > 0 && (
+            <div className="flex gap-3 mb-4 overflow-x-auto">
+              {existingImages.map((existing, index) => (
+                <div key={existing.id} className="relative flex-shrink-0 w-24">
+                  <ResponsiveImage src={existing.url} variants={existing.variants} sizes="96px" alt={`${formData.title} ${index + 1}`} className="w-24 h-24 object-cover rounded-lg" />
+                  {index === 0 && (
+                    <span className="absolute top-1 left-1 px-1.5 py-0.5 bg-green-600 text-white text-xs rounded">Cover</span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteImage(existing.id)}
+                    className="absolute top-1 right-1 p-1 bg-white bg-opacity-75 rounded-full text-red-600 hover:bg-opacity-100"
+                    title="Delete image"
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                  <div className="flex justify-between mt-1">
+                    <button type="button" onClick={() => moveImage(index, -1)} disabled={index === 0} className="p-1 text-gray-600 hover:text-green-600 disabled:opacity-30" title="Move earlier">
+                      <ChevronLeft className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => moveImage(index, 1)} disabled={index === existingImages.length - 1} className="p-1 text-gray-600 hover:text-green-600 disabled:opacity-30" title="Move later">
+                      <ChevronRight className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          
+          {/* Image Method Selection */}
           <div className="flex gap-2 mb-4">
             <button
               type="button"
@@ -602,14 +1359,18 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
         <input
           type="file"
           accept="image/*"
-          onChange={(e) => setImage(e.target.files[0])}
+          multiple
+          onChange={(e) => setImages(Array.from(e.target.files))}
           className="w-full px-4 py-2 border border-gray-300 rounded-lg"
         />
-              {image && (
+              {images.length > 0 && (
                 <div className="mt-2">
-                  <p className="text-sm text-gray-600">Selected: {image.name}</p>
+                  <p className="text-sm text-gray-600">Selected: {images.map(file => file.name).join(', ')}</p>
                 </div>
               )}
+              <p className="text-xs text-gray-500 mt-1">
+                {existingImages.length > 0 ? 'New images are added after the current ones' : 'The first image is the cover'}
+              </p>
             </div>
           )}
 
@@ -666,14 +1427,28 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
           )}
         </div>
 
+        {isDraft && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Publish automatically at (optional)</label>
+            <input
+              type="datetime-local"
+              value={formData.publish_at}
+              onChange={(e) => setFormData({...formData, publish_at: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Saved as a draft that goes live at this time; it needs a price</p>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex gap-3 pt-4">
+          {product?.status !== 'draft' && (
           <button 
             type="submit" 
-            disabled={loading} 
+            disabled={loading || (!formData.pickup_available && !formData.shipping_available)} 
             className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center gap-2"
           >
-            {loading ? (
+            {loading && !savingDraft ? (
               <>
                 <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
                 Saving...
@@ -685,6 +1460,18 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
               </>
             )}
           </button>
+          )}
+          {isDraft && (
+            <button
+              type="submit"
+              value="draft"
+              formNoValidate
+              disabled={loading || (!formData.pickup_available && !formData.shipping_available)}
+              className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {loading && savingDraft ? 'Saving...' : formData.publish_at ? 'Schedule' : 'Save Draft'}
+            </button>
+          )}
           <button 
             type="button" 
             onClick={onCancel} 
@@ -698,34 +1485,176 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
   );
 };
 
-const HomePage = ({ onProductClick }) => {
+// Search input with a typeahead of popular searches, categories and listings.
+// Typing is debounced before it reaches onSearch; arrow keys move through the suggestions.
+const SearchBox = ({ initialValue = '', onSearch, onCategorySelect, onProductClick }) => {
+  const [input, setInput] = useState(initialValue);
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const onSearchRef = useRef(onSearch);
+  onSearchRef.current = onSearch;
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      onSearchRef.current(input);
+      if (input.trim().length < 2) {
+        setSuggestions([]);
+        return;
+      }
+      ApiService.getSearchSuggestions(input)
+        .then(data => {
+          if (cancelled) return;
+          setSuggestions([
+            ...data.queries.map(item => ({ type: 'query', key: `query-${item.query}`, label: item.query })),
+            ...data.categories.map(item => ({ type: 'category', key: `category-${item.id}`, label: item.name, id: item.id })),
+            ...data.products.map(item => ({ type: 'product', key: `product-${item.id}`, label: item.title, id: item.id }))
+          ]);
+          setActiveIndex(-1);
+        })
+        .catch(() => !cancelled && setSuggestions([]));
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input]);
+
+  const choose = (suggestion) => {
+    setOpen(false);
+    if (suggestion.type === 'query') {
+      setInput(suggestion.label);
+      onSearch(suggestion.label);
+    } else if (suggestion.type === 'category') {
+      setInput('');
+      onCategorySelect(suggestion.id);
+    } else {
+      onProductClick && onProductClick(suggestion.id);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (suggestions.length === 0) return;
+      setOpen(true);
+      // -1 is the input itself; moving past either end wraps around
+      setActiveIndex(index => {
+        const next = index + (e.key === 'ArrowDown' ? 1 : -1);
+        if (next >= suggestions.length) return -1;
+        if (next < -1) return suggestions.length - 1;
+        return next;
+      });
+    } else if (e.key === 'Enter') {
+      if (open && activeIndex >= 0 && suggestions[activeIndex]) {
+        choose(suggestions[activeIndex]);
+      } else {
+        setOpen(false);
+        onSearch(input);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const suggestionIcon = { query: Search, category: Filter, product: Package };
+  const showSuggestions = open && suggestions.length > 0;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-controls="search-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        placeholder='Search products... ("exact phrase", prefix*)'
+        value={input}
+        onChange={(e) => { setInput(e.target.value); setOpen(true); }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+      />
+      {showSuggestions && (
+        <ul id="search-suggestions" role="listbox" className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((suggestion, index) => {
+            const Icon = suggestionIcon[suggestion.type];
+            return (
+              <li
+                key={suggestion.key}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                // mousedown instead of click, so the input's blur doesn't close the list first
+                onMouseDown={(e) => { e.preventDefault(); choose(suggestion); }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center gap-2 px-4 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-green-50' : ''}`}
+              >
+                <Icon className="h-4 w-4 text-gray-400" />
+                <span className="flex-1 truncate">{suggestion.label}</span>
+                <span className="text-xs text-gray-400">
+                  {suggestion.type === 'query' ? 'Popular search' : suggestion.type === 'category' ? 'Category' : 'Listing'}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const CONDITION_LABELS = { excellent: 'Excellent', very_good: 'Very Good', good: 'Good', fair: 'Fair', poor: 'Poor' };
+
+// Facet price bands are inclusive at both ends; the top one has no upper bound
+const priceRangeLabel = (range) => (range.max === null ? `$${range.min}+` : `$${range.min} – $${range.max}`);
+
+const HomePage = ({ onProductClick, onSellerClick, initialFilters }) => {
+  const { user } = useAuth();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
   const [favorites, setFavorites] = useState([]);
+  // Distances are measured from the user's own postal code unless they enter another one
   const [filters, setFilters] = useState({ 
     category: '', 
     search: '', 
     sort: 'newest',
     min_price: '',
     max_price: '',
-    page: 1
+    condition: '',
+    near: user?.postal_code || '',
+    radius_km: '',
+    attr: {},
+    page: 1,
+    ...initialFilters
   });
+  const [nearInput, setNearInput] = useState(filters.near);
   const [pagination, setPagination] = useState({});
+  const [suggestedSearch, setSuggestedSearch] = useState(null);
+  // Bumped to reset the search box when a suggested search replaces what was typed
+  const [searchBoxKey, setSearchBoxKey] = useState(0);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showFilters, setShowFilters] = useState(false);
 
   const loadData = async () => {
     try {
-      const [productsData, categoriesData, favoritesData] = await Promise.all([
+      const [productsData, categoriesData, favoritesData, facetsData] = await Promise.all([
       ApiService.getProducts(filters),
         ApiService.getCategories(),
-        ApiService.getFavorites()
+        ApiService.getFavorites(),
+        ApiService.getProductFacets(filters)
       ]);
       
       setProducts(productsData.products || productsData);
       setPagination(productsData.pagination || {});
+      setSuggestedSearch(productsData.suggested_search || null);
       setCategories(categoriesData);
       setFavorites(favoritesData);
+      setFacets(facetsData);
     } catch (error) {
       console.error('Error loading data:', error);
     } finally {
@@ -737,6 +1666,14 @@ const HomePage = ({ onProductClick }) => {
     loadData();
   }, [filters]);
 
+  const removeProduct = (data) => setProducts(current => current.filter(p => p.id !== data.product_id));
+  useRealtime('product.sold', removeProduct);
+  useRealtime('product.deleted', removeProduct);
+  useRealtime('product.updated', (data) => {
+    if (data.status && data.status !== 'available') return removeProduct(data);
+    setProducts(current => mergeProductUpdate(current, data));
+  });
+
   const handleAddToCart = async (productId) => {
     try {
       await ApiService.addToCart(productId);
@@ -764,6 +1701,61 @@ const HomePage = ({ onProductClick }) => {
 
   const isFavorite = (productId) => favorites.some(fav => fav.product_id === productId);
 
+  const hasFilters = Boolean(filters.search.trim() || filters.category || filters.min_price || filters.max_price);
+
+  const handleSaveSearch = async () => {
+    const name = prompt('Name this search:', filters.search.trim() || categories.find(cat => String(cat.id) === String(filters.category))?.name || 'New listings');
+    if (name === null) return;
+
+    try {
+      // Saved searches cover the search text, category and price; condition, location and attribute filters aren't saved
+      const { page, condition, near, radius_km, attr, ...savedFilters } = filters;
+      if (savedFilters.sort === 'distance') savedFilters.sort = 'newest';
+      const result = await ApiService.saveSearch({ ...savedFilters, name });
+      alert(result.message);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // A new search sorts by best match unless the user picked another order
+  const handleSearch = useCallback((search) => setFilters(current => {
+    if (current.search === search) return current;
+    let sort = current.sort;
+    if (search.trim() && !current.search.trim() && sort === 'newest') sort = 'relevance';
+    if (!search.trim() && sort === 'relevance') sort = 'newest';
+    return { ...current, search, sort, page: 1 };
+  }), []);
+
+  const handleSuggestedSearch = () => {
+    handleSearch(suggestedSearch);
+    setSearchBoxKey(key => key + 1);
+  };
+
+  const filterAttributes = categories.find(cat => String(cat.id) === String(filters.category))?.attributes || [];
+
+  // Each option shows how many listings picking it would give, once the facet counts are in
+  const withCount = (label, facet) => (facet ? `${label} (${facet.count})` : label);
+  const priceRanges = facets?.price_ranges || [];
+  const selectedPriceRange = priceRanges.findIndex(range =>
+    String(range.min) === String(filters.min_price) && String(range.max === null ? '' : range.max) === String(filters.max_price));
+  const selectPriceRange = (index) => {
+    const range = priceRanges[index];
+    setFilters({ ...filters, min_price: range ? String(range.min) : '', max_price: range && range.max !== null ? String(range.max) : '', page: 1 });
+  };
+
+  const applyNear = () => setFilters(current => {
+    const near = nearInput.trim();
+    if (current.near === near) return current;
+    return {
+      ...current,
+      near,
+      radius_km: near ? current.radius_km : '',
+      sort: !near && current.sort === 'distance' ? 'newest' : current.sort,
+      page: 1
+    };
+  });
+
   if (loading) return <LoadingSpinner />;
 
   return (
@@ -773,12 +1765,12 @@ const HomePage = ({ onProductClick }) => {
         <div className="mb-6 space-y-4">
           <div className="flex gap-4">
           <div className="flex-1">
-            <input
-              type="text"
-              placeholder="Search products..."
-              value={filters.search}
-                onChange={(e) => setFilters({...filters, search: e.target.value, page: 1})}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            <SearchBox
+              key={searchBoxKey}
+              initialValue={filters.search}
+              onSearch={handleSearch}
+              onCategorySelect={(categoryId) => setFilters(current => ({ ...current, category: String(categoryId), attr: {}, search: '', sort: current.sort === 'relevance' ? 'newest' : current.sort, page: 1 }))}
+              onProductClick={onProductClick}
             />
           </div>
             <button
@@ -788,6 +1780,15 @@ const HomePage = ({ onProductClick }) => {
               <Filter className="h-4 w-4" />
               Filters
             </button>
+            <button
+              onClick={handleSaveSearch}
+              disabled={!hasFilters}
+              title={hasFilters ? 'Get alerts when new listings match' : 'Search or filter first'}
+              className="px-4 py-2 border border-green-600 text-green-600 rounded-lg hover:bg-green-50 flex items-center gap-2 disabled:opacity-50"
+            >
+              <Bell className="h-4 w-4" />
+              <span className="hidden sm:inline">Save Search</span>
+            </button>
           </div>
 
           {/* Advanced Filters */}
@@ -796,12 +1797,12 @@ const HomePage = ({ onProductClick }) => {
               <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <select
             value={filters.category}
-                  onChange={(e) => setFilters({...filters, category: e.target.value, page: 1})}
+                  onChange={(e) => setFilters({...filters, category: e.target.value, attr: {}, page: 1})}
             className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
           >
-            <option value="">All Categories</option>
+            <option value="">{facets ? `All Categories (${facets.total})` : 'All Categories'}</option>
             {categories.map(cat => (
-              <option key={cat.id} value={cat.id}>{cat.name}</option>
+              <option key={cat.id} value={cat.id}>{withCount(categoryOptionLabel(cat), facets?.categories.find(facet => facet.id === cat.id))}</option>
             ))}
           </select>
 
@@ -810,6 +1811,8 @@ const HomePage = ({ onProductClick }) => {
                   onChange={(e) => setFilters({...filters, sort: e.target.value, page: 1})}
                   className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                 >
+                  {filters.search.trim() && <option value="relevance">Best Match</option>}
+                  {filters.near && <option value="distance">Nearest First</option>}
                   <option value="newest">Newest First</option>
                   <option value="oldest">Oldest First</option>
                   <option value="price_low">Price: Low to High</option>
@@ -832,6 +1835,66 @@ const HomePage = ({ onProductClick }) => {
                   className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                 />
               </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <input
+                  type="text"
+                  placeholder="Near postal code"
+                  value={nearInput}
+                  onChange={(e) => setNearInput(e.target.value)}
+                  onBlur={applyNear}
+                  onKeyDown={(e) => e.key === 'Enter' && applyNear()}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                />
+
+                <select
+                  value={filters.radius_km}
+                  disabled={!filters.near}
+                  onChange={(e) => setFilters({...filters, radius_km: e.target.value, page: 1})}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 disabled:opacity-50"
+                >
+                  <option value="">Any distance</option>
+                  {[5, 10, 25, 50, 100].map(km => (
+                    <option key={km} value={km}>Within {km} km</option>
+                  ))}
+                </select>
+
+                <select
+                  value={filters.condition}
+                  onChange={(e) => setFilters({...filters, condition: e.target.value, page: 1})}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                >
+                  <option value="">Any Condition</option>
+                  {Object.entries(CONDITION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{withCount(label, facets?.conditions.find(facet => facet.value === value))}</option>
+                  ))}
+                </select>
+
+                <select
+                  value={selectedPriceRange === -1 ? (filters.min_price || filters.max_price ? 'custom' : '') : selectedPriceRange}
+                  onChange={(e) => selectPriceRange(parseInt(e.target.value))}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                >
+                  <option value="">Any Price</option>
+                  {selectedPriceRange === -1 && (filters.min_price || filters.max_price) && <option value="custom" disabled>Custom price</option>}
+                  {priceRanges.map((range, index) => (
+                    <option key={range.min} value={index}>{withCount(priceRangeLabel(range), range)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {filterAttributes.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  {filterAttributes.map(attribute => (
+                    <AttributeFilter
+                      key={attribute.key}
+                      attribute={attribute}
+                      value={filters.attr[attribute.key]}
+                      onChange={(value) => setFilters(current => ({ ...current, attr: { ...current.attr, [attribute.key]: value }, page: 1 }))}
+                    />
+                  ))}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -844,6 +1907,7 @@ const HomePage = ({ onProductClick }) => {
                 product={product} 
                 onAddToCart={handleAddToCart}
                 onToggleFavorite={handleToggleFavorite}
+                onSellerClick={onSellerClick}
                 isFavorite={isFavorite(product.id)}
               />
             </div>
@@ -876,6 +1940,15 @@ const HomePage = ({ onProductClick }) => {
         {products.length === 0 && (
           <div className="text-center py-12">
             <p className="text-gray-500">No products found</p>
+            {suggestedSearch && (
+              <p className="text-gray-500 mt-2">
+                Did you mean{' '}
+                <button onClick={handleSuggestedSearch} className="text-green-600 font-semibold hover:underline">
+                  {suggestedSearch}
+                </button>
+                ?
+              </p>
+            )}
           </div>
         )}
       </div>
@@ -998,7 +2071,7 @@ const BulkProductCreator = ({ onClose, onSuccess }) => {
                     >
                       <option value="">Select Category</option>
                       {categories.map(cat => (
-                        <option key={cat.id} value={cat.id}>{cat.name}</option>
+                        <option key={cat.id} value={cat.id}>{categoryOptionLabel(cat)}</option>
                       ))}
                     </select>
                   </div>
@@ -1064,8 +2137,90 @@ const BulkProductCreator = ({ onClose, onSuccess }) => {
   );
 };
 
-const MyListingsPage = () => {
+// Open offers on the seller's listings, with accept / decline / counter actions
+const IncomingOffersPanel = () => {
+  const [offers, setOffers] = useState([]);
+
+  const loadOffers = () => {
+    ApiService.getOffers({ role: 'seller', status: 'open' })
+      .then(setOffers)
+      .catch(console.error);
+  };
+
+  useEffect(() => {
+    loadOffers();
+  }, []);
+
+  useRealtime('offer.new', loadOffers);
+  useRealtime('offer.updated', loadOffers);
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      loadOffers();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleCounter = (offer) => {
+    const amount = window.prompt(`Counter ${offer.buyer_name}'s offer of $${offer.amount} with:`, offer.listed_price);
+    if (amount) runAction(() => ApiService.counterOffer(offer.id, amount));
+  };
+
+  if (offers.length === 0) return null;
+
+  const statusText = {
+    pending: 'Waiting for you',
+    countered: 'Waiting for the buyer',
+    accepted: 'Accepted, waiting for checkout'
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+      <h3 className="text-lg font-semibold mb-4">Incoming Offers</h3>
+      <div className="space-y-3">
+        {offers.map(offer => (
+          <div key={offer.id} className="flex flex-col md:flex-row md:items-center gap-3 border-b border-gray-100 pb-3 last:border-0 last:pb-0">
+            <div className="flex-1">
+              <p className="font-semibold">{offer.title}</p>
+              <p className="text-sm text-gray-600">
+                {offer.buyer_name} offered <span className="font-bold text-green-600">${offer.amount}</span> (listed at ${offer.listed_price})
+                {offer.status === 'countered' && <> · you countered with ${offer.counter_amount}</>}
+              </p>
+              {offer.message && <p className="text-sm text-gray-500 italic">"{offer.message}"</p>}
+              <p className="text-xs text-gray-400">{statusText[offer.status]}</p>
+            </div>
+            {offer.status === 'pending' && (
+              <div className="flex gap-2">
+                <button onClick={() => runAction(() => ApiService.acceptOffer(offer.id))} className="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 text-sm">
+                  Accept
+                </button>
+                <button onClick={() => handleCounter(offer)} className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 text-sm">
+                  Counter
+                </button>
+                <button onClick={() => runAction(() => ApiService.declineOffer(offer.id))} className="border border-gray-300 px-3 py-1 rounded-lg hover:bg-gray-50 text-sm">
+                  Decline
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Listings on the market, drafts not published yet, and everything taken off the market
+const LISTING_TABS = [
+  { id: 'active', label: 'Active', statuses: 'available,reserved', empty: "You haven't listed any products yet" },
+  { id: 'drafts', label: 'Drafts', statuses: 'draft', empty: 'No drafts' },
+  { id: 'archive', label: 'Archive', statuses: 'sold,archived,unlisted', empty: 'Nothing sold or archived yet' }
+];
+
+const MyListingsPage = ({ onPreview }) => {
   const { user } = useAuth();
+  const [tab, setTab] = useState('active');
   const [products, setProducts] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [showBulkCreator, setShowBulkCreator] = useState(false);
@@ -1074,8 +2229,8 @@ const MyListingsPage = () => {
 
   const loadProducts = async () => {
     try {
-      const data = await ApiService.getProducts({ user_id: user.id });
-      setProducts(data.products || data);
+      const data = await ApiService.getMyProducts(LISTING_TABS.find(t => t.id === tab).statuses);
+      setProducts(data.products);
     } catch (error) {
       console.error('Error loading products:', error);
     } finally {
@@ -1083,7 +2238,13 @@ const MyListingsPage = () => {
     }
   };
 
-  useEffect(() => { loadProducts(); }, [user.id]);
+  useEffect(() => { loadProducts(); }, [user.id, tab]);
+
+  // Holds on the seller's items come and go as buyers check out; sold items move to the archive
+  useRealtime('product.updated', (data) => setProducts(current => mergeProductUpdate(current, data)));
+  useRealtime('product.sold', (data) => setProducts(current => (
+    tab === 'archive' ? mergeProductUpdate(current, data) : current.filter(product => product.id !== data.product_id)
+  )));
 
   const handleSubmit = async (formData) => {
     try {
@@ -1101,7 +2262,13 @@ const MyListingsPage = () => {
       }
       setShowForm(false);
       setEditingProduct(null);
-      loadProducts();
+      // New drafts show up on their own tab
+      const isNewDraft = formData instanceof FormData ? formData.has('draft') : !!formData.draft;
+      if (isNewDraft && tab !== 'drafts') {
+        setTab('drafts');
+      } else {
+        loadProducts();
+      }
     } catch (error) {
       throw error;
     }
@@ -1118,6 +2285,37 @@ const MyListingsPage = () => {
     }
   };
 
+  const handleArchive = async (productId) => {
+    try {
+      await ApiService.archiveProduct(productId);
+      loadProducts();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // The copy starts as a draft, so the seller can check the details before it goes live
+  const handleRelist = async (productId) => {
+    try {
+      const result = await ApiService.relistAsDraft(productId);
+      const draft = await ApiService.getProduct(result.productId);
+      setEditingProduct(draft);
+      setShowForm(true);
+      setTab('drafts');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handlePublish = async (productId) => {
+    try {
+      await ApiService.publishProduct(productId);
+      loadProducts();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
   if (loading) return <LoadingSpinner />;
 
   if (showForm) {
@@ -1137,6 +2335,7 @@ const MyListingsPage = () => {
       <div className="max-w-6xl mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-2xl font-bold">My Listings</h2>
+          {user.role !== 'buyer' && (
           <div className="flex gap-3">
             <button
               onClick={() => setShowBulkCreator(true)}
@@ -1153,6 +2352,23 @@ const MyListingsPage = () => {
             Add Product
           </button>
           </div>
+          )}
+        </div>
+
+        <IncomingOffersPanel />
+
+        <div className="flex gap-2 mb-4">
+          {LISTING_TABS.map(t => (
+            <button
+              key={t.id}
+              onClick={() => { setTab(t.id); setLoading(true); }}
+              className={`px-4 py-2 rounded-lg border ${
+                tab === t.id ? 'bg-green-600 text-white border-green-600' : 'bg-white text-gray-600 border-gray-300'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
@@ -1163,13 +2379,17 @@ const MyListingsPage = () => {
               showActions={true}
               onEdit={(product) => { setEditingProduct(product); setShowForm(true); }}
               onDelete={handleDelete}
+              onArchive={handleArchive}
+              onRelist={handleRelist}
+              onPublish={handlePublish}
+              onPreview={onPreview}
             />
           ))}
         </div>
 
         {products.length === 0 && (
           <div className="text-center py-12">
-            <p className="text-gray-500">You haven't listed any products yet</p>
+            <p className="text-gray-500">{LISTING_TABS.find(t => t.id === tab).empty}</p>
           </div>
         )}
       </div>
@@ -1188,6 +2408,8 @@ const MyListingsPage = () => {
 const CartPage = () => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Kept across retries of the same checkout so a network error can't charge twice
+  const [checkoutKey, setCheckoutKey] = useState(createIdempotencyKey);
 
   const loadCart = async () => {
     try {
@@ -1202,37 +2424,50 @@ const CartPage = () => {
 
   useEffect(() => { loadCart(); }, []);
 
-  const handleRemove = async (productId) => {
+  useRealtime('product.sold', (data) => setCartItems(current => mergeProductUpdate(current, data, 'product_id')));
+  useRealtime('product.updated', (data) => setCartItems(current => mergeProductUpdate(current, data, 'product_id')));
+  useRealtime('product.deleted', (data) => setCartItems(current => current.filter(item => item.product_id !== data.product_id)));
+
+  // Items held for this buyer come back with their hold expiry; reserved items without one are held by someone else
+  const availableItems = cartItems.filter(item => item.status === 'available' || item.hold_expires_at);
+  const holdExpiresAt = cartItems.map(item => item.hold_expires_at).filter(Boolean).sort()[0];
+
+  const handleStartCheckout = async () => {
     try {
-      await ApiService.removeFromCart(productId);
+      const result = await ApiService.holdCart();
+      if (result.results.some(item => item.status !== 'held')) {
+        alert('Some items are being checked out by another buyer and could not be held.');
+      }
       loadCart();
     } catch (error) {
       alert(error.message);
     }
   };
 
-  const handlePurchase = async () => {
-    if (cartItems.length === 0) return;
-    
+  const handleReleaseHold = async () => {
     try {
-      const productIds = cartItems.map(item => item.product_id);
-      await ApiService.purchase(productIds);
-      alert('Purchase completed successfully!');
+      await ApiService.releaseCartHold();
       loadCart();
     } catch (error) {
       alert(error.message);
     }
   };
 
-  const handleBuyNow = async (productId) => {
-    const product = cartItems.find(item => item.product_id === productId);
-    if (!product) return;
+  const handleRemove = async (productId) => {
+    try {
+      await ApiService.removeFromCart(productId);
+      loadCart();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
 
+  const choosePaymentMethod = () => {
     const paymentMethod = prompt('Choose payment method:\n1. Credit Card\n2. Debit Card\n3. PayPal\n4. Cash on Delivery\n\nEnter number (1-4):');
     
     if (!paymentMethod || !['1', '2', '3', '4'].includes(paymentMethod)) {
       alert('Please select a valid payment method');
-      return;
+      return null;
     }
 
     const paymentMethods = {
@@ -1241,19 +2476,49 @@ const CartPage = () => {
       '3': 'paypal',
       '4': 'cash_on_delivery'
     };
+    return paymentMethods[paymentMethod];
+  };
+
+  const handlePurchase = async () => {
+    if (availableItems.length === 0) return;
+
+    const paymentMethod = choosePaymentMethod();
+    if (!paymentMethod) return;
+    
+    try {
+      const productIds = availableItems.map(item => item.product_id);
+      const result = await ApiService.purchase(productIds, paymentMethod, checkoutKey);
+      setCheckoutKey(createIdempotencyKey());
+      alert(result.message);
+      loadCart();
+    } catch (error) {
+      // Only a request that never got an answer may be retried with the same key
+      if (!(error instanceof TypeError)) setCheckoutKey(createIdempotencyKey());
+      // Reload so items that sold in the meantime show up as sold
+      alert(error.message);
+      loadCart();
+    }
+  };
+
+  const handleBuyNow = async (productId) => {
+    const product = cartItems.find(item => item.product_id === productId);
+    if (!product) return;
+
+    const paymentMethod = choosePaymentMethod();
+    if (!paymentMethod) return;
 
     try {
-      const result = await ApiService.buyNow(productId, paymentMethods[paymentMethod]);
+      const result = await ApiService.buyNow(productId, paymentMethod, createIdempotencyKey());
       alert(result.message);
       loadCart();
     } catch (error) {
-      alert('Purchase failed: ' + error.message);
+      alert(error.message);
     }
   };
 
   if (loading) return <LoadingSpinner />;
 
-  const total = cartItems.reduce((sum, item) => sum + parseFloat(item.price), 0);
+  const total = availableItems.reduce((sum, item) => sum + parseFloat(item.offer_price || item.price), 0);
 
   return (
     <div className="p-4 pb-20 md:pb-4">
@@ -1268,10 +2533,10 @@ const CartPage = () => {
           <>
             <div className="space-y-4 mb-6">
               {cartItems.map(item => (
-                <div key={item.id} className="bg-white rounded-lg shadow-md p-4 flex items-center gap-4">
+                <div key={item.id} className={`bg-white rounded-lg shadow-md p-4 flex items-center gap-4 ${availableItems.includes(item) ? '' : 'opacity-60'}`}>
                   <div className="w-16 h-16 bg-gray-200 rounded-lg flex items-center justify-center">
                     {item.image_url ? (
-                      <img src={`http://localhost:3001${item.image_url}`} alt={item.title} className="w-full h-full object-cover rounded-lg" />
+                      <img src={assetUrl(item.image_url)} alt={item.title} className="w-full h-full object-cover rounded-lg" />
                     ) : (
                       <div className="text-gray-400 text-xs">No Image</div>
                     )}
@@ -1279,15 +2544,29 @@ const CartPage = () => {
                   <div className="flex-1">
                     <h3 className="font-semibold">{item.title}</h3>
                     <p className="text-gray-600 text-sm">Seller: {item.seller_name}</p>
-                    <p className="text-green-600 font-bold">${item.price}</p>
+                    {item.offer_price ? (
+                      <p className="text-green-600 font-bold">
+                        ${item.offer_price} <span className="text-gray-400 line-through font-normal text-sm">${item.price}</span>
+                        <span className="text-gray-500 font-normal text-xs ml-1">offer accepted</span>
+                      </p>
+                    ) : (
+                      <p className="text-green-600 font-bold">${item.price}</p>
+                    )}
+                    {!availableItems.includes(item) && (
+                      <p className="text-red-600 text-sm font-semibold">
+                        {item.status === 'sold' ? 'Sold to another buyer' : item.status === 'reserved' ? 'Reserved - another buyer is checking out' : 'No longer available'}
+                      </p>
+                    )}
                   </div>
                   <div className="flex gap-2">
-                    <button
-                      onClick={() => handleBuyNow(item.product_id)}
-                      className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 text-sm"
-                    >
-                      Buy Now
-                    </button>
+                    {availableItems.includes(item) && (
+                      <button
+                        onClick={() => handleBuyNow(item.product_id)}
+                        className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 text-sm"
+                      >
+                        Buy Now
+                      </button>
+                    )}
                     <button
                       onClick={() => handleRemove(item.product_id)}
                       className="bg-red-600 text-white p-2 rounded-lg hover:bg-red-700"
@@ -1300,14 +2579,36 @@ const CartPage = () => {
             </div>
 
             <div className="bg-white rounded-lg shadow-md p-4">
+              {holdExpiresAt && (
+                <div className="flex justify-between items-center bg-amber-50 text-amber-800 rounded-lg px-3 py-2 mb-4 text-sm">
+                  <span>
+                    Your items are held for <HoldCountdown expiresAt={holdExpiresAt} onExpire={loadCart} />
+                  </span>
+                  <button onClick={handleReleaseHold} className="underline hover:text-amber-900">
+                    Release
+                  </button>
+                </div>
+              )}
               <div className="flex justify-between items-center mb-4">
                 <span className="text-xl font-bold">Total: ${total.toFixed(2)}</span>
-                <button
-                  onClick={handlePurchase}
-                  className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700"
-                >
-                  Purchase All
-                </button>
+                <div className="flex gap-2">
+                  {!holdExpiresAt && (
+                    <button
+                      onClick={handleStartCheckout}
+                      disabled={availableItems.length === 0}
+                      className="border border-green-600 text-green-600 px-4 py-2 rounded-lg hover:bg-green-50 disabled:opacity-50"
+                    >
+                      Hold for Checkout
+                    </button>
+                  )}
+                  <button
+                    onClick={handlePurchase}
+                    disabled={availableItems.length === 0}
+                    className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Purchase All
+                  </button>
+                </div>
               </div>
             </div>
           </>
@@ -1336,6 +2637,14 @@ const FavoritesPage = () => {
     loadFavorites();
   }, []);
 
+  const removeFavorite = (data) => setFavorites(current => current.filter(fav => fav.product_id !== data.product_id));
+  useRealtime('product.sold', removeFavorite);
+  useRealtime('product.deleted', removeFavorite);
+  useRealtime('product.updated', (data) => {
+    if (data.status && data.status !== 'available' && data.status !== 'reserved') return removeFavorite(data);
+    setFavorites(current => mergeProductUpdate(current, data, 'product_id'));
+  });
+
   const handleRemoveFavorite = async (productId) => {
     try {
       await ApiService.removeFromFavorites(productId);
@@ -1373,7 +2682,7 @@ const FavoritesPage = () => {
               <div key={favorite.id} className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
                 <div className="relative h-48 bg-gray-200 flex items-center justify-center">
                   {favorite.image_url ? (
-                    <img src={`http://localhost:3001${favorite.image_url}`} alt={favorite.title} className="w-full h-full object-cover" />
+                    <img src={assetUrl(favorite.image_url)} alt={favorite.title} className="w-full h-full object-cover" />
                   ) : (
                     <div className="text-gray-400">No Image</div>
                   )}
@@ -1411,18 +2720,185 @@ const FavoritesPage = () => {
   );
 };
 
-const PurchasesPage = () => {
-  const [purchases, setPurchases] = useState([]);
-  const [loading, setLoading] = useState(true);
+const ReviewForm = ({ purchase, onSaved, onCancel }) => {
+  const [rating, setRating] = useState(purchase.review_rating || 5);
+  const [comment, setComment] = useState(purchase.review_comment || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
 
-  useEffect(() => {
-    ApiService.getPurchaseHistory()
-      .then(setPurchases)
-      .catch(console.error)
-      .finally(() => setLoading(false));
-  }, []);
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      if (purchase.review_id) {
+        await ApiService.updateReview(purchase.review_id, { rating, comment });
+      } else {
+        await ApiService.createReview(purchase.id, { rating, comment });
+      }
+      onSaved();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
 
-  if (loading) return <LoadingSpinner />;
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+      <div className="flex gap-1">
+        {[1, 2, 3, 4, 5].map(star => (
+          <button key={star} type="button" onClick={() => setRating(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`}>
+            <Star className={`h-6 w-6 ${rating >= star ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="How was your experience with this seller?"
+        maxLength={1000}
+        rows={3}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+      />
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={saving} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm">
+          {saving ? 'Saving...' : purchase.review_id ? 'Update Review' : 'Post Review'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ORDER_STATUSES = {
+  pending_payment: { label: 'Awaiting payment', color: 'bg-gray-100 text-gray-800' },
+  paid: { label: 'Paid', color: 'bg-blue-100 text-blue-800' },
+  shipped: { label: 'Shipped', color: 'bg-indigo-100 text-indigo-800' },
+  delivered: { label: 'Delivered', color: 'bg-green-100 text-green-800' },
+  completed: { label: 'Completed', color: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', color: 'bg-red-100 text-red-800' },
+  refunded: { label: 'Refunded', color: 'bg-orange-100 text-orange-800' },
+  disputed: { label: 'Disputed', color: 'bg-yellow-100 text-yellow-800' }
+};
+
+// Button labels for the transitions the server says the current user may make
+const ORDER_ACTIONS = {
+  shipped: 'Mark as shipped',
+  delivered: 'Mark as delivered',
+  completed: 'Complete order',
+  cancelled: 'Cancel order',
+  disputed: 'Open dispute',
+  refunded: 'Refund'
+};
+
+// Buyers can review a purchase once it has arrived
+const REVIEWABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+const OrderStatusBadge = ({ status }) => {
+  const { label, color } = ORDER_STATUSES[status] || { label: status, color: 'bg-gray-100 text-gray-800' };
+  return <span className={`px-2 py-1 rounded-full text-xs font-medium ${color}`}>{label}</span>;
+};
+
+const OrderTimeline = ({ order }) => (
+  <ol className="mt-3 border-l-2 border-gray-200 pl-4 space-y-2">
+    {order.events.map(event => (
+      <li key={event.id} className="text-sm">
+        <span className="font-medium">{(ORDER_STATUSES[event.to_status] || {}).label || event.to_status}</span>
+        <span className="text-gray-400"> · {new Date(event.created_at).toLocaleString()}</span>
+        {event.actor_name && <span className="text-gray-400"> · {event.actor_name}</span>}
+        {event.note && <p className="text-gray-600">{event.note}</p>}
+      </li>
+    ))}
+  </ol>
+);
+
+const OrderActions = ({ order, onUpdated }) => {
+  const handleTransition = async (status) => {
+    const update = { status };
+    if (status === 'shipped') {
+      update.tracking_number = window.prompt('Tracking number:');
+      if (!update.tracking_number) return;
+      update.carrier = window.prompt('Carrier (optional):') || undefined;
+    } else if (['cancelled', 'disputed', 'refunded'].includes(status)) {
+      const note = window.prompt('Add a reason (optional):');
+      if (note === null) return;
+      update.note = note || undefined;
+    }
+
+    try {
+      await ApiService.updateOrderStatus(order.id, update);
+      onUpdated();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  if (!order.allowed_transitions || order.allowed_transitions.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-3">
+      {order.allowed_transitions.map(status => (
+        <button
+          key={status}
+          onClick={() => handleTransition(status)}
+          className={`px-3 py-1 rounded-lg text-sm ${
+            ['cancelled', 'disputed', 'refunded'].includes(status)
+              ? 'border border-red-300 text-red-600 hover:bg-red-50'
+              : 'bg-green-600 text-white hover:bg-green-700'
+          }`}
+        >
+          {ORDER_ACTIONS[status] || status}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Status, tracking details, history toggle and actions shared by the purchases and sales views
+const OrderStatusSection = ({ order, onUpdated }) => {
+  const [showHistory, setShowHistory] = useState(false);
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-3">
+        <OrderStatusBadge status={order.status} />
+        <button onClick={() => setShowHistory(!showHistory)} className="text-sm text-blue-600 hover:underline">
+          {showHistory ? 'Hide history' : 'Show history'}
+        </button>
+      </div>
+      {order.tracking_number && (
+        <p className="text-gray-600 text-sm mt-1">
+          Tracking: {order.carrier ? `${order.carrier} ` : ''}{order.tracking_number}
+        </p>
+      )}
+      {showHistory && <OrderTimeline order={order} />}
+      <OrderActions order={order} onUpdated={onUpdated} />
+    </div>
+  );
+};
+
+const PurchasesPage = () => {
+  const [purchases, setPurchases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const loadPurchases = () => {
+    return ApiService.getPurchaseHistory()
+      .then(setPurchases)
+      .catch(console.error);
+  };
+
+  useEffect(() => {
+    loadPurchases().finally(() => setLoading(false));
+  }, []);
+
+  useRealtime('order.updated', loadPurchases);
+
+  if (loading) return <LoadingSpinner />;
 
   return (
     <div className="p-4 pb-20 md:pb-4">
@@ -1438,10 +2914,10 @@ const PurchasesPage = () => {
         ) : (
           <div className="space-y-4">
             {purchases.map(purchase => (
-              <div key={purchase.id} className="bg-white rounded-lg shadow-md p-4 flex items-center gap-4">
+              <div key={purchase.id} className="bg-white rounded-lg shadow-md p-4 flex items-start gap-4">
                 <div className="w-16 h-16 bg-gray-200 rounded-lg flex items-center justify-center">
                   {purchase.image_url ? (
-                    <img src={`http://localhost:3001${purchase.image_url}`} alt={purchase.title} className="w-full h-full object-cover rounded-lg" />
+                    <img src={assetUrl(purchase.image_url)} alt={purchase.title} className="w-full h-full object-cover rounded-lg" />
                   ) : (
                     <div className="text-gray-400 text-xs">No Image</div>
                   )}
@@ -1454,6 +2930,32 @@ const PurchasesPage = () => {
                   <p className="text-gray-500 text-sm">
                     Purchased: {new Date(purchase.purchase_date).toLocaleDateString()}
                   </p>
+                  <OrderStatusSection order={purchase} onUpdated={loadPurchases} />
+                  {REVIEWABLE_ORDER_STATUSES.includes(purchase.status) && (reviewingId === purchase.id ? (
+                    <ReviewForm
+                      purchase={purchase}
+                      onSaved={() => { setReviewingId(null); loadPurchases(); }}
+                      onCancel={() => setReviewingId(null)}
+                    />
+                  ) : purchase.review_id ? (
+                    <div className="mt-2 text-sm">
+                      <div className="flex items-center gap-2">
+                        <StarRating rating={purchase.review_rating} />
+                        {purchase.review_editable === 1 && (
+                          <button onClick={() => setReviewingId(purchase.id)} className="text-blue-600 hover:underline">Edit</button>
+                        )}
+                      </div>
+                      {purchase.review_comment && <p className="text-gray-700 mt-1">{purchase.review_comment}</p>}
+                      {purchase.seller_reply && (
+                        <p className="text-gray-500 mt-1 pl-3 border-l-2 border-gray-200">Seller reply: {purchase.seller_reply}</p>
+                      )}
+                    </div>
+                  ) : (
+                    <button onClick={() => setReviewingId(purchase.id)} className="mt-2 text-sm text-green-600 hover:underline flex items-center gap-1">
+                      <Star className="h-4 w-4" />
+                      Review this seller
+                    </button>
+                  ))}
                 </div>
               </div>
             ))}
@@ -1464,14 +2966,613 @@ const PurchasesPage = () => {
   );
 };
 
-const ProductDetailPage = ({ productId, onBack }) => {
+const SAVED_SEARCH_ALERT_MODES = {
+  instant: 'Alert me right away',
+  daily: 'Daily email digest',
+  off: 'No alerts'
+};
+
+const describeSavedSearch = (savedSearch) => {
+  const parts = [];
+  if (savedSearch.search) parts.push(`"${savedSearch.search}"`);
+  if (savedSearch.category_name) parts.push(`in ${savedSearch.category_name}`);
+  if (savedSearch.min_price && savedSearch.max_price) parts.push(`$${savedSearch.min_price}-$${savedSearch.max_price}`);
+  else if (savedSearch.min_price) parts.push(`from $${savedSearch.min_price}`);
+  else if (savedSearch.max_price) parts.push(`up to $${savedSearch.max_price}`);
+  return parts.join(' ');
+};
+
+const SavedSearchesPage = ({ onRunSearch, onProductClick }) => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [openSearchId, setOpenSearchId] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadSavedSearches = useCallback(() => {
+    return ApiService.getSavedSearches()
+      .then(setSavedSearches)
+      .catch(console.error)
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    loadSavedSearches();
+  }, [loadSavedSearches]);
+
+  useRealtime('saved_search.match', loadSavedSearches);
+
+  const toggleMatches = async (savedSearch) => {
+    if (openSearchId === savedSearch.id) {
+      setOpenSearchId(null);
+      return;
+    }
+    try {
+      setMatches(await ApiService.getSavedSearchMatches(savedSearch.id));
+      setOpenSearchId(savedSearch.id);
+      loadSavedSearches();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleAlertModeChange = async (savedSearch, alertMode) => {
+    try {
+      await ApiService.updateSavedSearch(savedSearch.id, { alert_mode: alertMode });
+      loadSavedSearches();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) return;
+    try {
+      await ApiService.deleteSavedSearch(savedSearch.id);
+      if (openSearchId === savedSearch.id) setOpenSearchId(null);
+      loadSavedSearches();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="p-4 pb-20 md:pb-4">
+      <div className="max-w-4xl mx-auto">
+        <h2 className="text-2xl font-bold mb-6">Saved Searches</h2>
+
+        {savedSearches.length === 0 ? (
+          <div className="text-center py-12">
+            <Bell className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No saved searches yet. Search or filter on the home page and choose Save Search.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {savedSearches.map(savedSearch => (
+              <div key={savedSearch.id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex flex-wrap justify-between items-start gap-3">
+                  <div>
+                    <h3 className="font-semibold flex items-center gap-2">
+                      {savedSearch.name}
+                      {savedSearch.new_match_count > 0 && (
+                        <span className="bg-green-600 text-white text-xs px-2 py-0.5 rounded-full">{savedSearch.new_match_count} new</span>
+                      )}
+                    </h3>
+                    <p className="text-gray-600 text-sm">{describeSavedSearch(savedSearch)}</p>
+                    <p className="text-gray-400 text-xs">{savedSearch.match_count} matching listing{savedSearch.match_count === 1 ? '' : 's'} so far</p>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={savedSearch.alert_mode}
+                      onChange={(e) => handleAlertModeChange(savedSearch, e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                    >
+                      {Object.entries(SAVED_SEARCH_ALERT_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => toggleMatches(savedSearch)} className="border border-gray-300 px-3 py-2 rounded-lg text-sm hover:bg-gray-50">
+                      {openSearchId === savedSearch.id ? 'Hide matches' : 'Show matches'}
+                    </button>
+                    <button onClick={() => onRunSearch(savedSearch)} className="bg-green-600 text-white px-3 py-2 rounded-lg text-sm hover:bg-green-700 flex items-center gap-1">
+                      <Search className="h-4 w-4" />
+                      Search now
+                    </button>
+                    <button onClick={() => handleDelete(savedSearch)} className="bg-red-600 text-white p-2 rounded-lg hover:bg-red-700">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {openSearchId === savedSearch.id && (
+                  matches.length === 0 ? (
+                    <p className="text-gray-500 text-sm mt-4">No new listings have matched yet.</p>
+                  ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mt-4">
+                      {matches.map(product => (
+                        <div key={product.id} onClick={() => onProductClick(product.id)} className="cursor-pointer">
+                          <ProductCard product={product} onAddToCart={(productId) => ApiService.addToCart(productId).then(() => alert('Product added to cart!'), (error) => alert(error.message))} showFavorite={false} />
+                        </div>
+                      ))}
+                    </div>
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SalesPage = () => {
+  const [sales, setSales] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadSales = useCallback(() => {
+    return ApiService.getSales(statusFilter)
+      .then(setSales)
+      .catch(console.error)
+      .finally(() => setLoading(false));
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadSales();
+  }, [loadSales]);
+
+  useRealtime('order.updated', loadSales);
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="p-4 pb-20 md:pb-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold">Sales</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">All orders</option>
+            {Object.entries(ORDER_STATUSES).map(([status, { label }]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {sales.length === 0 ? (
+          <div className="text-center py-12">
+            <DollarSign className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No sales yet</p>
+            <p className="text-gray-400 text-sm">Orders for your listings will appear here</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {sales.map(sale => (
+              <div key={sale.id} className="bg-white rounded-lg shadow-md p-4 flex items-start gap-4">
+                <div className="w-16 h-16 bg-gray-200 rounded-lg flex items-center justify-center">
+                  {sale.image_url ? (
+                    <img src={assetUrl(sale.image_url)} alt={sale.title} className="w-full h-full object-cover rounded-lg" />
+                  ) : (
+                    <div className="text-gray-400 text-xs">No Image</div>
+                  )}
+                </div>
+                <div className="flex-1">
+                  <h3 className="font-semibold">{sale.title}</h3>
+                  <p className="text-gray-600 text-sm">Buyer: {sale.buyer_name}</p>
+                  <p className="text-green-600 font-bold">${sale.price}</p>
+                  <p className="text-gray-500 text-sm">
+                    Sold: {new Date(sale.purchase_date).toLocaleDateString()}
+                  </p>
+                  <OrderStatusSection order={sale} onUpdated={loadSales} />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const InboxPage = ({ initialConversationId }) => {
+  const { user } = useAuth();
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(initialConversationId || null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const loadConversations = async () => {
+    try {
+      const data = await ApiService.getConversations();
+      setConversations(data);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMessages = async (conversationId) => {
+    try {
+      const data = await ApiService.getMessages(conversationId);
+      setMessages(data.messages);
+      setHasMore(data.has_more);
+      await ApiService.markConversationRead(conversationId);
+      setConversations(current => current.map(c => c.id === conversationId ? { ...c, unread_count: 0 } : c));
+    } catch (error) {
+      console.error('Error loading messages:', error);
+    }
+  };
+
+  useEffect(() => { loadConversations(); }, []);
+
+  useEffect(() => {
+    if (activeId) loadMessages(activeId);
+  }, [activeId]);
+
+  useRealtime('message.new', (message) => {
+    if (message.conversation_id === activeId) {
+      setMessages(current => [...current, message]);
+      ApiService.markConversationRead(activeId).catch(console.error);
+    }
+    loadConversations();
+  });
+
+  const handleLoadOlder = async () => {
+    if (messages.length === 0) return;
+    try {
+      const data = await ApiService.getMessages(activeId, messages[0].id);
+      setMessages([...data.messages, ...messages]);
+      setHasMore(data.has_more);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    setSending(true);
+    try {
+      const message = await ApiService.sendMessage(activeId, draft);
+      setMessages([...messages, message]);
+      setDraft('');
+      loadConversations();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  const activeConversation = conversations.find(c => c.id === activeId);
+
+  return (
+    <div className="p-4 pb-20 md:pb-4">
+      <div className="max-w-6xl mx-auto">
+        <h2 className="text-2xl font-bold mb-6">Inbox</h2>
+
+        {conversations.length === 0 ? (
+          <div className="text-center py-12">
+            <MessageCircle className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No conversations yet</p>
+            <p className="text-gray-400 text-sm">Message a seller from a product page to start one</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className={`bg-white rounded-lg shadow-md divide-y ${activeId ? 'hidden md:block' : ''}`}>
+              {conversations.map(conversation => (
+                <button
+                  key={conversation.id}
+                  onClick={() => setActiveId(conversation.id)}
+                  className={`w-full text-left p-4 flex items-center gap-3 hover:bg-gray-50 ${conversation.id === activeId ? 'bg-green-50' : ''}`}
+                >
+                  <div className="w-12 h-12 bg-gray-200 rounded-lg flex items-center justify-center flex-shrink-0">
+                    {conversation.product_image_url ? (
+                      <img src={assetUrl(conversation.product_image_url)} alt={conversation.product_title} className="w-full h-full object-cover rounded-lg" />
+                    ) : (
+                      <Package className="h-5 w-5 text-gray-400" />
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold truncate">{conversation.product_title}</p>
+                    <p className="text-gray-500 text-xs">with {conversation.other_username}</p>
+                    <p className="text-gray-600 text-sm truncate">{conversation.last_message || 'No messages yet'}</p>
+                  </div>
+                  {conversation.unread_count > 0 && (
+                    <span className="bg-red-500 text-white text-xs rounded-full px-2">{conversation.unread_count}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            <div className={`md:col-span-2 bg-white rounded-lg shadow-md flex flex-col h-[32rem] ${activeId ? '' : 'hidden md:flex'}`}>
+              {activeConversation ? (
+                <>
+                  <div className="p-4 border-b flex items-center gap-3">
+                    <button onClick={() => setActiveId(null)} className="md:hidden text-gray-600">
+                      <ArrowLeft className="h-5 w-5" />
+                    </button>
+                    <div>
+                      <p className="font-semibold">{activeConversation.product_title}</p>
+                      <p className="text-gray-500 text-sm">
+                        with {activeConversation.other_username} · ${activeConversation.product_price}
+                        {activeConversation.product_status !== 'available' && ` · ${activeConversation.product_status}`}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                    {hasMore && (
+                      <div className="text-center">
+                        <button onClick={handleLoadOlder} className="text-green-600 text-sm hover:underline">Load older messages</button>
+                      </div>
+                    )}
+                    {messages.map(message => (
+                      <div key={message.id} className={`flex ${message.sender_id === user.id ? 'justify-end' : 'justify-start'}`}>
+                        <div className={`max-w-xs md:max-w-md px-4 py-2 rounded-lg ${
+                          message.sender_id === user.id ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          <p className="whitespace-pre-wrap">{message.body}</p>
+                          <p className={`text-xs mt-1 ${message.sender_id === user.id ? 'text-green-100' : 'text-gray-500'}`}>
+                            {new Date(message.created_at + 'Z').toLocaleString()}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <form onSubmit={handleSend} className="p-4 border-t flex gap-2">
+                    <input
+                      type="text"
+                      placeholder="Write a message..."
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                      maxLength={2000}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                    <button type="submit" disabled={sending || !draft.trim()} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50">
+                      <Send className="h-4 w-4" />
+                    </button>
+                  </form>
+                </>
+              ) : (
+                <div className="flex-1 flex items-center justify-center text-gray-500">Select a conversation</div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The buyer's side of a negotiation on one listing
+const OfferPanel = ({ productId, listedPrice, onBuyNow }) => {
+  const [offer, setOffer] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    ApiService.getOffers({ role: 'buyer', product_id: productId })
+      .then(offers => setOffer(offers[0] || null))
+      .catch(console.error);
+  }, [productId]);
+
+  useRealtime('offer.updated', (data) => {
+    if (data.product_id === productId) setOffer(data);
+  });
+
+  const runAction = async (action) => {
+    try {
+      const result = await action();
+      setOffer(result.offer);
+      setShowForm(false);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runAction(() => ApiService.makeOffer(productId, amount, message || undefined));
+  };
+
+  if (showForm) {
+    return (
+      <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <h3 className="font-semibold">Make an offer</h3>
+        <div className="flex items-center gap-2">
+          <span className="text-gray-500">$</span>
+          <input
+            type="number"
+            min="0.01"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={`Listed at ${listedPrice}`}
+            required
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+          />
+        </div>
+        <textarea
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder="Add a note for the seller (optional)"
+          rows={2}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+        />
+        <div className="flex gap-2">
+          <button type="submit" className="flex-1 bg-green-600 text-white py-2 rounded-lg hover:bg-green-700">Send Offer</button>
+          <button type="button" onClick={() => setShowForm(false)} className="flex-1 border border-gray-300 py-2 rounded-lg hover:bg-gray-50">Cancel</button>
+        </div>
+      </form>
+    );
+  }
+
+  const closedMessages = {
+    declined: `Your offer of $${offer?.amount} was declined.`,
+    expired: `Your offer of $${offer?.amount} expired.`,
+    withdrawn: 'You withdrew your offer.',
+    cancelled: 'This offer is no longer valid.'
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      {offer?.status === 'pending' && (
+        <>
+          <p className="text-gray-700">Your offer of <strong>${offer.amount}</strong> is waiting for the seller.</p>
+          <button onClick={() => runAction(() => ApiService.withdrawOffer(offer.id))} className="text-sm text-red-600 hover:underline">
+            Withdraw offer
+          </button>
+        </>
+      )}
+
+      {offer?.status === 'countered' && (
+        <>
+          <p className="text-gray-700">The seller countered your ${offer.amount} offer with <strong>${offer.counter_amount}</strong>.</p>
+          <div className="flex gap-2">
+            <button onClick={() => runAction(() => ApiService.acceptOffer(offer.id))} className="flex-1 bg-green-600 text-white py-2 rounded-lg hover:bg-green-700">
+              Accept ${offer.counter_amount}
+            </button>
+            <button onClick={() => runAction(() => ApiService.declineOffer(offer.id))} className="flex-1 border border-gray-300 py-2 rounded-lg hover:bg-gray-50">
+              Decline
+            </button>
+          </div>
+        </>
+      )}
+
+      {offer?.status === 'accepted' && (
+        <>
+          <p className="text-gray-700">
+            Offer accepted at <strong>${offer.agreed_price}</strong>. Check out before {new Date(offer.expires_at).toLocaleString()}.
+          </p>
+          <button onClick={onBuyNow} className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2">
+            <DollarSign className="h-5 w-5" />
+            Buy at ${offer.agreed_price}
+          </button>
+        </>
+      )}
+
+      {(!offer || closedMessages[offer.status] || offer.status === 'completed') && (
+        <>
+          {offer && closedMessages[offer.status] && <p className="text-gray-500 text-sm">{closedMessages[offer.status]}</p>}
+          <button
+            onClick={() => { setAmount(''); setMessage(''); setShowForm(true); }}
+            className="w-full border border-blue-600 text-blue-600 py-2 rounded-lg hover:bg-blue-50 flex items-center justify-center gap-2"
+          >
+            <DollarSign className="h-5 w-5" />
+            Make Offer
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const SWIPE_THRESHOLD_PX = 50;
+
+// A listing's images, cover first: arrows, thumbnails or a swipe move between them
+const ImageGallery = ({ images, title }) => {
+  const [index, setIndex] = useState(0);
+  const touchStartX = useRef(null);
+
+  if (images.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="w-full h-96 bg-gray-200 flex items-center justify-center">
+          <div className="text-gray-400">No Image</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Images can be deleted while the gallery is open
+  const current = Math.min(index, images.length - 1);
+  const show = (next) => setIndex((next + images.length) % images.length);
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(deltaX) >= SWIPE_THRESHOLD_PX) show(current + (deltaX < 0 ? 1 : -1));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden">
+      <div
+        className="relative"
+        onTouchStart={(e) => { touchStartX.current = e.touches[0].clientX; }}
+        onTouchEnd={handleTouchEnd}
+      >
+        <ResponsiveImage
+          src={images[current].url}
+          variants={images[current].variants}
+          sizes="(min-width: 1024px) 50vw, 100vw"
+          alt={title}
+          className="w-full h-96 object-cover"
+        />
+        {images.length > 1 && (
+          <>
+            <button
+              onClick={() => show(current - 1)}
+              className="absolute left-2 top-1/2 -translate-y-1/2 p-2 bg-white bg-opacity-75 rounded-full hover:bg-opacity-100"
+              title="Previous image"
+            >
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <button
+              onClick={() => show(current + 1)}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-white bg-opacity-75 rounded-full hover:bg-opacity-100"
+              title="Next image"
+            >
+              <ChevronRight className="h-5 w-5" />
+            </button>
+            <span className="absolute bottom-2 right-2 px-2 py-1 bg-black bg-opacity-50 text-white text-xs rounded">
+              {current + 1} / {images.length}
+            </span>
+          </>
+        )}
+      </div>
+      {images.length > 1 && (
+        <div className="flex gap-2 p-2 overflow-x-auto">
+          {images.map((image, i) => (
+            <button
+              key={image.id}
+              onClick={() => setIndex(i)}
+              className={`flex-shrink-0 w-16 h-16 rounded overflow-hidden border-2 ${i === current ? 'border-green-600' : 'border-transparent'}`}
+            >
+              <ResponsiveImage src={image.url} variants={image.variants} sizes="64px" alt={`${title} ${i + 1}`} className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ProductDetailPage = ({ productId, onBack, onMessageSeller, onSellerClick }) => {
   const { user } = useAuth();
   const [product, setProduct] = useState(null);
+  const [categoryAttributes, setCategoryAttributes] = useState([]);
   const [recommendations, setRecommendations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isFavorite, setIsFavorite] = useState(false);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('');
+  const [paymentKey, setPaymentKey] = useState('');
+  const [paying, setPaying] = useState(false);
 
   useEffect(() => {
     loadProductDetails();
@@ -1480,11 +3581,15 @@ const ProductDetailPage = ({ productId, onBack }) => {
 
   const loadProductDetails = async () => {
     try {
-      const data = await ApiService.getProduct(productId);
+      const data = await ApiService.getProduct(productId, user?.postal_code);
       setProduct(data);
+
+      // Attribute labels and units come from the listing's category
+      const categories = await ApiService.getCategories();
+      setCategoryAttributes(categories.find(cat => cat.id === data.category_id)?.attributes || []);
       
-      // Track product view
-      await ApiService.trackProductView(productId);
+      // Track product view; sellers previewing a draft don't count
+      if (data.status !== 'draft') await ApiService.trackProductView(productId);
       
       // Check if product is in favorites
       const favorites = await ApiService.getFavorites();
@@ -1528,22 +3633,38 @@ const ProductDetailPage = ({ productId, onBack }) => {
   };
 
   const handleBuyNow = () => {
+    setPaymentKey(createIdempotencyKey());
     setShowPaymentModal(true);
   };
 
+  const handleMessageSeller = async () => {
+    try {
+      const result = await ApiService.openConversation(productId);
+      onMessageSeller(result.conversation.id);
+    } catch (error) {
+      alert('Error contacting seller: ' + error.message);
+    }
+  };
+
   const handlePaymentConfirm = async () => {
     if (!selectedPaymentMethod) {
       alert('Please select a payment method');
       return;
     }
 
+    setPaying(true);
     try {
-      const result = await ApiService.buyNow(productId, selectedPaymentMethod);
+      const result = await ApiService.buyNow(productId, selectedPaymentMethod, paymentKey);
       alert(result.message);
       setShowPaymentModal(false);
       onBack(); // Go back to previous page
     } catch (error) {
-      alert('Payment failed: ' + error.message);
+      // The server answered, so this attempt is settled - another try needs a fresh key.
+      // Network errors keep the key so retrying can't charge twice.
+      if (!(error instanceof TypeError)) setPaymentKey(createIdempotencyKey());
+      alert(error.message);
+    } finally {
+      setPaying(false);
     }
   };
 
@@ -1572,6 +3693,9 @@ const ProductDetailPage = ({ productId, onBack }) => {
   if (loading) return <LoadingSpinner />;
   if (!product) return <div className="p-4 text-center">Product not found</div>;
 
+  const isOwnProduct = product.user_id === user?.id;
+  const heldByOther = product.status === 'reserved' && product.reserved_by !== user?.id;
+
   return (
     <div className="p-4 pb-20 md:pb-4">
       <div className="max-w-6xl mx-auto">
@@ -1584,21 +3708,16 @@ const ProductDetailPage = ({ productId, onBack }) => {
           Back
         </button>
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* Product Image */}
-          <div className="bg-white rounded-lg shadow-md overflow-hidden">
-            {product.image_url ? (
-              <img 
-                src={`http://localhost:3001${product.image_url}`} 
-                alt={product.title} 
-                className="w-full h-96 object-cover"
-              />
-            ) : (
-              <div className="w-full h-96 bg-gray-200 flex items-center justify-center">
-                <div className="text-gray-400">No Image</div>
-              </div>
-            )}
+        {product.status === 'draft' && (
+          <div className="bg-blue-50 text-blue-800 rounded-lg px-4 py-3 mb-4">
+            Preview of your draft - buyers can't see it
+            {product.publish_at ? ` until it goes live ${formatPublishAt(product.publish_at)}` : ' until you publish it'}
           </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Product Images */}
+          <ImageGallery images={product.images || []} title={product.title} />
 
           {/* Product Details */}
           <div className="space-y-6">
@@ -1629,6 +3748,20 @@ const ProductDetailPage = ({ productId, onBack }) => {
               <p className="text-gray-700">{product.description || 'No description provided.'}</p>
             </div>
 
+            {categoryAttributes.some(attribute => product.attributes?.[attribute.key] !== undefined) && (
+              <div>
+                <h3 className="text-lg font-semibold mb-2">Details</h3>
+                <dl className="grid grid-cols-2 gap-2 text-sm">
+                  {categoryAttributes.filter(attribute => product.attributes?.[attribute.key] !== undefined).map(attribute => (
+                    <React.Fragment key={attribute.key}>
+                      <dt className="font-semibold">{attribute.label}</dt>
+                      <dd className="text-gray-600">{formatAttributeValue(attribute, product.attributes[attribute.key])}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4 text-sm">
               <div>
                 <span className="font-semibold">Category:</span>
@@ -1636,22 +3769,38 @@ const ProductDetailPage = ({ productId, onBack }) => {
               </div>
               <div>
                 <span className="font-semibold">Seller:</span>
-                <p className="text-gray-600">{product.seller_name}</p>
+                <button onClick={() => onSellerClick(product.seller_name)} className="block text-gray-600 hover:text-green-600 hover:underline">
+                  {product.seller_name}
+                </button>
+                <StarRating rating={product.seller_rating} count={product.seller_review_count} />
+              </div>
+              <div>
+                <span className="font-semibold">Listed:</span>
+                <p className="text-gray-600">{new Date(product.created_at).toLocaleDateString()}</p>
+              </div>
+              <div>
+                <span className="font-semibold">Status:</span>
+                <p className={`font-semibold ${product.status === 'available' ? 'text-green-600' : product.status === 'reserved' || product.status === 'draft' ? 'text-amber-600' : 'text-red-600'}`}>
+                  {product.status === 'available' ? 'Available' : product.status === 'reserved' ? 'Reserved' : product.status === 'draft' ? 'Draft' : 'Sold'}
+                </p>
               </div>
               <div>
-                <span className="font-semibold">Listed:</span>
-                <p className="text-gray-600">{new Date(product.created_at).toLocaleDateString()}</p>
+                <span className="font-semibold">Location:</span>
+                <p className="text-gray-600">
+                  {product.location_city || 'Not provided'}
+                  {product.distance_km != null && <> ({formatDistance(product.distance_km)})</>}
+                </p>
               </div>
               <div>
-                <span className="font-semibold">Status:</span>
-                <p className={`font-semibold ${product.status === 'available' ? 'text-green-600' : 'text-red-600'}`}>
-                  {product.status === 'available' ? 'Available' : 'Sold'}
+                <span className="font-semibold">Delivery:</span>
+                <p className="text-gray-600">
+                  {[product.pickup_available && 'Local pickup', product.shipping_available && 'Shipping'].filter(Boolean).join(' or ')}
                 </p>
               </div>
             </div>
 
             {/* Action Buttons */}
-            {product.status === 'available' && product.user_id !== user?.id && (
+            {(product.status === 'available' || product.status === 'reserved') && !isOwnProduct && (
               <div className="flex gap-4">
                 <button
                   onClick={handleAddToCart}
@@ -1660,15 +3809,35 @@ const ProductDetailPage = ({ productId, onBack }) => {
                   <ShoppingCart className="h-5 w-5" />
                   Add to Cart
                 </button>
-                <button
-                  onClick={handleBuyNow}
-                  className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2"
-                >
-                  <DollarSign className="h-5 w-5" />
-                  Buy Now
-                </button>
+                {!heldByOther && (
+                  <button
+                    onClick={handleBuyNow}
+                    className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 flex items-center justify-center gap-2"
+                  >
+                    <DollarSign className="h-5 w-5" />
+                    Buy Now
+                  </button>
+                )}
               </div>
             )}
+
+            {heldByOther && !isOwnProduct && (
+              <p className="text-amber-700 text-sm">Another buyer is checking this item out. Add it to your cart in case their hold runs out.</p>
+            )}
+
+            {product.status === 'available' && product.user_id !== user?.id && (
+              <OfferPanel productId={productId} listedPrice={product.price} onBuyNow={handleBuyNow} />
+            )}
+
+            {product.user_id !== user?.id && (
+              <button
+                onClick={handleMessageSeller}
+                className="w-full border border-green-600 text-green-600 py-3 px-6 rounded-lg hover:bg-green-50 flex items-center justify-center gap-2"
+              >
+                <MessageCircle className="h-5 w-5" />
+                Message Seller
+              </button>
+            )}
           </div>
         </div>
 
@@ -1683,6 +3852,7 @@ const ProductDetailPage = ({ productId, onBack }) => {
                   product={rec}
                   onAddToCart={() => ApiService.addToCart(rec.id)}
                   onToggleFavorite={() => {}}
+                  onSellerClick={onSellerClick}
                   isFavorite={false}
                   showFavorite={true}
                 />
@@ -1750,20 +3920,37 @@ const ProductDetailPage = ({ productId, onBack }) => {
                 <DollarSign className="h-5 w-5 mr-2" />
                 Cash on Delivery
               </label>
+
+              {TEST_PAYMENT_METHODS.map(method => (
+                <label key={method.value} className="flex items-center p-3 border border-dashed rounded-lg cursor-pointer hover:bg-gray-50 text-gray-600">
+                  <input
+                    type="radio"
+                    name="payment"
+                    value={method.value}
+                    checked={selectedPaymentMethod === method.value}
+                    onChange={(e) => setSelectedPaymentMethod(e.target.value)}
+                    className="mr-3"
+                  />
+                  <CreditCard className="h-5 w-5 mr-2" />
+                  {method.label}
+                </label>
+              ))}
             </div>
 
             <div className="flex gap-3">
               <button
                 onClick={() => setShowPaymentModal(false)}
-                className="flex-1 bg-gray-600 text-white py-2 px-4 rounded-lg hover:bg-gray-700"
+                disabled={paying}
+                className="flex-1 bg-gray-600 text-white py-2 px-4 rounded-lg hover:bg-gray-700 disabled:opacity-50"
               >
                 Cancel
               </button>
               <button
                 onClick={handlePaymentConfirm}
-                className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"
+                disabled={paying}
+                className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50"
               >
-                Confirm Payment
+                {paying ? 'Processing...' : 'Confirm Payment'}
               </button>
             </div>
           </div>
@@ -1773,14 +3960,210 @@ const ProductDetailPage = ({ productId, onBack }) => {
   );
 };
 
+// Public storefront: profile summary, available listings and reviews
+const SellerProfilePage = ({ username, onBack, onProductClick }) => {
+  const { user } = useAuth();
+  const [seller, setSeller] = useState(null);
+  const [listings, setListings] = useState([]);
+  const [listingsPagination, setListingsPagination] = useState({});
+  const [reviews, setReviews] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [replyingId, setReplyingId] = useState(null);
+  const [replyText, setReplyText] = useState('');
+
+  const loadListings = useCallback(async (page = 1) => {
+    const result = await ApiService.getPublicProfile(username, page);
+    setSeller(result.user);
+    setListings(current => page === 1 ? result.products : [...current, ...result.products]);
+    setListingsPagination(result.pagination);
+  }, [username]);
+
+  const loadReviews = useCallback(async (page = 1) => {
+    const result = await ApiService.getSellerReviews(username, page);
+    setReviews(current => page === 1 ? result.reviews : [...current, ...result.reviews]);
+    setPagination(result.pagination);
+  }, [username]);
+
+  useEffect(() => {
+    Promise.all([loadListings(), loadReviews()])
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  }, [loadListings, loadReviews]);
+
+  const handleAddToCart = async (productId) => {
+    try {
+      await ApiService.addToCart(productId);
+      alert('Product added to cart!');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleReply = async (reviewId) => {
+    try {
+      await ApiService.replyToReview(reviewId, replyText);
+      setReviews(current => current.map(review => review.id === reviewId ? { ...review, seller_reply: replyText.trim() } : review));
+      setReplyingId(null);
+      setReplyText('');
+    } catch (error) {
+      alert('Failed to post reply: ' + error.message);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  if (error || !seller) {
+    return (
+      <div className="p-4 text-center">
+        <p className="text-red-600">{error || 'Seller not found'}</p>
+        <button onClick={onBack} className="mt-4 text-green-600 hover:underline">Go back</button>
+      </div>
+    );
+  }
+
+  const isOwnProfile = seller.id === user?.id;
+
+  return (
+    <div className="p-4 pb-20 md:pb-4">
+      <div className="max-w-4xl mx-auto">
+        <button onClick={onBack} className="flex items-center gap-2 text-gray-600 hover:text-gray-800 mb-6">
+          <ArrowLeft className="h-5 w-5" />
+          Back
+        </button>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6 flex flex-col md:flex-row items-center gap-6">
+          {seller.avatar_url ? (
+            <img
+              src={assetUrl(seller.avatar_url)}
+              alt={seller.display_name}
+              className="w-24 h-24 rounded-full object-cover border-4 border-green-600"
+            />
+          ) : (
+            <div className="w-24 h-24 bg-green-600 rounded-full flex items-center justify-center">
+              <User className="h-12 w-12 text-white" />
+            </div>
+          )}
+          <div className="flex-1 text-center md:text-left">
+            <h2 className="text-2xl font-bold">{seller.display_name}</h2>
+            <p className="text-gray-500 text-sm">@{seller.username} · Member since {new Date(seller.member_since).toLocaleDateString()}</p>
+            <div className="mt-2">
+              <StarRating rating={seller.rating} count={seller.review_count} size="h-5 w-5" />
+            </div>
+          </div>
+          <div className="flex gap-6 text-center">
+            <div>
+              <p className="text-2xl font-bold text-green-600">{seller.listing_count}</p>
+              <p className="text-gray-500 text-sm">Listings</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-green-600">{seller.items_sold}</p>
+              <p className="text-gray-500 text-sm">Sold</p>
+            </div>
+          </div>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-4">Listings</h3>
+        {listings.length === 0 ? (
+          <p className="text-gray-500 mb-8">No items for sale right now.</p>
+        ) : (
+          <div className="mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {listings.map(product => (
+                <div key={product.id} onClick={() => onProductClick(product.id)} className="cursor-pointer">
+                  <ProductCard product={product} onAddToCart={handleAddToCart} showFavorite={false} />
+                </div>
+              ))}
+            </div>
+            {listingsPagination.current_page < listingsPagination.total_pages && (
+              <div className="text-center mt-6">
+                <button onClick={() => loadListings(listingsPagination.current_page + 1).catch(console.error)} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                  Load more listings
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        <h3 className="text-lg font-semibold mb-4">Reviews</h3>
+        {reviews.length === 0 ? (
+          <p className="text-gray-500">This seller hasn't been reviewed yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {reviews.map(review => (
+              <div key={review.id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex justify-between items-center mb-1">
+                  <StarRating rating={review.rating} />
+                  <span className="text-gray-400 text-xs">{new Date(review.created_at).toLocaleDateString()}</span>
+                </div>
+                <p className="text-gray-500 text-xs mb-2">{review.buyer_name} bought {review.product_title}</p>
+                {review.comment && <p className="text-gray-700">{review.comment}</p>}
+
+                {review.seller_reply && replyingId !== review.id && (
+                  <div className="mt-3 pl-3 border-l-2 border-green-200 text-sm">
+                    <p className="font-semibold text-gray-700">Reply from {seller.username}</p>
+                    <p className="text-gray-600">{review.seller_reply}</p>
+                  </div>
+                )}
+
+                {isOwnProfile && (replyingId === review.id ? (
+                  <div className="mt-3 space-y-2">
+                    <textarea
+                      value={replyText}
+                      onChange={(e) => setReplyText(e.target.value)}
+                      maxLength={1000}
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 text-sm"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleReply(review.id)}
+                        disabled={!replyText.trim()}
+                        className="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm"
+                      >
+                        Post Reply
+                      </button>
+                      <button onClick={() => setReplyingId(null)} className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => { setReplyingId(review.id); setReplyText(review.seller_reply || ''); }}
+                    className="mt-2 text-sm text-blue-600 hover:underline"
+                  >
+                    {review.seller_reply ? 'Edit reply' : 'Reply'}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pagination.current_page < pagination.total_pages && (
+          <div className="text-center mt-6">
+            <button onClick={() => loadReviews(pagination.current_page + 1).catch(console.error)} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Load more reviews
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 const ProfilePage = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logoutAll } = useAuth();
   const [profile, setProfile] = useState({
     username: user?.username || '',
     email: user?.email || '',
     full_name: user?.full_name || '',
     phone: user?.phone || '',
     address: user?.address || '',
+    city: user?.city || '',
+    postal_code: user?.postal_code || '',
     profile_image_url: user?.profile_image_url || ''
   });
   const [loading, setLoading] = useState(false);
@@ -1815,11 +4198,12 @@ const ProfilePage = () => {
         profileData.profile_image_url = selectedSampleImage.url;
       }
 
-      if (profileData.profile_image_url) {
-        await ApiService.updateProfileWithImage(profileData);
-      } else {
-        await ApiService.updateProfile(profileData);
-      }
+      const result = profileData.profile_image_url
+        ? await ApiService.updateProfileWithImage(profileData)
+        : await ApiService.updateProfile(profileData);
+      // The server fills in the city for a known postal code
+      profileData.city = result.city || '';
+      profileData.postal_code = result.postal_code || '';
       
       updateUser(profileData);
       setProfile({ ...profile, ...profileData });
@@ -1832,6 +4216,15 @@ const ProfilePage = () => {
     }
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out from all devices, including this one?')) return;
+    try {
+      await logoutAll();
+    } catch (error) {
+      alert('Error logging out: ' + error.message);
+    }
+  };
+
   if (loading) return <LoadingSpinner />;
 
   return (
@@ -1852,7 +4245,7 @@ const ProfilePage = () => {
           <div className="text-center mb-6">
             {profile.profile_image_url ? (
               <img 
-                src={`http://localhost:3001${profile.profile_image_url}`} 
+                src={assetUrl(profile.profile_image_url)} 
                 alt="Profile" 
                 className="w-24 h-24 rounded-full mx-auto object-cover border-4 border-green-600"
               />
@@ -1922,6 +4315,31 @@ const ProfilePage = () => {
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">City</label>
+                  <input
+                    type="text"
+                    placeholder="Filled in from the postal code"
+                    value={profile.city || ''}
+                    onChange={(e) => setProfile({...profile, city: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Postal Code</label>
+                  <input
+                    type="text"
+                    placeholder="Enter postal code"
+                    value={profile.postal_code || ''}
+                    onChange={(e) => setProfile({...profile, postal_code: e.target.value})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Used to show buyers how far away your listings are</p>
+                </div>
+              </div>
+
               {/* Profile Image Section */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-3">Profile Image</label>
@@ -2049,9 +4467,292 @@ const ProfilePage = () => {
                   </div>
                 </div>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                <div className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-gray-50">
+                  {[profile.city, profile.postal_code].filter(Boolean).join(', ') || 'Not provided'}
+                </div>
+              </div>
             </div>
           )}
         </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6 flex justify-between items-center">
+          <div>
+            <h3 className="font-semibold">Sessions</h3>
+            <p className="text-gray-600 text-sm">Sign out everywhere if you think someone else has access to your account</p>
+          </div>
+          <button
+            onClick={handleLogoutAll}
+            className="flex items-center gap-2 px-4 py-2 text-red-600 border border-red-600 hover:bg-red-50 rounded-lg"
+          >
+            <LogOut className="h-4 w-4" />
+            Log out all devices
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AdminPage = () => {
+  const { user } = useAuth();
+  const [tab, setTab] = useState('users'); // 'users', 'products', 'categories'
+  const [users, setUsers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [search, setSearch] = useState('');
+  // The search box only queries the server once typing pauses
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [newCategory, setNewCategory] = useState('');
+  const [newCategoryParent, setNewCategoryParent] = useState('');
+  const [loading, setLoading] = useState(true);
+  // Bumped after each admin action to load the current tab again
+  const [reloads, setReloads] = useState(0);
+
+  const isAdmin = user.role === 'admin';
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Loads the selected tab again whenever it, the search or `reloads` changes; a response that
+  // arrives after the tab or search has moved on is dropped
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        if (tab === 'users') {
+          const data = await ApiService.getAdminUsers({ search: debouncedSearch });
+          if (!cancelled) setUsers(data.users);
+        } else if (tab === 'products') {
+          const data = await ApiService.getAdminProducts({ search: debouncedSearch });
+          if (!cancelled) setProducts(data.products);
+        } else {
+          const data = await ApiService.getCategories();
+          if (!cancelled) setCategories(data);
+        }
+      } catch (error) {
+        if (!cancelled) console.error('Error loading admin data:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, debouncedSearch, reloads]);
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      setReloads(count => count + 1);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleSuspend = (target) => {
+    const reason = prompt(`Reason for suspending ${target.username}:`);
+    if (reason === null) return;
+    runAction(() => ApiService.suspendUser(target.id, reason));
+  };
+
+  const handleUnlist = (product) => {
+    const reason = prompt(`Reason for unlisting "${product.title}":`);
+    if (reason === null) return;
+    runAction(() => ApiService.unlistProduct(product.id, reason));
+  };
+
+  const handleRenameCategory = (category) => {
+    const name = prompt('New category name:', category.name);
+    if (!name || name === category.name) return;
+    runAction(() => ApiService.updateCategory(category.id, name));
+  };
+
+  const handleAddCategory = (e) => {
+    e.preventDefault();
+    if (!newCategory.trim()) return;
+    runAction(async () => {
+      await ApiService.createCategory(newCategory, newCategoryParent);
+      setNewCategory('');
+      setNewCategoryParent('');
+    });
+  };
+
+  const handleAddAttribute = (category) => {
+    const label = prompt(`New attribute for ${category.name} and its subcategories (e.g. Brand):`);
+    if (!label) return;
+    const type = prompt('Type: text, number, select or boolean', 'text');
+    if (!type) return;
+    const options = type.trim() === 'select' ? prompt('Options, separated by commas:') : null;
+    if (options === '') return;
+    runAction(() => ApiService.addCategoryAttribute(category.id, { label, type: type.trim(), options }));
+  };
+
+  const tabs = [
+    { id: 'users', label: 'Users' },
+    { id: 'products', label: 'Products' },
+    ...(isAdmin ? [{ id: 'categories', label: 'Categories' }] : []),
+  ];
+
+  return (
+    <div className="p-4 pb-20 md:pb-4">
+      <div className="max-w-6xl mx-auto">
+        <h2 className="text-2xl font-bold mb-6">Administration</h2>
+
+        <div className="flex gap-2 mb-4">
+          {tabs.map(t => (
+            <button
+              key={t.id}
+              onClick={() => { setTab(t.id); setSearch(''); setDebouncedSearch(''); setLoading(true); }}
+              className={`px-4 py-2 rounded-lg border ${
+                tab === t.id ? 'bg-green-600 text-white border-green-600' : 'bg-white text-gray-600 border-gray-300'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {tab !== 'categories' && (
+          <input
+            type="text"
+            placeholder={tab === 'users' ? 'Search users...' : 'Search products...'}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="w-full px-4 py-2 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+          />
+        )}
+
+        {loading ? <LoadingSpinner /> : (
+          <div className="bg-white rounded-lg shadow-md divide-y">
+            {tab === 'users' && users.map(u => (
+              <div key={u.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex-1">
+                  <p className="font-semibold">{u.username} <span className="text-gray-500 font-normal text-sm">{u.email}</span></p>
+                  <p className="text-gray-500 text-sm">
+                    {u.product_count} listings · joined {new Date(u.created_at).toLocaleDateString()}
+                    {u.suspended_at && <span className="text-red-600"> · suspended{u.suspension_reason ? `: ${u.suspension_reason}` : ''}</span>}
+                  </p>
+                </div>
+                {isAdmin ? (
+                  <select
+                    value={u.role}
+                    disabled={u.id === user.id}
+                    onChange={(e) => runAction(() => ApiService.updateUserRole(u.id, e.target.value))}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    <option value="buyer">Buyer</option>
+                    <option value="seller">Seller</option>
+                    <option value="moderator">Moderator</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-600 capitalize">{u.role}</span>
+                )}
+                {u.id !== user.id && (u.suspended_at ? (
+                  <button onClick={() => runAction(() => ApiService.unsuspendUser(u.id))} className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm">
+                    Unsuspend
+                  </button>
+                ) : (
+                  <button onClick={() => handleSuspend(u)} className="px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm">
+                    Suspend
+                  </button>
+                ))}
+              </div>
+            ))}
+
+            {tab === 'products' && products.map(product => (
+              <div key={product.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex-1">
+                  <p className="font-semibold">{product.title} <span className="text-green-600">${product.price}</span></p>
+                  <p className="text-gray-500 text-sm">
+                    by {product.seller_name} · {product.status}
+                    {product.moderation_reason && <span className="text-red-600"> · {product.moderation_reason}</span>}
+                  </p>
+                </div>
+                {product.status === 'available' && (
+                  <button onClick={() => handleUnlist(product)} className="px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm">
+                    Unlist
+                  </button>
+                )}
+                {product.status === 'unlisted' && (
+                  <button onClick={() => runAction(() => ApiService.relistProduct(product.id))} className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm">
+                    Relist
+                  </button>
+                )}
+              </div>
+            ))}
+
+            {tab === 'categories' && (
+              <>
+                {categories.map(category => (
+                  <div key={category.id} className="p-4 flex items-center gap-3" style={{ paddingLeft: `${1 + category.depth * 2}rem` }}>
+                    <div className="flex-1">
+                      <p>{category.name}</p>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {category.attributes.filter(attribute => attribute.category_id === category.id).map(attribute => (
+                          <span key={attribute.key} className="inline-flex items-center gap-1 bg-gray-100 text-gray-700 text-xs rounded-full px-2 py-0.5">
+                            {attribute.label} ({attribute.type})
+                            <button
+                              onClick={() => window.confirm(`Remove "${attribute.label}" from ${category.name}?`) && runAction(() => ApiService.deleteCategoryAttribute(category.id, attribute.key))}
+                              className="hover:text-red-600"
+                              aria-label={`Remove ${attribute.label}`}
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <button onClick={() => handleAddAttribute(category)} className="p-2 bg-green-600 text-white rounded-lg hover:bg-green-700" title="Add attribute">
+                      <Plus className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleRenameCategory(category)} className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => window.confirm(`Delete "${category.name}"?`) && runAction(() => ApiService.deleteCategory(category.id))}
+                      className="p-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <form onSubmit={handleAddCategory} className="p-4 flex gap-3">
+                  <input
+                    type="text"
+                    placeholder="New category name"
+                    value={newCategory}
+                    onChange={(e) => setNewCategory(e.target.value)}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                  <select
+                    value={newCategoryParent}
+                    onChange={(e) => setNewCategoryParent(e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                  >
+                    <option value="">Top level</option>
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{categoryOptionLabel(category)}</option>
+                    ))}
+                  </select>
+                  <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center gap-2">
+                    <Plus className="h-4 w-4" />
+                    Add
+                  </button>
+                </form>
+              </>
+            )}
+
+            {((tab === 'users' && users.length === 0) || (tab === 'products' && products.length === 0)) && (
+              <p className="p-8 text-center text-gray-500">Nothing found</p>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2061,26 +4762,52 @@ const App = () => {
   const { user, logout, loading } = useAuth();
   const [currentView, setCurrentView] = useState('home');
   const [selectedProductId, setSelectedProductId] = useState(null);
+  const [selectedConversationId, setSelectedConversationId] = useState(null);
+  const [selectedSeller, setSelectedSeller] = useState(null);
+  const [homeFilters, setHomeFilters] = useState(null);
 
   if (loading) return <LoadingSpinner />;
   if (!user) return <LoginForm />;
 
+  const showSeller = (username) => { setSelectedSeller(username); setCurrentView('seller'); };
+  const showProduct = (productId) => { setSelectedProductId(productId); setCurrentView('product-detail'); };
+  const runSavedSearch = (savedSearch) => {
+    // A new key remounts HomePage so it starts from the saved filters
+    setHomeFilters({
+      key: Date.now(),
+      filters: {
+        search: savedSearch.search || '',
+        category: savedSearch.category_id ? String(savedSearch.category_id) : '',
+        min_price: savedSearch.min_price || '',
+        max_price: savedSearch.max_price || '',
+        sort: savedSearch.sort || 'newest'
+      }
+    });
+    setCurrentView('home');
+  };
+
   const renderView = () => {
     switch (currentView) {
-      case 'home': return <HomePage onProductClick={(productId) => { setSelectedProductId(productId); setCurrentView('product-detail'); }} />;
-      case 'myListings': return <MyListingsPage />;
+      case 'home': return <HomePage key={homeFilters?.key} initialFilters={homeFilters?.filters} onProductClick={showProduct} onSellerClick={showSeller} />;
+      case 'myListings': return <MyListingsPage onPreview={showProduct} />;
       case 'favorites': return <FavoritesPage />;
+      case 'inbox': return <InboxPage key={selectedConversationId} initialConversationId={selectedConversationId} />;
       case 'cart': return <CartPage />;
       case 'purchases': return <PurchasesPage />;
+      case 'sales': return <SalesPage />;
+      case 'savedSearches': return <SavedSearchesPage onRunSearch={runSavedSearch} onProductClick={showProduct} />;
       case 'profile': return <ProfilePage />;
-      case 'product-detail': return <ProductDetailPage productId={selectedProductId} onBack={() => setCurrentView('home')} />;
-      default: return <HomePage onProductClick={(productId) => { setSelectedProductId(productId); setCurrentView('product-detail'); }} />;
+      case 'admin': return STAFF_ROLES.includes(user.role) ? <AdminPage /> : null;
+      case 'product-detail': return <ProductDetailPage productId={selectedProductId} onBack={() => setCurrentView('home')} onMessageSeller={(conversationId) => { setSelectedConversationId(conversationId); setCurrentView('inbox'); }} onSellerClick={showSeller} />;
+      case 'seller': return <SellerProfilePage key={selectedSeller} username={selectedSeller} onBack={() => setCurrentView('home')} onProductClick={(productId) => { setSelectedProductId(productId); setCurrentView('product-detail'); }} />;
+      default: return <HomePage onProductClick={(productId) => { setSelectedProductId(productId); setCurrentView('product-detail'); }} onSellerClick={showSeller} />;
     }
   };
 
   return (
     <div className="min-h-screen bg-gray-50">
       <Navigation currentView={currentView} setCurrentView={setCurrentView} onLogout={logout} />
+      <VerificationBanner />
       {renderView()}
     </div>
   );
@@ -15,20 +15,47 @@ NODE_ENV=development
 
 # JWT Configuration
 JWT_SECRET=ecofinds_super_secret_key_2025_change_in_production
-JWT_EXPIRES_IN=24h
+JWT_EXPIRES_IN=15m
+REFRESH_TOKEN_TTL_DAYS=30
 
 # Database Configuration
 DB_PATH=./ecofinds.db
 
 # File Upload Configuration
 MAX_FILE_SIZE=5242880
+MAX_PRODUCT_IMAGES=8
 UPLOAD_PATH=./uploads
 
+# Image Storage (local serves UPLOAD_PATH; s3 uses an S3-compatible bucket, with signed URLs unless S3_PUBLIC_URL is set)
+STORAGE_DRIVER=local
+S3_ENDPOINT=
+S3_REGION=us-east-1
+S3_BUCKET=
+S3_ACCESS_KEY_ID=
+S3_SECRET_ACCESS_KEY=
+S3_PUBLIC_URL=
+S3_PATH_STYLE=true
+S3_URL_EXPIRES_IN=3600
+
 # CORS Configuration
 CORS_ORIGIN=http://localhost:3000
 
+# Mail Configuration (outbox writes .eml files locally)
+APP_URL=http://localhost:3000
+MAIL_TRANSPORT=outbox
+MAIL_OUTBOX_PATH=./outbox
+MAIL_FROM=EcoFinds <no-reply@ecofinds.local>
+
+# Payments (mock is an offline gateway for development)
+PAYMENT_PROVIDER=mock
+PAYMENT_WEBHOOK_SECRET=change-this-webhook-secret
+
+# Location (CSV of postal_code,city,region,latitude,longitude; defaults to the bundled sample)
+POSTAL_CODES_PATH=
+
 # Security
-BCRYPT_ROUNDS=10`;
+BCRYPT_ROUNDS=10
+ADMIN_EMAILS=`;
 
 const frontendEnv = `# Frontend Environment Variables
 REACT_APP_API_BASE_URL=http://localhost:3001/api